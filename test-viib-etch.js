@@ -133,6 +133,1144 @@ async function testAnthropicToolConversion() {
   console.log('  ✓ Tool conversion produces valid Anthropic tool entries');
 }
 
+async function testContextCompaction() {
+  console.log('\n=== Test: context-window compaction (stubbed client) ===');
+
+  const model = new ChatModel({
+    name: 'test-compaction',
+    model: 'gpt-4.1-mini',
+    api_key: 'test-key',
+    system_prompt: 'You are a test assistant.',
+    context_window: 400,
+    compaction_threshold: 0.5,
+    compaction_keep_recent: 4,
+  });
+  if (model.context_window !== 400 || model.compaction_keep_recent !== 4) {
+    throw new Error(`Expected compaction settings on ChatModel, got: ${JSON.stringify(model)}`);
+  }
+
+  // Title set up front so no title-generation request is made.
+  const chat = new ChatSession({ model_name: model.name, title: 'compaction test' });
+  const llm = new ChatLLM(model.name, chat, null, {});
+  llm._model = model;
+  chat._model = model;
+
+  const requests = [];
+  llm._client = {
+    chat: {
+      completions: {
+        create: async (params) => {
+          requests.push(params);
+          const isSummarizer = String(params.messages[0]?.content || '').includes('compact the history');
+          return {
+            choices: [{
+              message: { role: 'assistant', content: isSummarizer ? 'SUMMARY: read files a..e' : 'done' },
+              finish_reason: 'stop',
+            }],
+            usage: isSummarizer ? { prompt_tokens: 300, completion_tokens: 20 } : { prompt_tokens: 100, completion_tokens: 5 },
+          };
+        },
+      },
+    },
+  };
+
+  chat.addMessage({ role: 'user', content: 'Inspect the project files.' });
+  for (let i = 0; i < 5; i++) {
+    chat.addMessage({
+      role: 'assistant',
+      content: '',
+      response_id: i === 0 ? 'resp_old' : undefined,
+      tool_calls: [{ id: `call_${i}`, type: 'function', function: { name: 'read_file', arguments: JSON.stringify({ target_file: `f${i}.txt` }) } }],
+    });
+    chat.addMessage({ role: 'tool', tool_call_id: `call_${i}`, name: 'read_file', content: `contents of f${i} `.repeat(20) });
+  }
+  const storedBefore = chat.messages.length;
+
+  await llm.complete({ stream: false });
+
+  if (requests.length !== 2) {
+    throw new Error(`Expected summarizer request + main request, got ${requests.length} requests`);
+  }
+  const compaction = chat.getCompaction();
+  if (!compaction || compaction.summary !== 'SUMMARY: read files a..e') {
+    throw new Error(`Expected compaction summary to be recorded, got: ${JSON.stringify(chat.data.compaction)}`);
+  }
+
+  const sent = requests[1].messages;
+  if (sent[0].role !== 'system' || !sent[0].content.startsWith('You are a test assistant.')
+    || !sent[0].content.includes('SUMMARY: read files a..e') || sent.slice(1).some(m => m.role === 'system' || String(m.content).includes('SUMMARY'))) {
+    throw new Error(`Expected the summary note appended to the system prompt, got: ${JSON.stringify(sent.slice(0, 2))}`);
+  }
+  if (sent[1].role === 'tool') {
+    throw new Error('Expected verbatim tail not to start with an orphaned tool result');
+  }
+  const lastTool = sent.filter(m => m.role === 'tool').pop();
+  if (!lastTool || lastTool.tool_call_id !== 'call_4' || !lastTool.content.startsWith('contents of f4')) {
+    throw new Error('Expected most recent tool result to be sent verbatim');
+  }
+  if (sent.some(m => m.tool_call_id === 'call_0')) {
+    throw new Error('Expected oldest tool result to be compacted away');
+  }
+
+  // Full history stays on the session (system prompt + stored messages + final answer).
+  if (chat.messages.length !== storedBefore + 2) {
+    throw new Error(`Expected original messages to be preserved, got ${chat.messages.length}`);
+  }
+  const usage = chat.getUsage().total;
+  if (usage.requests !== 2 || usage.input_tokens !== 400 || usage.output_tokens !== 25) {
+    throw new Error(`Expected summarizer usage on the chat, got ${JSON.stringify(usage)}`);
+  }
+  // Pre-compaction response_ids must not be reused for /v1/responses continuation.
+  if (llm._getLastResponseId() !== null) {
+    throw new Error('Expected pre-compaction response_id to be ignored');
+  }
+  console.log('  ✓ Older turns are summarized for the API while the session keeps full history');
+}
+
+async function testRetryAndFallback() {
+  console.log('\n=== Test: provider retries + fallback model (stubbed client) ===');
+
+  const os = require('os');
+
+  const primary = new ChatModel({
+    name: 'test-retry-primary',
+    model: 'gpt-4.1-mini',
+    api_key: 'test-key',
+    retry: { max_attempts: 3, initial_delay_ms: 5, backoff_multiplier: 2, retryable_status_codes: [429, 503] },
+    fallback_model: 'test-retry-fallback',
+  });
+  const fallback = new ChatModel({ name: 'test-retry-fallback', model: 'gpt-4.1-nano', api_key: 'test-key' });
+  if (primary.retry.max_attempts !== 3 || primary.retry.initial_delay_ms !== 5 || fallback.retry.max_attempts !== 3) {
+    throw new Error(`Expected retry policy on ChatModel, got: ${JSON.stringify(primary.retry)}`);
+  }
+
+  const apiError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { status, headers });
+  const stubClient = (create) => ({ chat: { completions: { create } } });
+  const newLLM = (retries, failures) => {
+    const chat = new ChatSession({ model_name: primary.name, title: 'retry test' });
+    const llm = new ChatLLM(primary.name, chat, null, { onRetry: (info) => { retries.push(info); } });
+    llm._model = primary;
+    llm._client = stubClient(async (params) => {
+      if (failures.length) throw failures.shift();
+      if (params.stream) {
+        return (async function* () {
+          yield { choices: [{ delta: { content: 'streamed ok' } }] };
+        })();
+      }
+      return { choices: [{ message: { role: 'assistant', content: 'ok' }, finish_reason: 'stop' }] };
+    });
+    chat.addMessage({ role: 'user', content: 'hi' });
+    return llm;
+  };
+
+  // 429 with Retry-After, then 503 with plain backoff, then success.
+  let retries = [];
+  let llm = newLLM(retries, [apiError(429, { 'retry-after-ms': '7' }), apiError(503)]);
+  let result = await llm.complete({ stream: false });
+  if (result.content !== 'ok' || retries.length !== 2) {
+    throw new Error(`Expected success after 2 retries, got ${JSON.stringify({ result, retries })}`);
+  }
+  if (retries[0].delay_ms !== 7 || retries[0].status !== 429 || retries[1].delay_ms !== 10 || retries[1].attempt !== 2) {
+    throw new Error(`Expected Retry-After then exponential backoff, got ${JSON.stringify(retries)}`);
+  }
+  console.log('  ✓ Retryable errors are retried (Retry-After honored, then exponential backoff)');
+
+  // Errors before the first streamed chunk are retried as well.
+  retries = [];
+  llm = newLLM(retries, []);
+  let failedOnce = false;
+  llm._client = stubClient(async () => (async function* () {
+    if (!failedOnce) {
+      failedOnce = true;
+      throw apiError(503);
+    }
+    yield { choices: [{ delta: { content: 'streamed ok' } }] };
+  })());
+  result = await llm.complete({ stream: true });
+  if (result.content !== 'streamed ok' || retries.length !== 1) {
+    throw new Error(`Expected streamed request to be retried once, got ${JSON.stringify({ result, retries })}`);
+  }
+  console.log('  ✓ Stream errors before the first chunk are retried');
+
+  // Non-retryable status fails immediately, without falling back.
+  retries = [];
+  llm = newLLM(retries, [apiError(400)]);
+  let threw = null;
+  try { await llm.complete({ stream: false }); } catch (e) { threw = e; }
+  if (!threw || retries.length !== 0) {
+    throw new Error(`Expected 400 to fail without retries, got ${JSON.stringify({ threw: threw && threw.message, retries })}`);
+  }
+  console.log('  ✓ Non-retryable errors are not retried');
+
+  // Primary exhausted -> fallback model finishes the run.
+  const originalLoadModels = ChatModel.loadModels;
+  try {
+    ChatModel.loadModels = () => [primary, fallback];
+    retries = [];
+    llm = newLLM(retries, [apiError(429), apiError(429), apiError(429)]);
+    const primaryClient = llm._client;
+    const fallbackRequests = [];
+    const fallbackClient = stubClient(async (params) => {
+      fallbackRequests.push(params);
+      return { choices: [{ message: { role: 'assistant', content: 'from fallback' }, finish_reason: 'stop' }] };
+    });
+    llm.getClient = function () { return this._model === fallback ? fallbackClient : primaryClient; };
+    result = await llm.complete({ stream: false });
+    if (result.content !== 'from fallback' || fallbackRequests[0].model !== 'gpt-4.1-nano') {
+      throw new Error(`Expected fallback model to answer, got ${JSON.stringify({ result, fallbackRequests })}`);
+    }
+    const last = retries[retries.length - 1];
+    if (retries.length !== 3 || last.fallback_model !== 'test-retry-fallback') {
+      throw new Error(`Expected 2 retries then a fallback notice, got ${JSON.stringify(retries)}`);
+    }
+    if (llm._model !== primary) {
+      throw new Error('Expected primary model to be restored after the fallback run');
+    }
+
+    // The fallback only gets the iterations the primary did not use.
+    retries = [];
+    const toolCallReply = (i) => ({ choices: [{ message: { role: 'assistant', content: null, tool_calls: [{ id: `c${i}`, type: 'function', function: { name: 'read_file', arguments: '{"target_file":"missing.txt"}' } }] }, finish_reason: 'tool_calls' }] });
+    let primaryCalls = 0;
+    const loopingPrimary = stubClient(async () => {
+      primaryCalls++;
+      if (primaryCalls <= 2) return toolCallReply(primaryCalls);
+      throw apiError(429);
+    });
+    fallbackRequests.length = 0;
+    const loopingFallback = stubClient(async (params) => {
+      fallbackRequests.push(params);
+      return toolCallReply(10 + fallbackRequests.length);
+    });
+    llm = newLLM(retries, []);
+    llm.setBaseDir(os.tmpdir());
+    llm.getClient = function () { return this._model === fallback ? loopingFallback : loopingPrimary; };
+    await llm.complete({ stream: false, max_iterations: 4 });
+    if (primaryCalls !== 5 || fallbackRequests.length !== 2) {
+      throw new Error(`Expected the fallback to run the 2 remaining iterations, got ${JSON.stringify({ primaryCalls, fallback: fallbackRequests.length })}`);
+    }
+  } finally {
+    ChatModel.loadModels = originalLoadModels;
+  }
+  console.log('  ✓ Exhausted retries fall back to fallback_model');
+}
+
+async function testUsageAccounting() {
+  console.log('\n=== Test: usage + cost accounting (stubbed client) ===');
+
+  const model = new ChatModel({
+    name: 'test-usage',
+    model: 'gpt-4.1-mini',
+    api_key: 'test-key',
+    pricing: { input: 2, cached_input: 0.5, output: 8 },
+  });
+  const chat = new ChatSession({ model_name: model.name, title: 'usage test' });
+  const usageEvents = [];
+  const llm = new ChatLLM(model.name, chat, null, { onUsage: (usage, total) => { usageEvents.push({ usage, total }); } });
+  llm._model = model;
+  const requests = [];
+  llm._client = {
+    chat: {
+      completions: {
+        create: async (params) => {
+          requests.push(params);
+          if (params.stream) {
+            return (async function* () {
+              yield { choices: [{ delta: { content: 'streamed' } }] };
+              yield { choices: [], usage: { prompt_tokens: 2000, completion_tokens: 100, prompt_tokens_details: { cached_tokens: 0 } } };
+            })();
+          }
+          return {
+            choices: [{ message: { role: 'assistant', content: 'ok' }, finish_reason: 'stop' }],
+            usage: {
+              prompt_tokens: 1000,
+              completion_tokens: 500,
+              total_tokens: 1500,
+              prompt_tokens_details: { cached_tokens: 400 },
+              completion_tokens_details: { reasoning_tokens: 200 },
+            },
+          };
+        },
+      },
+    },
+  };
+
+  chat.addMessage({ role: 'user', content: 'hi' });
+  await llm.complete({ stream: false });
+  const msg = chat.messages[chat.messages.length - 1];
+  // (600 * 2 + 400 * 0.5 + 500 * 8) / 1e6
+  if (!msg.usage || msg.usage.cached_input_tokens !== 400 || msg.usage.reasoning_tokens !== 200 || msg.usage.cost !== 0.0054) {
+    throw new Error(`Expected usage + cost on the assistant message, got ${JSON.stringify(msg.usage)}`);
+  }
+
+  chat.addMessage({ role: 'user', content: 'again' });
+  await llm.complete({ stream: true });
+  if (!requests[1].stream_options || requests[1].stream_options.include_usage !== true) {
+    throw new Error('Expected streaming requests to ask for usage');
+  }
+  const usage = chat.getUsage();
+  if (usage.total.requests !== 2 || usage.total.input_tokens !== 3000 || usage.total.output_tokens !== 600 || usage.total.cost !== 0.0102) {
+    throw new Error(`Expected usage rolled up across requests, got ${JSON.stringify(usage.total)}`);
+  }
+  if (!usage.by_model['test-usage'] || usage.by_model['test-usage'].requests !== 2) {
+    throw new Error(`Expected per-model rollup, got ${JSON.stringify(usage.by_model)}`);
+  }
+  if (usageEvents.length !== 2 || usageEvents[1].total.cost !== 0.0102) {
+    throw new Error(`Expected onUsage after each request, got ${JSON.stringify(usageEvents)}`);
+  }
+  console.log('  ✓ Usage and cost are recorded per message and rolled up in data.usage');
+
+  // Provider-specific shapes normalize to the same fields.
+  const anthropic = llm._normalizeUsage({ input_tokens: 10, cache_read_input_tokens: 90, cache_creation_input_tokens: 0, output_tokens: 5 });
+  const gemini = llm._normalizeUsage({ promptTokenCount: 100, cachedContentTokenCount: 40, candidatesTokenCount: 20, thoughtsTokenCount: 30 });
+  const responses = llm._normalizeUsage({ input_tokens: 100, output_tokens: 50, input_tokens_details: { cached_tokens: 10 }, output_tokens_details: { reasoning_tokens: 20 } });
+  if (anthropic.input_tokens !== 100 || anthropic.cached_input_tokens !== 90
+    || gemini.output_tokens !== 50 || gemini.reasoning_tokens !== 30 || gemini.cached_input_tokens !== 40
+    || responses.cached_input_tokens !== 10 || responses.reasoning_tokens !== 20 || responses.total_tokens !== 150) {
+    throw new Error(`Unexpected normalized usage: ${JSON.stringify({ anthropic, gemini, responses })}`);
+  }
+  console.log('  ✓ Anthropic, Gemini and responses usage shapes are normalized');
+}
+
+async function testCli() {
+  console.log('\n=== Test: bin/viib-etch CLI (stubbed OpenAI-compatible server) ===');
+
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const http = require('http');
+  const { spawn } = require('child_process');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'viib-etch-cli-'));
+  fs.writeFileSync(path.join(tmpDir, 'hello.txt'), 'hi from cli', 'utf8');
+  // Asks for read_file once, then answers with what it read.
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (d) => { body += d; });
+    req.on('end', () => {
+      const params = JSON.parse(body);
+      const last = params.messages[params.messages.length - 1];
+      let message;
+      if (!params.tools) message = { role: 'assistant', content: 'CLI title' };
+      else if (last.role === 'tool') message = { role: 'assistant', content: `saw ${last.content}` };
+      else message = { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'read_file', arguments: '{"target_file":"hello.txt"}' } }] };
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ id: 'x', object: 'chat.completion', choices: [{ index: 0, message, finish_reason: message.tool_calls ? 'tool_calls' : 'stop' }] }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const modelsFile = path.join(tmpDir, 'models.json');
+  fs.writeFileSync(modelsFile, JSON.stringify([{
+    name: 'stub', model: 'stub-model', base_url: `http://127.0.0.1:${server.address().port}/v1`, api_key: 'test-key', tools: ['read_file', 'run_terminal_cmd'],
+  }]), 'utf8');
+
+  const cli = (...args) => new Promise((resolve) => {
+    const child = spawn(process.execPath, [path.join(__dirname, 'bin', 'viib-etch'), ...args,
+      '--models-file', modelsFile, '--chats-dir', path.join(tmpDir, 'chats')], { cwd: tmpDir, stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (d) => { stdout += d; });
+    child.stderr.on('data', (d) => { stderr += d; });
+    const timer = setTimeout(() => child.kill(), 20000);
+    child.on('exit', (code) => { clearTimeout(timer); resolve({ code, stdout, stderr }); });
+  });
+
+  try {
+    const run = await cli('run', 'read hello.txt', '--json', '-t', 'read_file', '-r', 'low');
+    const out = run.code === 0 ? JSON.parse(run.stdout) : null;
+    if (!out || out.content !== 'saw L001:hi from cli' || out.finish_reason !== 'stop' || !out.chat_id) {
+      throw new Error(`Unexpected run result: ${JSON.stringify(run)}`);
+    }
+    const quiet = await cli('run', 'again', '-q', '--no-save');
+    if (quiet.code !== 0 || quiet.stdout.trim() !== 'saw L001:hi from cli') {
+      throw new Error(`Expected --quiet to print only the reply, got ${JSON.stringify(quiet)}`);
+    }
+    const capped = await cli('run', 'loop', '--max-iterations', '1', '-q', '--no-save');
+    if (capped.code !== 3) {
+      throw new Error(`Expected exit code 3 at --max-iterations, got ${JSON.stringify(capped)}`);
+    }
+    const bad = await cli('run');
+    const unknownTool = await cli('run', 'x', '-t', 'no_such_tool');
+    if (bad.code !== 2 || unknownTool.code !== 2 || !/Unknown tool/.test(unknownTool.stderr)) {
+      throw new Error(`Expected usage errors to exit 2, got ${JSON.stringify({ bad, unknownTool })}`);
+    }
+    console.log('  ✓ run prints the reply and uses exit codes 0 / 2 / 3');
+
+    const list = await cli('list', '--json');
+    const chats = JSON.parse(list.stdout);
+    if (list.code !== 0 || chats.length !== 1 || chats[0].id !== out.chat_id) {
+      throw new Error(`Expected only the saved chat in list, got ${JSON.stringify(list)}`);
+    }
+    const show = await cli('show', out.chat_id);
+    if (show.code !== 0 || !/\[user\]\nread hello\.txt/.test(show.stdout) || !/→ read_file/.test(show.stdout) || !show.stdout.includes(`base_dir: ${tmpDir}`)) {
+      throw new Error(`Unexpected show output: ${JSON.stringify(show)}`);
+    }
+    const missing = await cli('show', 'nope');
+    if (missing.code !== 2) {
+      throw new Error(`Expected show on a missing chat to exit 2, got ${missing.code}`);
+    }
+    console.log('  ✓ list and show read saved chats');
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+async function testForkChat() {
+  console.log('\n=== Test: ChatSession.fork (branching) ===');
+
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'viib-etch-fork-'));
+  const prevChatsDir = ChatSession.getChatsDir();
+  try {
+    ChatSession.setChatsDir(tmpDir);
+    const parent = new ChatSession({
+      title: 'branch me',
+      model_name: 'model-a',
+      base_dir: '/tmp/project',
+      mode: 'plan',
+      messages: [
+        { role: 'system', content: 'sys' },
+        { role: 'user', content: 'first' },
+        { role: 'assistant', content: 'one' },
+        { role: 'user', content: 'second' },
+        { role: 'assistant', content: 'two' },
+      ],
+      data: { memories: [{ id: 'm1', title: 't', content: 'c' }], todos: [{ id: '1', content: 'x', status: 'pending' }] },
+    });
+    parent.enablePersistence();
+
+    const child = parent.fork(3);
+    if (child.id === parent.id || !child.persistent || child.messages.length !== 3 || child.messages[2].content !== 'one') {
+      throw new Error(`Unexpected fork: ${JSON.stringify({ id: child.id, messages: child.messages })}`);
+    }
+    if (child.base_dir !== '/tmp/project' || child.mode !== 'plan' || child.model_name !== 'model-a' || child.title !== 'branch me (fork)'
+      || child.data.memories[0].id !== 'm1' || child.data.todos.length !== 1) {
+      throw new Error(`Fork did not copy settings/memories/todos: ${JSON.stringify(child)}`);
+    }
+    child.data.todos.push({ id: '2', content: 'y', status: 'pending' });
+    if (parent.data.todos.length !== 1) {
+      throw new Error('Fork shares data with its parent');
+    }
+    console.log('  ✓ Fork copies messages before the index, base_dir, mode, memories and todos');
+
+    const reloadedParent = ChatSession.load(parent.id);
+    const reloadedChild = ChatSession.load(child.id);
+    if (!reloadedChild || reloadedChild.data.forked_from.chat_id !== parent.id || reloadedChild.data.forked_from.message_index !== 3
+      || reloadedParent.data.forks.length !== 1 || reloadedParent.data.forks[0].chat_id !== child.id || reloadedParent.messages.length !== 5) {
+      throw new Error(`Lineage not recorded: ${JSON.stringify({ parent: reloadedParent.data, child: reloadedChild && reloadedChild.data })}`);
+    }
+    const other = parent.fork(undefined, { model_name: 'model-b' });
+    if (other.id === child.id || other.messages.length !== 5 || other.model_name !== 'model-b' || parent.data.forks.length !== 2) {
+      throw new Error(`Second fork is wrong: ${JSON.stringify({ id: other.id, model_name: other.model_name })}`);
+    }
+    console.log('  ✓ Lineage is recorded on both chats; forks get distinct ids and model overrides');
+
+    let threw = false;
+    try { parent.fork(6); } catch { threw = true; }
+    if (!threw) throw new Error('Expected fork past the end to throw');
+    console.log('  ✓ Out-of-range indexes are rejected');
+  } finally {
+    ChatSession.setChatsDir(prevChatsDir);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+async function testChatStores() {
+  console.log('\n=== Test: chat storage adapters (JSON files, JSONL + index) ===');
+
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { JsonFileChatStore, JsonlChatStore } = require('./viib-etch.js');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'viib-etch-stores-'));
+  const prevStore = ChatSession.getStore();
+  try {
+    let threw = false;
+    try { ChatSession.setStore({ load() {}, save() {} }); } catch { threw = true; }
+    if (!threw) throw new Error('Expected setStore to reject an incomplete adapter');
+
+    // Default-format store in an explicit directory
+    ChatSession.setStore(new JsonFileChatStore(path.join(tmpDir, 'json')));
+    const a = new ChatSession({ title: 'json chat', model_name: 'm' });
+    a.enablePersistence();
+    a.addMessage({ role: 'user', content: 'hi' });
+    if (!fs.existsSync(path.join(tmpDir, 'json', `chat.${a.id}.json`)) || ChatSession.load(a.id).messages.length !== 1) {
+      throw new Error('JsonFileChatStore did not write chat.<id>.json');
+    }
+    if (ChatSession.listChatSessions()[0].id !== a.id || !ChatSession.deleteChatSession(a.id) || ChatSession.load(a.id)) {
+      throw new Error('JsonFileChatStore list/delete failed');
+    }
+    console.log('  ✓ JsonFileChatStore loads, saves, lists and deletes chat.<id>.json files');
+
+    const dir = path.join(tmpDir, 'jsonl');
+    const store = new JsonlChatStore(dir);
+    ChatSession.setStore(store);
+    const chat = new ChatSession({ title: 'jsonl chat', model_name: 'm', data: { usage: { total: { cost: 0.5 } } } });
+    chat.addImage({ kind: 'reference', mime_type: 'image/png', data_b64: 'AAAA' });
+    chat.enablePersistence();
+    const chatDir = path.join(dir, chat.id);
+    const mediaMtime = fs.statSync(path.join(chatDir, 'media.json')).mtimeMs;
+    chat.addMessage({ role: 'user', content: 'line\none' });
+    const first = fs.readFileSync(path.join(chatDir, 'messages.jsonl'), 'utf8');
+    chat.addMessage({ role: 'assistant', content: 'two' });
+    const second = fs.readFileSync(path.join(chatDir, 'messages.jsonl'), 'utf8');
+    if (first.split('\n').length !== 2 || !second.startsWith(first) || second.split('\n').length !== 3) {
+      throw new Error(`Expected one appended line per message, got ${JSON.stringify(second)}`);
+    }
+    if (fs.statSync(path.join(chatDir, 'media.json')).mtimeMs !== mediaMtime || fs.readFileSync(path.join(chatDir, 'meta.json'), 'utf8').includes('AAAA')) {
+      throw new Error('Images should live in media.json and only be written when they change');
+    }
+    console.log('  ✓ New messages are appended; media is kept out of meta.json and not rewritten');
+
+    chat.data.fileOriginals = { '/tmp/big.txt': 'ORIGINAL-CONTENTS' };
+    chat.data.checkpoints = [{ message_index: 0, files: { '/tmp/big.txt': 'CHECKPOINT-CONTENTS' } }];
+    chat.save();
+    const dataMtime = fs.statSync(path.join(chatDir, 'data.json')).mtimeMs;
+    const indexText = fs.readFileSync(path.join(dir, 'index.json'), 'utf8');
+    chat.addMessage({ role: 'user', content: 'three' });
+    const metaText = fs.readFileSync(path.join(chatDir, 'meta.json'), 'utf8');
+    if (metaText.includes('ORIGINAL-CONTENTS') || metaText.includes('CHECKPOINT-CONTENTS')
+      || fs.statSync(path.join(chatDir, 'data.json')).mtimeMs !== dataMtime
+      || fs.readFileSync(path.join(dir, 'index.json'), 'utf8') !== indexText) {
+      throw new Error('Expected file contents in data.json and no data.json/index.json rewrite per message');
+    }
+    const withData = new JsonlChatStore(dir).load(chat.id);
+    if (withData.data.fileOriginals['/tmp/big.txt'] !== 'ORIGINAL-CONTENTS' || withData.data.checkpoints.length !== 1
+      || withData.data.usage.total.cost !== 0.5 || new JsonlChatStore(dir).list()[0].message_count !== 3) {
+      throw new Error(`Unexpected reload of data.json: ${JSON.stringify(withData.data)}`);
+    }
+    chat.messages.pop();
+    delete chat.data.fileOriginals;
+    delete chat.data.checkpoints;
+    chat.save();
+    console.log('  ✓ File contents live in data.json; index.json is not rewritten per message');
+
+    chat.messages[0].content = 'edited';
+    chat.save();
+    const reloaded = new JsonlChatStore(dir).load(chat.id);
+    if (reloaded.messages.length !== 2 || reloaded.messages[0].content !== 'edited' || Object.keys(reloaded.images).length !== 1
+      || reloaded.title !== 'jsonl chat' || 'message_count' in reloaded) {
+      throw new Error(`Unexpected reload: ${JSON.stringify(reloaded)}`);
+    }
+    fs.appendFileSync(path.join(chatDir, 'messages.jsonl'), '{"role":"assis', 'utf8');
+    const torn = ChatSession.load(chat.id);
+    torn.addMessage({ role: 'user', content: 'after crash' });
+    if (ChatSession.load(chat.id).messages.map(m => m.content).join('|') !== 'edited|two|after crash') {
+      throw new Error('A partial last line should be dropped and the log rewritten');
+    }
+    console.log('  ✓ Edited history and a torn last line are rewritten on save');
+
+    const listed = ChatSession.listChatSessions();
+    if (listed.length !== 1 || listed[0].id !== chat.id || listed[0].message_count !== 3 || listed[0].cost !== 0.5 || !(listed[0].modified instanceof Date)) {
+      throw new Error(`Unexpected list: ${JSON.stringify(listed)}`);
+    }
+    fs.unlinkSync(path.join(dir, 'index.json'));
+    if (ChatSession.listChatSessions()[0].id !== chat.id || !fs.existsSync(path.join(dir, 'index.json'))) {
+      throw new Error('Expected list() to rebuild a missing index');
+    }
+    if (!ChatSession.deleteChatSession(chat.id) || fs.existsSync(chatDir) || ChatSession.listChatSessions().length !== 0
+      || ChatSession.load('../x') !== null) {
+      throw new Error('JsonlChatStore delete failed');
+    }
+    console.log('  ✓ list() reads index.json (rebuilt if missing); delete removes the chat');
+  } finally {
+    ChatSession.setStore(prevStore);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+async function testMediaBlobs() {
+  console.log('\n=== Test: content-addressed media blobs ===');
+
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const crypto = require('crypto');
+  const { JsonFileChatStore } = require('./viib-etch.js');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'viib-etch-blobs-'));
+  const prevStore = ChatSession.getStore();
+  try {
+    ChatSession.setStore(new JsonFileChatStore(tmpDir));
+    const hash = crypto.createHash('sha256').update('hello').digest('hex');
+    const blobFile = path.join(tmpDir, 'blobs', hash.slice(0, 2), hash);
+    const refs = () => JSON.parse(fs.readFileSync(path.join(tmpDir, 'blobs', 'refs.json'), 'utf8'));
+
+    const inMemory = new ChatSession({});
+    const memId = inMemory.addImage({ kind: 'reference', mime_type: 'image/png', data_b64: 'aGVsbG8=' });
+    if (inMemory.getImage(memId).data_b64 !== 'aGVsbG8=' || fs.existsSync(blobFile)) {
+      throw new Error('Non-persistent chats should keep media inline');
+    }
+
+    const a = new ChatSession({ title: 'a' });
+    a.enablePersistence();
+    const imageId = a.addImage({ kind: 'reference', mime_type: 'image/png', data_b64: 'aGVsbG8=' });
+    const audioId = a.addAudio({ kind: 'voiceover', mime_type: 'audio/mpeg', data_b64: 'aGVsbG8=' });
+    const saved = fs.readFileSync(path.join(tmpDir, `chat.${a.id}.json`), 'utf8');
+    if (saved.includes('aGVsbG8=') || !fs.existsSync(blobFile) || a.getImage(imageId).blob !== hash || a.getImage(imageId).bytes !== 5) {
+      throw new Error(`Expected media to be stored as a blob reference, got ${saved}`);
+    }
+    const loaded = ChatSession.load(a.id);
+    if (loaded.getImageData(imageId).toString() !== 'hello' || loaded.getAudioData(audioId).toString() !== 'hello'
+      || ChatSession.mediaBase64(loaded.getImage(imageId)) !== 'aGVsbG8=') {
+      throw new Error('Expected blob data to load lazily');
+    }
+    console.log('  ✓ Persistent chats keep only blob references; data loads lazily');
+
+    const b = a.fork();
+    b.save();
+    if (JSON.stringify(refs()[hash].sort()) !== JSON.stringify([a.id, b.id].sort())) {
+      throw new Error(`Expected both chats to reference the blob, got ${JSON.stringify(refs())}`);
+    }
+    a.cleanupImages();
+    a.audio = {};
+    a.save();
+    if (!fs.existsSync(blobFile) || JSON.stringify(refs()[hash]) !== JSON.stringify([b.id])) {
+      throw new Error('A blob still used by another chat must be kept');
+    }
+    ChatSession.deleteChatSession(b.id);
+    if (fs.existsSync(blobFile) || refs()[hash]) {
+      throw new Error('Blob should be deleted with its last reference');
+    }
+    console.log('  ✓ Blobs are shared across chats and deleted with their last reference');
+
+    const c = new ChatSession({ title: 'c' });
+    c.enablePersistence();
+    c.addImage({ kind: 'reference', mime_type: 'image/png', data_b64: 'aGVsbG8=' });
+    const orphan = path.join(tmpDir, 'blobs', 'ab', 'ab'.repeat(32));
+    fs.mkdirSync(path.dirname(orphan), { recursive: true });
+    fs.writeFileSync(orphan, 'x');
+    fs.unlinkSync(path.join(tmpDir, 'blobs', 'refs.json'));
+    const gc = ChatSession.collectBlobGarbage();
+    if (!gc.removed.includes('ab'.repeat(32)) || fs.existsSync(orphan) || !gc.kept.includes(hash) || JSON.stringify(refs()[hash]) !== JSON.stringify([c.id])) {
+      throw new Error(`Unexpected sweep: ${JSON.stringify(gc)}`);
+    }
+    console.log('  ✓ collectBlobGarbage rebuilds refs and removes orphaned blobs');
+  } finally {
+    ChatSession.setStore(prevStore);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+async function testSearchChats() {
+  console.log('\n=== Test: searchChats (full-text index) ===');
+
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { JsonFileChatStore, searchChats } = require('./viib-etch.js');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'viib-etch-search-'));
+  const prevStore = ChatSession.getStore();
+  try {
+    const store = new JsonFileChatStore(tmpDir);
+    ChatSession.setStore(store);
+    // Saved straight through the store, i.e. before the index existed
+    store.save({ id: 'legacy1', title: 'Old chat', model_name: 'm1', messages: [{ role: 'user', content: 'legacy websocket question' }] });
+
+    const a = new ChatSession({ title: 'Fix SSE replay bug', model_name: 'm1', base_dir: '/work/viib' });
+    a.enablePersistence();
+    a.addMessage({ role: 'system', content: 'system prompt about replay' });
+    a.addMessage({ role: 'user', content: 'Events are lost after reconnect' });
+    a.addMessage({ role: 'assistant', content: null, tool_calls: [{ id: 't1', type: 'function', function: { name: 'rg', arguments: '{"pattern":"lastEventId"}' } }] });
+    a.addMessage({ role: 'assistant', content: 'The replay skips the last event id.' });
+    const b = new ChatSession({ title: 'Other', model_name: 'm2', base_dir: '/elsewhere' });
+    b.enablePersistence();
+    b.addMessage({ role: 'user', content: 'replay the audio track' });
+
+    const hits = searchChats('replay');
+    const keys = hits.map(h => `${h.chat_id}:${h.message_index}`);
+    if (hits[0].chat_id !== a.id || hits[0].message_index !== null || !keys.includes(`${a.id}:3`) || !keys.includes(`${b.id}:0`) || keys.includes(`${a.id}:0`)) {
+      throw new Error(`Unexpected results: ${JSON.stringify(hits)}`);
+    }
+    const toolHit = searchChats('lasteventid rg');
+    if (toolHit.length !== 1 || toolHit[0].message_index !== 2 || toolHit[0].role !== 'assistant' || !toolHit[0].snippet.includes('lastEventId')) {
+      throw new Error(`Expected a tool-call argument match, got ${JSON.stringify(toolHit)}`);
+    }
+    if (searchChats('"last event id"').length !== 1 || searchChats('"event last"').length !== 0) {
+      throw new Error('Quoted phrases should match exactly');
+    }
+    if (searchChats('websocket')[0]?.chat_id !== 'legacy1') {
+      throw new Error('Chats saved before the index existed should be backfilled');
+    }
+    console.log('  ✓ Titles, message content and tool call arguments are searchable (system prompts are not)');
+
+    if (searchChats('replay', { model: 'm2' }).some(h => h.chat_id !== b.id)
+      || searchChats('replay', { base_dir: '/work' }).some(h => h.chat_id !== a.id)
+      || searchChats('replay', { since: Date.now() + 60000 }).length !== 0) {
+      throw new Error('Filters were not applied');
+    }
+    let threw = false;
+    try { searchChats('replay', { since: 'not a date' }); } catch { threw = true; }
+    if (!threw) throw new Error('Expected an invalid since to throw');
+    console.log('  ✓ model, base_dir and since filters work');
+
+    const shard = path.join(tmpDir, 'search', `${a.id}.jsonl`);
+    const before = fs.readFileSync(shard, 'utf8');
+    a.addMessage({ role: 'user', content: 'now try heartbeat frames' });
+    const after = fs.readFileSync(shard, 'utf8');
+    if (!after.startsWith(before) || after.slice(before.length).split('\n').filter(Boolean).length !== 2) {
+      throw new Error('Expected the index to append the new message and a meta line');
+    }
+    a.messages[1].content = 'Events vanish after reconnect';
+    a.save();
+    if (searchChats('heartbeat')[0]?.message_index !== 4 || searchChats('vanish').length !== 1 || searchChats('lost after').length !== 0) {
+      throw new Error('Expected edited and new messages to be searchable');
+    }
+    a.messages = a.messages.slice(0, 2);
+    a.save();
+    if (searchChats('heartbeat').length !== 0) {
+      throw new Error('Truncated messages should drop out of the index');
+    }
+    ChatSession.deleteChatSession(b.id);
+    if (searchChats('audio').length !== 0 || fs.existsSync(path.join(tmpDir, 'search', `${b.id}.jsonl`))) {
+      throw new Error('Deleted chats should be removed from the index');
+    }
+    console.log('  ✓ The index is updated incrementally on save and on delete');
+  } finally {
+    ChatSession.setStore(prevStore);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+async function testExportImport() {
+  console.log('\n=== Test: chat export (Markdown, HTML, JSONL) + import ===');
+
+  const png = Buffer.from('89504e470d0a1a0a', 'hex').toString('base64');
+  const chat = new ChatSession({
+    title: 'Fix <b> tag',
+    model_name: 'm1',
+    base_dir: '/work',
+    images: { img1: { id: 'img1', kind: 'reference', mime_type: 'image/png', data_b64: png } },
+  });
+  chat.messages.push(
+    { role: 'system', content: 'You are terse.' },
+    { role: 'user', content: 'Patch the ```fence``` parser' },
+    {
+      role: 'assistant', content: '', reasoning: 'Need to look at parser.js',
+      tool_calls: [{ id: 'c1', type: 'function', function: { name: 'apply_patch', arguments: '{"patchCommand":"*** Begin Patch"}' } }],
+    },
+    { role: 'tool', tool_call_id: 'c1', name: 'apply_patch', content: 'Applied <script>alert(1)</script>' },
+    { role: 'assistant', content: 'Done: **fixed**.' },
+    { role: 'user', content: { type: 'image_prompt', prompt: 'Draw the parser', reference_images: ['img1'] } },
+  );
+  chat.data.diffs = { c1: { diff: '--- a/parser.js\n+++ b/parser.js\n-old\n+new', patchCommand: null, toolName: 'apply_patch' } };
+
+  const md = chat.exportMarkdown();
+  if (!md.startsWith('# Fix <b> tag') || !md.includes('Patch the ```fence``` parser') || !md.includes('<details><summary>Reasoning</summary>')
+    || !md.includes('```diff\n--- a/parser.js') || !md.includes('Applied <script>') || !md.includes(`![img1](data:image/png;base64,${png})`)) {
+    throw new Error(`Unexpected Markdown export:\n${md}`);
+  }
+  if (chat.exportMarkdown({ images: false, system: false }).match(/data:image|You are terse/)) {
+    throw new Error('images: false / system: false were not applied');
+  }
+  console.log('  ✓ Markdown includes reasoning, tool calls with diffs and results, and inline images');
+
+  const html = chat.exportHtml();
+  if (!html.startsWith('<!DOCTYPE html>') || !html.includes('<title>Fix &lt;b&gt; tag</title>') || html.includes('<script>alert')
+    || !html.includes('<strong>fixed</strong>') || !html.includes('<span class="add">+new</span>') || !html.includes(`src="data:image/png;base64,${png}"`)) {
+    throw new Error(`Unexpected HTML export:\n${html}`);
+  }
+  console.log('  ✓ HTML is self-contained and escapes message and tool output');
+
+  // MIME types come from clients: a crafted one must not break out of the data: URL.
+  const evil = new ChatSession({
+    images: { bad: { id: 'bad', kind: 'reference', mime_type: 'image/png"><script>alert(1)</script>', data_b64: png } },
+  });
+  evil.messages.push({ role: 'user', content: { type: 'image_prompt', prompt: 'x', reference_images: ['bad'] } });
+  const evilHtml = evil.exportHtml();
+  const evilMd = evil.exportMarkdown();
+  if (evilHtml.includes('<script>alert') || !evilHtml.includes(`src="data:application/octet-stream;base64,${png}"`)
+    || evilMd.includes('<script>') || !evilMd.includes('_[media: bad]_')) {
+    throw new Error(`Expected an invalid MIME type to be replaced, got:\n${evilHtml}\n${evilMd}`);
+  }
+  console.log('  ✓ Invalid media MIME types cannot inject markup');
+
+  const jsonl = chat.exportJsonl({ tools: [] });
+  const example = JSON.parse(jsonl);
+  const roles = example.messages.map(m => m.role).join(',');
+  if (jsonl.trim().includes('\n') || roles !== 'system,user,assistant,tool,assistant,user' || example.tools
+    || example.messages[2].content !== undefined || example.messages[2].tool_calls[0].function.name !== 'apply_patch'
+    || example.messages[5].content[1].image_url.url !== `data:image/png;base64,${png}`) {
+    throw new Error(`Unexpected JSONL export: ${jsonl}`);
+  }
+  const withTools = JSON.parse(chat.exportJsonl());
+  if (!withTools.tools || withTools.tools.map(t => t.function.name).join() !== 'apply_patch') {
+    throw new Error('Expected the definitions of the called tools by default');
+  }
+  const out = chat.exportChat('md');
+  const stripDate = (s) => s.replace(/- Exported: `[^`]+`/, '');
+  if (stripDate(out.content) !== stripDate(md) || out.file_name !== `chat.${chat.id}.md`) {
+    throw new Error('exportChat("md") should match exportMarkdown()');
+  }
+  let threw = false;
+  try { chat.exportChat('pdf'); } catch { threw = true; }
+  if (!threw) throw new Error('Unknown formats should throw');
+  console.log('  ✓ JSONL is one OpenAI fine-tuning example with tool calls, tool results and images');
+
+  const imported = ChatSession.importChat(`${jsonl}${jsonl}`, { line: 1, model_name: 'm2' });
+  const m = imported.messages;
+  const ref = m[5].content.reference_images[0];
+  if (imported.id === chat.id || imported.persistent || imported.model_name !== 'm2' || imported.data.imported_from.line !== 1
+    || m.length !== 6 || m[3].name !== 'apply_patch' || m[2].tool_calls[0].id !== 'c1' || m[5].content.prompt !== 'Draw the parser'
+    || imported.getImageData(ref).toString('base64') !== png) {
+    throw new Error(`Unexpected import: ${JSON.stringify(imported.toData())}`);
+  }
+  if (JSON.stringify(JSON.parse(imported.exportJsonl({ tools: [] }))) !== JSON.stringify(example)) {
+    throw new Error('Re-exporting an imported chat should round-trip');
+  }
+  for (const bad of ['', 'not json', '{"foo":1}', '{"messages":[{"role":"developer","content":"x"}]}']) {
+    threw = false;
+    try { ChatSession.importChat(bad); } catch { threw = true; }
+    if (!threw) throw new Error(`Expected importChat to reject ${JSON.stringify(bad)}`);
+  }
+  console.log('  ✓ importChat rebuilds a chat (and its images) from fine-tuning JSONL');
+}
+
+async function testMockProvider() {
+  console.log('\n=== Test: mock provider (all four APIs, streaming + non-streaming, tool loop) ===');
+
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { createMockProvider, mockModelConfig } = require('./viib-etch-mock.js');
+  const { getToolDefinitions } = require('./viib-etch-tools.js');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'viib-etch-mock-'));
+  fs.writeFileSync(path.join(tmpDir, 'hello.txt'), 'hello from disk\n');
+  const tools = getToolDefinitions(path.join(__dirname, 'viib-etch-tools.json'), ['read_file']);
+  const script = () => [
+    { match: 'descriptive title', content: 'Mock chat', repeat: true },
+    {
+      reasoning: 'Read the file first.',
+      tool_calls: [{ name: 'read_file', arguments: { target_file: 'hello.txt' } }],
+      usage: { input_tokens: 20, output_tokens: 8, cached_input_tokens: 4 },
+    },
+    { expect: 'hello from disk', reasoning: 'Got it.', content: 'The file says hello from disk.', usage: { input_tokens: 40, output_tokens: 10 } },
+  ];
+
+  try {
+    for (const api of ['chat', 'responses', 'anthropic', 'gemini']) {
+      for (const stream of [false, true]) {
+        const mock = createMockProvider(script());
+        const url = await mock.listen();
+        try {
+          const events = [];
+          const chat = new ChatSession({ model_name: `mock-${api}`, base_dir: tmpDir });
+          const llm = new ChatLLM(`mock-${api}`, chat, tools, {
+            onReasoningData: () => events.push('reasoning'),
+            onResponseData: () => events.push('response'),
+            onToolCallStart: (tc) => events.push(`tool:${tc.function.name}`),
+            onTitle: (title) => events.push(`title:${title}`),
+          });
+          llm._model = new ChatModel(mockModelConfig(url, api));
+          const result = await llm.send('What does hello.txt say?', { stream });
+          const label = `${api}/${stream ? 'stream' : 'no-stream'}`;
+
+          const tool = chat.messages.find(m => m.role === 'tool');
+          const last = chat.messages[chat.messages.length - 1];
+          if (!tool || !String(tool.content).includes('hello from disk') || last.content !== 'The file says hello from disk.' || result.content !== last.content) {
+            throw new Error(`${label}: unexpected messages ${JSON.stringify(chat.messages)}`);
+          }
+          if (!events.includes('tool:read_file') || !events.includes('response') || mock.pending() !== 0) {
+            throw new Error(`${label}: hooks or turns missing: ${JSON.stringify({ events, pending: mock.pending() })}`);
+          }
+          // Chat completions and Gemini surface reasoning; the other parsers drop it.
+          if ((api === 'chat' || api === 'gemini') && (!events.includes('reasoning') || last.reasoning !== 'Got it.')) {
+            throw new Error(`${label}: expected reasoning, got ${JSON.stringify({ events, reasoning: last.reasoning })}`);
+          }
+          // Anthropic chats have no title model (title requests go to chat completions).
+          if (api !== 'anthropic' && chat.title !== 'Mock chat') {
+            throw new Error(`${label}: expected the scripted title, got ${chat.title}`);
+          }
+          const usage = chat.getUsage().total;
+          if (usage.input_tokens !== 60 || usage.output_tokens !== 18) {
+            throw new Error(`${label}: unexpected usage ${JSON.stringify(usage)}`);
+          }
+          const served = mock.requests.filter(r => !JSON.stringify(r.body).includes('descriptive title'));
+          if (served.length !== 2 || served.some(r => r.api !== api || r.stream !== stream)) {
+            throw new Error(`${label}: unexpected requests ${JSON.stringify(served.map(r => [r.api, r.stream]))}`);
+          }
+        } finally {
+          await mock.close();
+        }
+      }
+    }
+    console.log('  ✓ Tool calls, results, reasoning, usage and hooks round-trip through every API and mode');
+
+    const mock = createMockProvider([
+      { error: { status: 503, message: 'overloaded' } },
+      { content: 'recovered' },
+    ]);
+    const url = await mock.listen();
+    try {
+      const retries = [];
+      const chat = new ChatSession({ model_name: 'mock-chat', title: 'retry' });
+      const llm = new ChatLLM('mock-chat', chat, null, { onRetry: (info) => retries.push(info) });
+      llm._model = new ChatModel(mockModelConfig(url, 'chat', { retry: { max_attempts: 2, initial_delay_ms: 1 } }));
+      const result = await llm.send('hi', { stream: true });
+      if (result.content !== 'recovered' || retries.length !== 1) {
+        throw new Error(`Expected one retry, got ${JSON.stringify({ result, retries })}`);
+      }
+      let err = null;
+      try { await llm.send('again', { stream: false }); } catch (e) { err = e; }
+      if (!err || !/no scripted response left/.test(err.message)) {
+        throw new Error(`Expected an exhausted-script error, got ${err && err.message}`);
+      }
+    } finally {
+      await mock.close();
+    }
+    console.log('  ✓ Scripted errors drive retries; an exhausted script fails the request');
+
+    // UI server: send a message and follow the SSE event stream of the run.
+    const http = require('http');
+    const { createViibEtchUI } = require('./viib-etch-ui.js');
+    const { getModelsFileName, setModelsFileName, getChatsDir, setChatsDir } = require('./viib-etch.js');
+    const uiMock = createMockProvider(script());
+    const mockUrl = await uiMock.listen();
+    const modelsFile = path.join(tmpDir, 'models.json');
+    fs.writeFileSync(modelsFile, JSON.stringify([mockModelConfig(mockUrl, 'chat', { tools: ['read_file'] })]));
+    const prevModelsFile = getModelsFileName();
+    const prevChatsDir = getChatsDir();
+    const ui = createViibEtchUI({ chatsDir: path.join(tmpDir, 'chats'), modelsFile, tokensFile: path.join(tmpDir, 'no-tokens') });
+    const server = http.createServer(ui.handler);
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    const api = `http://127.0.0.1:${server.address().port}${ui.apiBase}`;
+    const quiet = { log: console.log, write: process.stdout.write };
+    const restoreOutput = () => { console.log = quiet.log; process.stdout.write = quiet.write; };
+    try {
+      const post = async (p, body) => (await fetch(api + p, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) })).json();
+      const { id } = await post('/chat', { model_name: 'mock-chat' });
+      await post(`/chat/${id}/base_dir`, { base_dir: tmpDir });
+      const events = [];
+      const done = new Promise((resolve, reject) => {
+        http.get(`${api}/chat/${id}/events`, (res) => {
+          let buf = '';
+          res.on('data', (d) => {
+            buf += d;
+            for (let i; (i = buf.indexOf('\n\n')) >= 0; buf = buf.slice(i + 2)) {
+              const ev = /^event: (.*)$/m.exec(buf.slice(0, i));
+              if (ev) events.push(ev[1]);
+              if (ev && /^run\.(done|error)$/.test(ev[1])) { res.destroy(); resolve(); }
+            }
+          });
+        }).on('error', reject);
+      });
+      await new Promise(r => setTimeout(r, 50));
+      // Hide the consoleLogHooks output of the run
+      console.log = () => {};
+      process.stdout.write = () => true;
+      await post(`/chat/${id}/send`, { message: 'What does hello.txt say?', stream: true });
+      await Promise.race([done, new Promise((_, reject) => setTimeout(() => reject(new Error(`SSE run timed out: ${events}`)), 20000))]);
+      restoreOutput();
+      const saved = ChatSession.load(id);
+      const order = ['run.start', 'tool.start', 'assistant.response.delta', 'run.done'].map(e => events.indexOf(e));
+      if (order.some(i => i < 0) || order.some((v, i) => i && v < order[i - 1]) || saved.messages[saved.messages.length - 1].content !== 'The file says hello from disk.') {
+        throw new Error(`Unexpected UI run: ${JSON.stringify({ events, messages: saved.messages })}`);
+      }
+    } finally {
+      restoreOutput();
+      await new Promise(r => server.close(r));
+      await uiMock.close();
+      setModelsFileName(prevModelsFile);
+      setChatsDir(prevChatsDir);
+    }
+    console.log('  ✓ The UI send route streams the tool loop over SSE');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+async function testBackgroundJobsApi() {
+  console.log('\n=== Test: UI background jobs API (list, output, SSE logs, kill) ===');
+
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const http = require('http');
+  const { createViibEtchUI } = require('./viib-etch-ui.js');
+  const { executeTool } = require('./viib-etch-tools.js');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'viib-etch-jobs-'));
+  const ui = createViibEtchUI({ chatsDir: path.join(tmpDir, 'chats'), tokensFile: path.join(tmpDir, 'no-tokens') });
+  const server = http.createServer(ui.handler);
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  const api = `http://127.0.0.1:${server.address().port}${ui.apiBase}`;
+  const prevShell = process.env.SHELL;
+  process.env.SHELL = '/bin/sh';
+  const chatId = `jobs-${Date.now()}`;
+  let pid = null;
+  let sse = null;
+  try {
+    const events = [];
+    let onEvent = () => {};
+    await new Promise((resolve, reject) => {
+      sse = http.get(`${api}/chat/${chatId}/processes/events`, (res) => {
+        let buf = '';
+        res.on('data', (d) => {
+          buf += d;
+          for (let i; (i = buf.indexOf('\n\n')) >= 0; buf = buf.slice(i + 2)) {
+            const block = buf.slice(0, i);
+            const ev = /^event: (.*)$/m.exec(block);
+            const data = /^data: (.*)$/m.exec(block);
+            if (!ev) continue;
+            events.push({ event: ev[1], data: data ? JSON.parse(data[1]) : null });
+            if (ev[1] === 'hello') resolve();
+            onEvent();
+          }
+        });
+      }).on('error', reject);
+    });
+    const waitEvent = (pred, what) => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${what}: ${JSON.stringify(events)}`)), 10000);
+      onEvent = () => {
+        const hit = events.find(pred);
+        if (hit) { clearTimeout(timer); resolve(hit); }
+      };
+      onEvent();
+    });
+
+    const started = await executeTool('run_terminal_cmd', {
+      command: 'echo listening; while :; do sleep 0.05; done',
+      is_background: true,
+    }, { cwd: tmpDir, session: { id: chatId, data: {} } });
+    pid = started.pid;
+    await waitEvent(e => e.event === 'process.output' && e.data.pid === pid && e.data.data.includes('listening'), 'streamed output');
+    if (!events.some(e => e.event === 'process.start' && e.data.process.command.includes('listening'))) {
+      throw new Error(`Expected a process.start event, got ${JSON.stringify(events)}`);
+    }
+    const list = await (await fetch(`${api}/chat/${chatId}/processes`)).json();
+    const out = await (await fetch(`${api}/chat/${chatId}/processes/${pid}/output?since=0`)).json();
+    if (list.processes.length !== 1 || list.processes[0].status !== 'running' || out.output !== 'listening\n') {
+      throw new Error(`Unexpected list/output: ${JSON.stringify({ list, out })}`);
+    }
+    const otherChat = await fetch(`${api}/chat/other/processes/${pid}/output`);
+    if (otherChat.status !== 404) {
+      throw new Error(`Expected 404 for another chat's process, got ${otherChat.status}`);
+    }
+    console.log('  ✓ Jobs are listed per chat and their logs stream over SSE');
+
+    const killed = await (await fetch(`${api}/chat/${chatId}/processes/${pid}/kill`, {
+      method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ signal: 'SIGKILL' }),
+    })).json();
+    const exit = await waitEvent(e => e.event === 'process.exit' && e.data.pid === pid, 'exit event');
+    if (!killed.killed || exit.data.signal !== 'SIGKILL') {
+      throw new Error(`Unexpected kill: ${JSON.stringify({ killed, exit })}`);
+    }
+    console.log('  ✓ The kill route stops the job and the panel sees process.exit');
+  } finally {
+    if (sse) sse.destroy();
+    if (pid) {
+      try { process.kill(-pid, 'SIGKILL'); } catch {}
+    }
+    if (prevShell === undefined) delete process.env.SHELL;
+    else process.env.SHELL = prevShell;
+    await new Promise(r => server.close(r));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+async function testCassettes() {
+  console.log('\n=== Test: provider cassettes (record against the mock, replay offline) ===');
+
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { createMockProvider, mockModelConfig } = require('./viib-etch-mock.js');
+  const { getToolDefinitions } = require('./viib-etch-tools.js');
+  const { setCassetteMode, getCassetteMode } = require('./viib-etch.js');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'viib-etch-cassette-'));
+  const cassetteDir = path.join(tmpDir, 'cassettes');
+  fs.writeFileSync(path.join(tmpDir, 'hello.txt'), 'hello from disk\n');
+  const tools = getToolDefinitions(path.join(__dirname, 'viib-etch-tools.json'), ['read_file']);
+  const prev = getCassetteMode();
+  const run = async (api, stream, url, message = 'What does hello.txt say?') => {
+    const chat = new ChatSession({ id: `cassette-${api}-${stream}`, model_name: `mock-${api}`, base_dir: tmpDir });
+    const llm = new ChatLLM(`mock-${api}`, chat, tools);
+    llm._model = new ChatModel(mockModelConfig(url, api, { retry: { max_attempts: 1 } }));
+    const result = await llm.send(message, { stream });
+    return { chat, llm, result };
+  };
+  const combos = [];
+  for (const api of ['chat', 'responses', 'anthropic', 'gemini']) {
+    for (const stream of [false, true]) combos.push([api, stream]);
+  }
+
+  try {
+    setCassetteMode('record', cassetteDir);
+    const recorded = {};
+    let deadUrl = null;
+    for (const [api, stream] of combos) {
+      const mock = createMockProvider([
+        { match: 'descriptive title', content: 'Recorded title', repeat: true },
+        { reasoning: 'Read it.', tool_calls: [{ name: 'read_file', arguments: { target_file: 'hello.txt' } }] },
+        { expect: 'hello from disk', content: `Recorded answer (${api}).` },
+      ]);
+      const url = await mock.listen();
+      try {
+        const { chat } = await run(api, stream, url);
+        recorded[`${api}/${stream}`] = chat.messages.map(m => m.content);
+      } finally {
+        await mock.close();
+      }
+      deadUrl = url;
+    }
+    const sample = JSON.parse(fs.readFileSync(path.join(cassetteDir, 'cassette-anthropic-true.json'), 'utf8'));
+    const streamed = sample.interactions[0].response;
+    if (sample.interactions[0].request.url !== '/v1/messages' || !streamed.chunks.length || !streamed.chunks.join('').includes('event: message_stop')) {
+      throw new Error(`Unexpected cassette: ${JSON.stringify(sample).slice(0, 500)}`);
+    }
+    console.log('  ✓ Record mode writes one cassette per chat, keeping SSE chunks');
+
+    // Replay against a closed port: any request that reached the network would fail.
+    setCassetteMode('replay', cassetteDir);
+    for (const [api, stream] of combos) {
+      const { chat } = await run(api, stream, deadUrl);
+      const contents = chat.messages.map(m => m.content);
+      if (JSON.stringify(contents) !== JSON.stringify(recorded[`${api}/${stream}`])) {
+        throw new Error(`${api}/${stream}: replay differs: ${JSON.stringify({ contents, recorded: recorded[`${api}/${stream}`] })}`);
+      }
+    }
+    console.log('  ✓ Replay serves every API and mode from the cassette without network');
+
+    setCassetteMode('replay', cassetteDir);
+    let err = null;
+    try { await run('chat', true, deadUrl, 'What does README say?'); } catch (e) { err = e; }
+    if (!err || !/cassette drift: request #1 .* at body\.messages\[0\]\.content/.test(err.message)) {
+      throw new Error(`Expected a drift error, got ${err && err.message}`);
+    }
+    setCassetteMode('replay', cassetteDir);
+    const { llm } = await run('gemini', false, deadUrl);
+    err = null;
+    try { await llm.send('one more', { stream: false }); } catch (e) { err = e; }
+    if (!err || !/has no recording for request #4/.test(err.message)) {
+      throw new Error(`Expected a missing-recording error, got ${err && err.message}`);
+    }
+    console.log('  ✓ Changed or extra requests fail with a cassette drift error');
+
+    // A Gemini SDK without the apiCall() hook is refused rather than bypassing the cassette.
+    const { GoogleGenAI } = require('@google/genai');
+    const apiClientProto = Object.getPrototypeOf(new GoogleGenAI({ apiKey: 'test-key' }).apiClient);
+    const apiCall = apiClientProto.apiCall;
+    delete apiClientProto.apiCall;
+    err = null;
+    try { await run('gemini', false, deadUrl); } catch (e) { err = e; } finally { apiClientProto.apiCall = apiCall; }
+    if (!err || !/no apiClient\.apiCall\(\)/.test(err.message)) {
+      throw new Error(`Expected a missing Gemini hook to be an error, got ${err && err.message}`);
+    }
+    console.log('  ✓ A Gemini SDK without the hook is an error');
+  } finally {
+    setCassetteMode(null);
+    if (prev.mode) setCassetteMode(prev.mode, prev.dir);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
 async function testLoadModels() {
   console.log('\n=== Test: Load Models ===');
   try {
@@ -725,6 +1863,42 @@ async function runTests() {
     await testAnthropicModelDetectionAndKeyEnv();
     await testAnthropicToolConversion();
 
+    // Context-window compaction (no network)
+    await testContextCompaction();
+
+    // Provider retries / fallback (no network)
+    await testRetryAndFallback();
+
+    // Usage / cost accounting (no network)
+    await testUsageAccounting();
+
+    // CLI (local stub server, no API keys)
+    await testCli();
+
+    // Branching (no network)
+    await testForkChat();
+
+    // Storage adapters (no network)
+    await testChatStores();
+
+    // Media blob store (no network)
+    await testMediaBlobs();
+
+    // Full-text search (no network)
+    await testSearchChats();
+
+    // Export / import (no network)
+    await testExportImport();
+
+    // Mock provider (local server, no network)
+    await testMockProvider();
+
+    // Record / replay cassettes (local server, no network)
+    await testCassettes();
+
+    // UI background jobs API (local processes, no network)
+    await testBackgroundJobsApi();
+
     // Test 1: Load models
     const models = await testLoadModels();
     
@@ -804,6 +1978,18 @@ if (require.main === module) {
 }
 
 module.exports = {
+  testContextCompaction,
+  testRetryAndFallback,
+  testUsageAccounting,
+  testCli,
+  testForkChat,
+  testChatStores,
+  testMediaBlobs,
+  testSearchChats,
+  testExportImport,
+  testMockProvider,
+  testCassettes,
+  testBackgroundJobsApi,
   testLoadModels,
   testChatSession,
   testChatLLM,
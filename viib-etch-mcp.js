@@ -0,0 +1,361 @@
+#!/usr/bin/env node
+// viib-etch-mcp.js
+// MCP (Model Context Protocol) server for viib-etch, so other agents and IDEs
+// (Claude Desktop, Cursor, ...) can use its tools and delegate work to its models.
+//
+// Exposes:
+// - the built-in tools from viib-etch-tools.json (read_file, apply_patch, rg, run_terminal_cmd, ...),
+//   run in one base directory. Path arguments that point outside it are refused.
+// - chat_send / chat_list / chat_get, backed by persistent ChatSession / openChat.
+//
+// Usage (stdio):
+//   node viib-etch-mcp.js --base-dir /path/to/project [--model gpt-5.1-coder]
+//     [--tools read_file,rg,apply_patch] [--models-file viib-etch-models.json] [--chats-dir ./chats]
+//
+// Claude Desktop / Cursor config:
+//   { "mcpServers": { "viib-etch": { "command": "node", "args": ["/path/to/viib-etch-mcp.js", "--base-dir", "/path/to/project"] } } }
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const {
+  ChatSession,
+  ChatModel,
+  createChat,
+  openChat,
+  setModelsFileName,
+  setChatsDir,
+} = require('./viib-etch');
+const {
+  getToolDefinitions,
+  executeTool,
+  isToolAllowedInMode,
+} = require('./viib-etch-tools');
+
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const SERVER_INFO = { name: 'viib-etch', version: require('./package.json').version };
+
+const IMAGE_MIME = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp' };
+
+const CHAT_TOOLS = [
+  {
+    name: 'chat_send',
+    description: 'Send a message to a viib-etch chat and wait for the agent to finish (it may run tools in the base directory). '
+      + 'Omit chat_id to start a new chat. Returns the chat id and the final assistant reply.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        message: { type: 'string', description: 'User message / task for the agent.' },
+        chat_id: { type: 'string', description: 'Existing chat to continue. Omit to start a new chat.' },
+        model: { type: 'string', description: 'Model name from viib-etch-models.json for a new chat. Defaults to the server model.' },
+        reasoning_effort: { type: 'string', description: 'Optional reasoning effort override (e.g. low, medium, high).' },
+      },
+      required: ['message'],
+    },
+  },
+  {
+    name: 'chat_list',
+    description: 'List saved viib-etch chats, most recently modified first.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', description: 'Maximum number of chats to return (default 20).' },
+      },
+    },
+    annotations: { readOnlyHint: true },
+  },
+  {
+    name: 'chat_get',
+    description: 'Get a saved viib-etch chat: title, model, base directory and its user/assistant messages.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        chat_id: { type: 'string', description: 'Chat id (from chat_list or chat_send).' },
+        last_n: { type: 'integer', description: 'Only return the last N messages.' },
+      },
+      required: ['chat_id'],
+    },
+    annotations: { readOnlyHint: true },
+  },
+];
+
+function _isOutside(baseDir, p) {
+  const rel = path.relative(baseDir, path.resolve(baseDir, String(p)));
+  return rel === '..' || rel.startsWith(`..${path.sep}`) || path.isAbsolute(rel);
+}
+
+// Paths named by a built-in tool call (lexical check; terminal commands are not inspected).
+// base_dir and system_prompt_file are the task tool's: a sub-agent stays inside the scope too.
+function _toolPaths(name, args) {
+  const paths = [];
+  if (!args || typeof args !== 'object') return paths;
+  for (const key of ['target_file', 'target_directory', 'path', 'base_dir', 'system_prompt_file']) {
+    if (typeof args[key] === 'string' && args[key]) paths.push(args[key]);
+  }
+  if (Array.isArray(args.paths)) paths.push(...args.paths.filter((p) => typeof p === 'string'));
+  if (name === 'apply_patch' && typeof args.patchCommand === 'string') {
+    for (const line of args.patchCommand.split('\n')) {
+      const m = /^\*\*\* (?:Add|Update|Delete) File: (.+)$/.exec(line) || /^\*\*\* Move to: (.+)$/.exec(line);
+      if (m) paths.push(m[1].trim());
+    }
+  }
+  return paths;
+}
+
+// Plain text of a stored message (content may be a string or content blocks).
+function _messageText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.map((b) => (b && typeof b.text === 'string' ? b.text : '')).filter(Boolean).join('\n');
+}
+
+// Tool handler result -> MCP tools/call result.
+function _toCallResult(name, args, result) {
+  if (result && typeof result === 'object' && result.success === false) {
+    return { content: [{ type: 'text', text: String(result.error || JSON.stringify(result)) }], isError: true };
+  }
+  if (name === 'read_file' && typeof result === 'string' && args && IMAGE_MIME[path.extname(String(args.target_file)).toLowerCase()]) {
+    return { content: [{ type: 'image', data: result, mimeType: IMAGE_MIME[path.extname(String(args.target_file)).toLowerCase()] }] };
+  }
+  const text = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+  return { content: [{ type: 'text', text: text === undefined ? '' : text }] };
+}
+
+/**
+ * createMcpServer({ base_dir, model, tools, toolsPath })
+ *
+ * - base_dir: directory built-in tools run in (default process.cwd()).
+ * - model: default model name for chat_send (default: first model in the models file).
+ * - tools: allowlist of built-in tool names (default: every tool in viib-etch-tools.json).
+ *
+ * Returns { handleMessage(msg) -> Promise<reply | null>, listTools(), callTool(name, args), serveStdio() }.
+ */
+function createMcpServer(opts = {}) {
+  const baseDir = path.resolve(opts.base_dir || opts.baseDir || process.cwd());
+  const toolsPath = opts.toolsPath || path.join(__dirname, 'viib-etch-tools.json');
+  const allow = Array.isArray(opts.tools) && opts.tools.length > 0 ? opts.tools : [];
+  const builtins = getToolDefinitions(toolsPath, allow)
+    .filter((d) => d && d.type === 'function' && d.function && d.function.name);
+  const builtinNames = new Set(builtins.map((d) => d.function.name));
+  // In-memory session for todo_write / update_memory state while the server runs.
+  const session = new ChatSession({ model_name: opts.model || 'mcp', base_dir: baseDir });
+  // request id -> ChatLLM, for notifications/cancelled
+  const running = new Map();
+
+  function defaultModel() {
+    if (opts.model) return opts.model;
+    const models = ChatModel.loadModels();
+    if (!models.length) throw new Error('No models configured; start the server with --model');
+    return models[0].name;
+  }
+
+  function listTools() {
+    const tools = builtins.map((d) => ({
+      name: d.function.name,
+      description: d.function.description || '',
+      inputSchema: d.function.parameters && typeof d.function.parameters === 'object' ? d.function.parameters : { type: 'object', properties: {} },
+      annotations: { readOnlyHint: isToolAllowedInMode(d.function.name, 'ask', { filePath: toolsPath }) },
+    }));
+    return [...tools, ...CHAT_TOOLS];
+  }
+
+  async function chatSend(args, requestId) {
+    if (!args || typeof args.message !== 'string' || !args.message.trim()) {
+      throw new Error('chat_send: "message" is required');
+    }
+    let llm;
+    if (args.chat_id) {
+      llm = openChat(String(args.chat_id));
+      // A saved chat keeps its own base_dir; only continue chats inside this server's scope.
+      if (!inScope(llm.chat)) {
+        throw new Error(`chat_send: chat ${llm.chat.id} works in ${llm.getBaseDir() || 'no base directory'}, outside the base directory (${baseDir})`);
+      }
+    } else {
+      llm = createChat(args.model || defaultModel(), true);
+      llm.setBaseDir(baseDir);
+    }
+    // The delegated agent gets no tool the --tools allowlist leaves out (nor the model's MCP tools).
+    const sendOptions = {};
+    if (allow.length > 0) {
+      const tools = (llm.tools || []).filter((t) => t && t.function && builtinNames.has(t.function.name));
+      llm.tools = tools.length > 0 ? tools : null;
+      sendOptions.tools = llm.tools;
+    }
+    if (args.reasoning_effort) llm.reasoning_effort = String(args.reasoning_effort);
+    if (requestId !== undefined) running.set(requestId, llm);
+    try {
+      const result = await llm.send(args.message, sendOptions);
+      const usage = llm.chat.getUsage().total;
+      return {
+        chat_id: llm.chat.id,
+        title: llm.chat.title || null,
+        content: result && typeof result.content === 'string' ? result.content : '',
+        cost: usage.cost,
+      };
+    } finally {
+      running.delete(requestId);
+    }
+  }
+
+  // Saved chats are listed, read and continued only when they work inside this server's base_dir.
+  function inScope(chat) {
+    return !!(chat && chat.base_dir) && !_isOutside(baseDir, chat.base_dir);
+  }
+
+  function chatList(args) {
+    const limit = args && Number.isInteger(args.limit) && args.limit > 0 ? args.limit : 20;
+    return ChatSession.listChatSessions()
+      .filter((c) => inScope('base_dir' in c ? c : ChatSession.load(c.id)))
+      .slice(0, limit)
+      .map((c) => ({
+      id: c.id,
+      title: c.title || null,
+      model_name: c.model_name,
+      message_count: c.message_count,
+      cost: c.cost,
+      modified: c.modified,
+    }));
+  }
+
+  function chatGet(args) {
+    if (!args || !args.chat_id) throw new Error('chat_get: "chat_id" is required');
+    const chat = ChatSession.load(String(args.chat_id));
+    if (!chat) throw new Error(`chat_get: chat not found: ${args.chat_id}`);
+    if (!inScope(chat)) {
+      throw new Error(`chat_get: chat ${chat.id} works in ${chat.base_dir || 'no base directory'}, outside the base directory (${baseDir})`);
+    }
+    let messages = chat.messages
+      .filter((m) => m && (m.role === 'user' || m.role === 'assistant'))
+      .map((m) => ({
+        role: m.role,
+        content: _messageText(m.content),
+        ...(Array.isArray(m.tool_calls) && m.tool_calls.length ? { tool_calls: m.tool_calls.map((t) => t.function && t.function.name) } : {}),
+      }))
+      .filter((m) => m.content || m.tool_calls);
+    if (Number.isInteger(args.last_n) && args.last_n > 0) messages = messages.slice(-args.last_n);
+    return {
+      id: chat.id,
+      title: chat.title || null,
+      model_name: chat.model_name,
+      base_dir: chat.base_dir,
+      cost: chat.getUsage().total.cost,
+      messages,
+    };
+  }
+
+  async function callTool(name, args, requestId) {
+    const toolArgs = args && typeof args === 'object' ? args : {};
+    try {
+      if (name === 'chat_send') return _toCallResult(name, toolArgs, await chatSend(toolArgs, requestId));
+      if (name === 'chat_list') return _toCallResult(name, toolArgs, chatList(toolArgs));
+      if (name === 'chat_get') return _toCallResult(name, toolArgs, chatGet(toolArgs));
+      if (!builtinNames.has(name)) throw new Error(`Unknown tool: ${name}`);
+      const outside = _toolPaths(name, toolArgs).find((p) => _isOutside(baseDir, p));
+      if (outside) throw new Error(`${name}: path is outside the base directory (${baseDir}): ${outside}`);
+      const result = await executeTool(name, toolArgs, { session, cwd: baseDir });
+      return _toCallResult(name, toolArgs, result);
+    } catch (err) {
+      return { content: [{ type: 'text', text: err && err.message ? err.message : String(err) }], isError: true };
+    }
+  }
+
+  // JSON-RPC message -> reply (null for notifications).
+  async function handleMessage(msg) {
+    if (!msg || typeof msg !== 'object' || msg.jsonrpc !== '2.0') {
+      return { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Invalid Request' } };
+    }
+    const isRequest = msg.id !== undefined && msg.id !== null;
+    if (!isRequest) {
+      if (msg.method === 'notifications/cancelled' && msg.params) {
+        const llm = running.get(msg.params.requestId);
+        if (llm) llm.cancel();
+      }
+      return null;
+    }
+    const reply = (result) => ({ jsonrpc: '2.0', id: msg.id, result });
+    const params = msg.params || {};
+    switch (msg.method) {
+      case 'initialize': {
+        const requested = String(params.protocolVersion || '');
+        return reply({
+          protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0],
+          capabilities: { tools: { listChanged: false } },
+          serverInfo: SERVER_INFO,
+          instructions: `viib-etch tools run in ${baseDir}. Use chat_send to delegate a task to a viib-etch agent.`,
+        });
+      }
+      case 'ping':
+        return reply({});
+      case 'tools/list':
+        return reply({ tools: listTools() });
+      case 'tools/call':
+        if (!params.name) {
+          return { jsonrpc: '2.0', id: msg.id, error: { code: -32602, message: 'tools/call: "name" is required' } };
+        }
+        return reply(await callTool(String(params.name), params.arguments, msg.id));
+      default:
+        return { jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: `Method not found: ${msg.method}` } };
+    }
+  }
+
+  // Newline-delimited JSON-RPC on stdin/stdout. Requests are handled concurrently,
+  // so ping and cancellation still work while chat_send is running.
+  function serveStdio({ input = process.stdin, output = process.stdout } = {}) {
+    const write = (obj) => output.write(JSON.stringify(obj) + '\n');
+    const rl = readline.createInterface({ input });
+    rl.on('line', (line) => {
+      if (!line.trim()) return;
+      let msg;
+      try {
+        msg = JSON.parse(line);
+      } catch {
+        write({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+        return;
+      }
+      handleMessage(msg).then((res) => { if (res) write(res); }, (err) => {
+        if (msg && msg.id !== undefined) write({ jsonrpc: '2.0', id: msg.id, error: { code: -32603, message: err.message } });
+      });
+    });
+    return new Promise((resolve) => rl.on('close', resolve));
+  }
+
+  return { handleMessage, listTools, callTool, serveStdio, base_dir: baseDir };
+}
+
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} requires a value`);
+      return argv[++i];
+    };
+    if (arg === '--base-dir' || arg === '--base_dir') out.base_dir = next();
+    else if (arg === '--model' || arg === '-m') out.model = next();
+    else if (arg === '--tools') out.tools = next().split(',').map((s) => s.trim()).filter(Boolean);
+    else if (arg === '--models-file') out.models_file = next();
+    else if (arg === '--chats-dir') out.chats_dir = next();
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return out;
+}
+
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+    if (args.base_dir && !fs.statSync(args.base_dir).isDirectory()) throw new Error(`not a directory: ${args.base_dir}`);
+  } catch (err) {
+    console.error(`viib-etch-mcp: ${err.message}`);
+    process.exit(2);
+  }
+  // stdout carries the protocol; send library logging to stderr.
+  console.log = console.error;
+  if (args.models_file) setModelsFileName(args.models_file);
+  if (args.chats_dir) setChatsDir(args.chats_dir);
+  createMcpServer(args).serveStdio().then(() => process.exit(0));
+}
+
+module.exports = {
+  createMcpServer,
+};
@@ -0,0 +1,453 @@
+#!/usr/bin/env node
+// viib-etch-mock.js
+// Scripted mock provider for deterministic, offline tests. One local HTTP server speaks
+// OpenAI chat completions, OpenAI responses, Anthropic messages and Gemini generateContent,
+// streaming (SSE) and non-streaming, so ChatLLM runs through the real SDKs and parsers.
+//
+// A fixture lists provider-neutral turns:
+//
+//   { "responses": [
+//       { "reasoning": "Look at the file first.",
+//         "tool_calls": [{ "name": "read_file", "arguments": { "target_file": "hello.txt" } }] },
+//       { "expect": "hello from disk", "content": "The file says hello." },
+//       { "match": "descriptive title", "content": "Mock chat", "repeat": true },
+//       { "error": { "status": 503, "message": "overloaded" } }
+//   ] }
+//
+// - Turns are served in order. A turn with `match` (a regex tested against the raw request body)
+//   only answers requests that match it, and is tried before the plain turns.
+// - `repeat: true` keeps a turn for later requests; `expect` fails the request (HTTP 400) unless
+//   the body contains that text; `usage` is { input_tokens, output_tokens, cached_input_tokens,
+//   reasoning_tokens }; `delay_ms` waits before answering.
+// - A request with no turn left gets HTTP 400.
+//
+// Point a model at it with base_url "<url>/v1" (chat completions, responses) or "<url>"
+// (Anthropic, Gemini) and any api_key; mockModelConfig() builds such configs.
+//
+// Usage:
+//   node viib-etch-mock.js fixture.json [--port 8787] [--host 127.0.0.1]
+
+const fs = require('fs');
+const http = require('http');
+
+// Model ids that route ChatLLM to each API (see ChatLLM._completeRouted).
+const MOCK_MODELS = {
+  chat: 'mock-chat',
+  responses: 'gpt-5-mock',
+  anthropic: 'claude-mock',
+  gemini: 'gemini-mock',
+};
+
+function loadMockFixture(fixture) {
+  let data = fixture;
+  if (typeof fixture === 'string') {
+    try {
+      data = JSON.parse(fs.readFileSync(fixture, 'utf8'));
+    } catch (err) {
+      throw new Error(`Failed to load mock fixture ${fixture}: ${err.message}`);
+    }
+  }
+  const turns = Array.isArray(data) ? data : (data && Array.isArray(data.responses) ? data.responses : null);
+  if (!turns) throw new Error('mock fixture must be an array of turns or { responses: [...] }');
+  return turns.map((t, i) => {
+    if (!t || typeof t !== 'object') throw new Error(`mock fixture turn ${i} must be an object`);
+    return { ...t, used: false };
+  });
+}
+
+// ChatModel config for `api` ('chat' | 'responses' | 'anthropic' | 'gemini') served by the mock at `url`.
+function mockModelConfig(url, api = 'chat', extra = {}) {
+  if (!MOCK_MODELS[api]) throw new Error(`mockModelConfig: unknown api: ${api}`);
+  const base = String(url).replace(/\/+$/, '');
+  return {
+    name: `mock-${api}`,
+    model: MOCK_MODELS[api],
+    base_url: (api === 'chat' || api === 'responses') ? `${base}/v1` : base,
+    api_key: 'mock-key',
+    ...extra,
+  };
+}
+
+function _apiForRequest(pathname) {
+  if (/\/chat\/completions$/.test(pathname)) return 'chat';
+  if (/\/responses$/.test(pathname)) return 'responses';
+  if (/\/messages$/.test(pathname)) return 'anthropic';
+  if (/\/models\/[^/:]+:(generateContent|streamGenerateContent)$/.test(pathname)) return 'gemini';
+  return null;
+}
+
+// Words (with their trailing space) so streamed deltas look like real token chunks.
+function _chunks(text) {
+  return String(text || '').match(/\S+\s*|\s+/g) || [];
+}
+
+// Tool-call arguments arrive in two deltas to exercise the accumulators.
+function _halves(s) {
+  const mid = Math.ceil(s.length / 2);
+  return [s.slice(0, mid), s.slice(mid)].filter(Boolean);
+}
+
+function _normalizeTurn(turn, n, raw) {
+  const calls = (Array.isArray(turn.tool_calls) ? turn.tool_calls : []).map((c, k) => {
+    const args = c.arguments === undefined ? {} : c.arguments;
+    return {
+      id: c.id ? String(c.id) : `call_mock_${n}_${k}`,
+      name: String(c.name || ''),
+      input: typeof args === 'string' ? JSON.parse(args || '{}') : args,
+      arguments: typeof args === 'string' ? args : JSON.stringify(args),
+    };
+  });
+  const content = turn.content === undefined || turn.content === null ? '' : String(turn.content);
+  const reasoning = turn.reasoning ? String(turn.reasoning) : '';
+  const u = turn.usage || {};
+  const input = Number.isFinite(u.input_tokens) ? u.input_tokens : Math.ceil(raw.length / 4);
+  const output = Number.isFinite(u.output_tokens) ? u.output_tokens
+    : Math.ceil((content.length + reasoning.length + calls.reduce((s, c) => s + c.arguments.length, 0)) / 4) || 1;
+  return {
+    content,
+    reasoning,
+    calls,
+    usage: { input, output, cached: u.cached_input_tokens || 0, reasoning: u.reasoning_tokens || 0 },
+  };
+}
+
+// --- OpenAI chat completions ---
+
+function _chatCompletion(t, n, model) {
+  const message = { role: 'assistant', content: t.content || null };
+  if (t.reasoning) message.reasoning = t.reasoning;
+  if (t.calls.length) {
+    message.tool_calls = t.calls.map(c => ({ id: c.id, type: 'function', function: { name: c.name, arguments: c.arguments } }));
+  }
+  return {
+    id: `chatcmpl-mock-${n}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{ index: 0, message, finish_reason: t.calls.length ? 'tool_calls' : 'stop' }],
+    usage: _chatUsage(t),
+  };
+}
+
+function _chatUsage(t) {
+  return {
+    prompt_tokens: t.usage.input,
+    completion_tokens: t.usage.output,
+    total_tokens: t.usage.input + t.usage.output,
+    prompt_tokens_details: { cached_tokens: t.usage.cached },
+    completion_tokens_details: { reasoning_tokens: t.usage.reasoning },
+  };
+}
+
+function _chatStreamEvents(t, n, model, body) {
+  const base = { id: `chatcmpl-mock-${n}`, object: 'chat.completion.chunk', created: Math.floor(Date.now() / 1000), model };
+  const chunk = (delta, finish_reason = null) => ({ data: { ...base, choices: [{ index: 0, delta, finish_reason }] } });
+  const events = [chunk({ role: 'assistant', content: '' })];
+  for (const piece of _chunks(t.reasoning)) events.push(chunk({ reasoning: piece }));
+  for (const piece of _chunks(t.content)) events.push(chunk({ content: piece }));
+  t.calls.forEach((c, index) => {
+    events.push(chunk({ tool_calls: [{ index, id: c.id, type: 'function', function: { name: c.name, arguments: '' } }] }));
+    for (const part of _halves(c.arguments)) events.push(chunk({ tool_calls: [{ index, function: { arguments: part } }] }));
+  });
+  events.push(chunk({}, t.calls.length ? 'tool_calls' : 'stop'));
+  if (body.stream_options && body.stream_options.include_usage) {
+    events.push({ data: { ...base, choices: [], usage: _chatUsage(t) } });
+  }
+  events.push({ raw: '[DONE]' });
+  return events;
+}
+
+// --- OpenAI responses ---
+
+function _responseOutput(t, n) {
+  const output = [];
+  if (t.reasoning) {
+    output.push({ id: `rs_mock_${n}`, type: 'reasoning', summary: [{ type: 'summary_text', text: t.reasoning }] });
+  }
+  if (t.content) {
+    output.push({
+      id: `msg_mock_${n}`, type: 'message', role: 'assistant', status: 'completed',
+      content: [{ type: 'output_text', text: t.content, annotations: [] }],
+    });
+  }
+  t.calls.forEach((c, k) => {
+    output.push({ id: `fc_mock_${n}_${k}`, type: 'function_call', call_id: c.id, name: c.name, arguments: c.arguments, status: 'completed' });
+  });
+  return output;
+}
+
+function _response(t, n, model, status = 'completed') {
+  return {
+    id: `resp_mock_${n}`,
+    object: 'response',
+    created_at: Math.floor(Date.now() / 1000),
+    model,
+    status,
+    output: status === 'completed' ? _responseOutput(t, n) : [],
+    usage: status === 'completed' ? {
+      input_tokens: t.usage.input,
+      input_tokens_details: { cached_tokens: t.usage.cached },
+      output_tokens: t.usage.output,
+      output_tokens_details: { reasoning_tokens: t.usage.reasoning },
+      total_tokens: t.usage.input + t.usage.output,
+    } : null,
+  };
+}
+
+function _responsesStreamEvents(t, n, model) {
+  const events = [];
+  let seq = 0;
+  const ev = (type, data) => events.push({ event: type, data: { type, sequence_number: seq++, ...data } });
+  ev('response.created', { response: _response(t, n, model, 'in_progress') });
+  _responseOutput(t, n).forEach((item, output_index) => {
+    if (item.type === 'reasoning') {
+      ev('response.output_item.added', { output_index, item: { ...item, summary: [] } });
+      for (const delta of _chunks(t.reasoning)) {
+        ev('response.reasoning_summary_text.delta', { item_id: item.id, output_index, summary_index: 0, delta });
+      }
+      ev('response.reasoning_summary_text.done', { item_id: item.id, output_index, summary_index: 0, text: t.reasoning });
+    } else if (item.type === 'message') {
+      ev('response.output_item.added', { output_index, item: { ...item, status: 'in_progress', content: [] } });
+      ev('response.content_part.added', { item_id: item.id, output_index, content_index: 0, part: { type: 'output_text', text: '', annotations: [] } });
+      for (const delta of _chunks(t.content)) {
+        ev('response.output_text.delta', { item_id: item.id, output_index, content_index: 0, delta });
+      }
+      ev('response.output_text.done', { item_id: item.id, output_index, content_index: 0, text: t.content });
+      ev('response.content_part.done', { item_id: item.id, output_index, content_index: 0, part: item.content[0] });
+    } else {
+      ev('response.output_item.added', { output_index, item: { ...item, arguments: '', status: 'in_progress' } });
+      for (const delta of _halves(item.arguments)) {
+        ev('response.function_call_arguments.delta', { item_id: item.id, output_index, delta });
+      }
+      ev('response.function_call_arguments.done', { item_id: item.id, output_index, arguments: item.arguments });
+    }
+    ev('response.output_item.done', { output_index, item });
+  });
+  ev('response.completed', { response: _response(t, n, model) });
+  return events;
+}
+
+// --- Anthropic messages ---
+
+function _anthropicBlocks(t) {
+  const blocks = [];
+  if (t.reasoning) blocks.push({ type: 'thinking', thinking: t.reasoning, signature: 'mock-signature' });
+  if (t.content) blocks.push({ type: 'text', text: t.content });
+  for (const c of t.calls) blocks.push({ type: 'tool_use', id: c.id, name: c.name, input: c.input });
+  return blocks;
+}
+
+function _anthropicUsage(t) {
+  return {
+    input_tokens: Math.max(0, t.usage.input - t.usage.cached),
+    cache_read_input_tokens: t.usage.cached,
+    cache_creation_input_tokens: 0,
+    output_tokens: t.usage.output,
+  };
+}
+
+function _anthropicMessage(t, n, model) {
+  return {
+    id: `msg_mock_${n}`,
+    type: 'message',
+    role: 'assistant',
+    model,
+    content: _anthropicBlocks(t),
+    stop_reason: t.calls.length ? 'tool_use' : 'end_turn',
+    stop_sequence: null,
+    usage: _anthropicUsage(t),
+  };
+}
+
+function _anthropicStreamEvents(t, n, model) {
+  const events = [];
+  const ev = (type, data) => events.push({ event: type, data: { type, ...data } });
+  const message = _anthropicMessage(t, n, model);
+  ev('message_start', { message: { ...message, content: [], stop_reason: null, usage: { ...message.usage, output_tokens: 1 } } });
+  _anthropicBlocks(t).forEach((block, index) => {
+    if (block.type === 'thinking') {
+      ev('content_block_start', { index, content_block: { ...block, thinking: '' } });
+      for (const thinking of _chunks(block.thinking)) ev('content_block_delta', { index, delta: { type: 'thinking_delta', thinking } });
+    } else if (block.type === 'text') {
+      ev('content_block_start', { index, content_block: { type: 'text', text: '' } });
+      for (const text of _chunks(block.text)) ev('content_block_delta', { index, delta: { type: 'text_delta', text } });
+    } else {
+      ev('content_block_start', { index, content_block: { ...block, input: {} } });
+      for (const partial_json of _halves(JSON.stringify(block.input))) {
+        ev('content_block_delta', { index, delta: { type: 'input_json_delta', partial_json } });
+      }
+    }
+    ev('content_block_stop', { index });
+  });
+  ev('message_delta', { delta: { stop_reason: message.stop_reason, stop_sequence: null }, usage: { output_tokens: t.usage.output } });
+  ev('message_stop', {});
+  return events;
+}
+
+// --- Gemini generateContent ---
+
+function _geminiChunk(parts, t, final) {
+  const chunk = { candidates: [{ index: 0, content: { role: 'model', parts } }], modelVersion: MOCK_MODELS.gemini };
+  if (final) {
+    chunk.candidates[0].finishReason = 'STOP';
+    chunk.usageMetadata = {
+      promptTokenCount: t.usage.input,
+      cachedContentTokenCount: t.usage.cached,
+      candidatesTokenCount: Math.max(0, t.usage.output - t.usage.reasoning),
+      thoughtsTokenCount: t.usage.reasoning,
+      totalTokenCount: t.usage.input + t.usage.output,
+    };
+  }
+  return chunk;
+}
+
+function _geminiParts(t) {
+  const parts = [];
+  if (t.reasoning) parts.push({ text: t.reasoning, thought: true });
+  if (t.content) parts.push({ text: t.content });
+  for (const c of t.calls) parts.push({ functionCall: { name: c.name, args: c.input } });
+  return parts;
+}
+
+function _geminiStreamEvents(t) {
+  const events = [];
+  for (const text of _chunks(t.reasoning)) events.push({ data: _geminiChunk([{ text, thought: true }], t, false) });
+  for (const text of _chunks(t.content)) events.push({ data: _geminiChunk([{ text }], t, false) });
+  const calls = t.calls.map(c => ({ functionCall: { name: c.name, args: c.input } }));
+  events.push({ data: _geminiChunk(calls, t, true) });
+  return events;
+}
+
+function _errorBody(api, status, message) {
+  if (api === 'anthropic') return { type: 'error', error: { type: 'api_error', message } };
+  if (api === 'gemini') return { error: { code: status, message, status: 'UNAVAILABLE' } };
+  return { error: { message, type: 'mock_error', code: null } };
+}
+
+function createMockProvider(fixture) {
+  const turns = loadMockFixture(fixture);
+  // Every request served: { n, api, stream, model, path, body }
+  const requests = [];
+
+  const nextTurn = (raw) => {
+    let turn = turns.find(t => !t.used && t.match && new RegExp(t.match).test(raw));
+    if (!turn) turn = turns.find(t => !t.used && !t.match);
+    if (turn && !turn.repeat) turn.used = true;
+    return turn || null;
+  };
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, 'http://mock');
+    const api = req.method === 'POST' ? _apiForRequest(url.pathname) : null;
+    const sendJson = (status, obj, headers = {}) => {
+      res.writeHead(status, { 'content-type': 'application/json', ...headers });
+      res.end(JSON.stringify(obj));
+    };
+    if (!api) {
+      sendJson(404, { error: { message: `viib-etch-mock: unsupported endpoint ${req.method} ${url.pathname}` } });
+      return;
+    }
+
+    const chunks = [];
+    for await (const c of req) chunks.push(c);
+    const raw = Buffer.concat(chunks).toString('utf8');
+    let body = {};
+    try { body = raw ? JSON.parse(raw) : {}; } catch {}
+    const geminiMatch = /\/models\/([^/:]+):(\w+)$/.exec(url.pathname);
+    const stream = api === 'gemini' ? geminiMatch[2] === 'streamGenerateContent' : body.stream === true;
+    const model = api === 'gemini' ? decodeURIComponent(geminiMatch[1]) : String(body.model || '');
+    const n = requests.length + 1;
+    requests.push({ n, api, stream, model, path: url.pathname, body });
+
+    const turn = nextTurn(raw);
+    if (!turn) {
+      sendJson(400, _errorBody(api, 400, `viib-etch-mock: no scripted response left for ${api} request #${n}`));
+      return;
+    }
+    if (turn.delay_ms) await new Promise(r => setTimeout(r, Number(turn.delay_ms)));
+    if (turn.expect && !raw.includes(String(turn.expect))) {
+      sendJson(400, _errorBody(api, 400, `viib-etch-mock: request #${n} does not contain expected text: ${turn.expect}`));
+      return;
+    }
+    if (turn.error) {
+      const status = Number(turn.error.status) || 500;
+      sendJson(status, _errorBody(api, status, String(turn.error.message || 'mock error')), turn.error.headers || {});
+      return;
+    }
+
+    const t = _normalizeTurn(turn, n, raw);
+    if (!stream) {
+      if (api === 'chat') sendJson(200, _chatCompletion(t, n, model));
+      else if (api === 'responses') sendJson(200, _response(t, n, model));
+      else if (api === 'anthropic') sendJson(200, _anthropicMessage(t, n, model));
+      else sendJson(200, _geminiChunk(_geminiParts(t), t, true));
+      return;
+    }
+    const events = api === 'chat' ? _chatStreamEvents(t, n, model, body)
+      : (api === 'responses' ? _responsesStreamEvents(t, n, model)
+        : (api === 'anthropic' ? _anthropicStreamEvents(t, n, model) : _geminiStreamEvents(t)));
+    res.writeHead(200, { 'content-type': 'text/event-stream', 'cache-control': 'no-cache' });
+    for (const e of events) {
+      res.write(`${e.event ? `event: ${e.event}\n` : ''}data: ${e.raw !== undefined ? e.raw : JSON.stringify(e.data)}\n\n`);
+    }
+    res.end();
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      if (!res.headersSent) res.writeHead(500, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: `viib-etch-mock: ${err.message}` } }));
+    });
+  });
+
+  return {
+    server,
+    requests,
+    // Scripted turns not served yet (repeatable turns excluded).
+    pending: () => turns.filter(t => !t.used && !t.repeat).length,
+    listen: (port = 0, host = '127.0.0.1') => new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        const addr = server.address();
+        resolve(`http://${host}:${addr.port}`);
+      });
+    }),
+    close: () => new Promise(resolve => server.close(() => resolve())),
+  };
+}
+
+function parseArgs(argv) {
+  const out = { fixture: null, port: 8787, host: '127.0.0.1' };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--port') out.port = Number(argv[++i]);
+    else if (a === '--host') out.host = String(argv[++i]);
+    else if (!out.fixture) out.fixture = a;
+  }
+  return out;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.fixture) {
+    console.error('Usage: node viib-etch-mock.js fixture.json [--port 8787] [--host 127.0.0.1]');
+    process.exit(1);
+  }
+  const mock = createMockProvider(args.fixture);
+  mock.listen(args.port, args.host).then((url) => {
+    console.log(`viib-etch mock provider listening on ${url}`);
+    for (const api of Object.keys(MOCK_MODELS)) {
+      console.log(`  ${JSON.stringify(mockModelConfig(url, api))}`);
+    }
+  }, (err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  MOCK_MODELS,
+  loadMockFixture,
+  mockModelConfig,
+  createMockProvider,
+};
@@ -3,6 +3,12 @@ const path = require('path');
 const { spawn } = require('child_process');
 const fsp = require('fs/promises');
 const os = require('os');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
 
 // ----------------------------
 // External tool registration (3rd-party extensions)
@@ -47,7 +53,9 @@ function _normalizeToOpenAIFunctionTool(def) {
   throw new Error('invalid tool definition: expected {type:"function", function:{name}} or {type:"function", name}');
 }
 
-function registerTool(toolDefinition, handler, { overwrite = false, validateInFile = false, toolsFilePath = null } = {}) {
+// parallelSafe: the handler only reads, so ChatLLM may run it concurrently with other
+// parallel-safe calls from the same assistant turn.
+function registerTool(toolDefinition, handler, { overwrite = false, validateInFile = false, toolsFilePath = null, parallelSafe = false } = {}) {
   if (typeof handler !== 'function') {
     throw new Error('registerTool: handler must be a function');
   }
@@ -68,24 +76,28 @@ function registerTool(toolDefinition, handler, { overwrite = false, validateInFi
   if (!overwrite && ((name in toolHandlers) || _externalTools.has(name))) {
     throw new Error(`registerTool: tool already exists: ${name}`);
   }
-  _externalTools.set(name, { handler, definition: normalized });
+  _externalTools.set(name, { handler, definition: normalized, parallelSafe: !!parallelSafe });
   return name;
 }
 
 function registerTools(toolEntries, opts = {}) {
-  // Accept an array of { definition, handler } or [definition, handler]
+  // Accept an array of { definition, handler, parallelSafe? } or [definition, handler]
   const overwrite = !!opts.overwrite;
   const validateInFile = !!opts.validateInFile;
   const toolsFilePath = opts.toolsFilePath || null;
+  const parallelSafe = !!opts.parallelSafe;
   const list = Array.isArray(toolEntries) ? toolEntries : [];
   const names = [];
   for (const ent of list) {
     if (!ent) continue;
     if (Array.isArray(ent)) {
       const [def, handler] = ent;
-      names.push(registerTool(def, handler, { overwrite, validateInFile, toolsFilePath }));
+      names.push(registerTool(def, handler, { overwrite, validateInFile, toolsFilePath, parallelSafe }));
     } else if (ent && typeof ent === 'object') {
-      names.push(registerTool(ent.definition, ent.handler, { overwrite, validateInFile, toolsFilePath }));
+      names.push(registerTool(ent.definition, ent.handler, {
+        overwrite, validateInFile, toolsFilePath,
+        parallelSafe: ent.parallelSafe !== undefined ? !!ent.parallelSafe : parallelSafe,
+      }));
     }
   }
   return names;
@@ -204,11 +216,28 @@ function isImagePath(p) {
   return IMAGE_EXTS.has(path.extname(p).toLowerCase());
 }
 
-function resolveTargetPath(targetFile) {
+// Working directory for a tool call. ChatLLM passes the session's base_dir as context.cwd
+// (instead of process.chdir, which races when chats run concurrently); direct callers
+// without a cwd get process.cwd().
+function getToolCwd(context) {
+  const cwd = context && context.cwd ? String(context.cwd) : '';
+  return cwd ? path.resolve(cwd) : process.cwd();
+}
+
+function resolveTargetPath(targetFile, cwd = process.cwd()) {
   if (typeof targetFile !== 'string' || !targetFile) {
     throw new Error('target_file must be a non-empty string');
   }
-  return path.isAbsolute(targetFile) ? targetFile : path.resolve(process.cwd(), targetFile);
+  return path.isAbsolute(targetFile) ? targetFile : path.resolve(cwd, targetFile);
+}
+
+// Records a file's content before a tool changes it, in the session's checkpoint for the
+// current user turn (null = the file does not exist yet). See ChatSession.restoreCheckpoint.
+function recordFileSnapshot(context, filePath, content) {
+  const session = context && context.session;
+  if (session && typeof session.recordFileSnapshot === 'function') {
+    session.recordFileSnapshot(filePath, content);
+  }
 }
 
 function splitLinesPreserveEmpty(text) {
@@ -667,7 +696,1061 @@ async function generateDiff(beforeContent, afterContent, filePath) {
   });
 }
 
+// ----------------------------
+// Web search backends + page fetching
+// ----------------------------
+//
+// web_search resolves a backend config from (first match wins):
+//   1. the model's `web_search` entry in viib-etch-models.json (context.model.web_search)
+//   2. module default set via setWebSearchConfig()
+//   3. env: VIIB_ETCH_WEB_SEARCH_BACKEND, BRAVE_API_KEY (brave), SEARXNG_URL (searxng)
+//
+// A backend is async (query, config) => [{ title, url, snippet }].
+
+const _webSearchBackends = new Map();
+let _webSearchConfig = null;
+
+function registerWebSearchBackend(name, search) {
+  if (!name || typeof search !== 'function') {
+    throw new Error('registerWebSearchBackend: name and search function are required');
+  }
+  _webSearchBackends.set(String(name), search);
+}
+
+function setWebSearchConfig(config) {
+  _webSearchConfig = config && typeof config === 'object' ? { ...config } : null;
+}
+
+function _resolveWebSearchConfig(context) {
+  const fromModel = context && context.model && context.model.web_search;
+  if (fromModel && typeof fromModel === 'object') return fromModel;
+  if (_webSearchConfig) return _webSearchConfig;
+  const backend = process.env.VIIB_ETCH_WEB_SEARCH_BACKEND
+    || (process.env.BRAVE_API_KEY ? 'brave' : (process.env.SEARXNG_URL ? 'searxng' : ''));
+  if (!backend) return null;
+  return {
+    backend,
+    endpoint: process.env.VIIB_ETCH_WEB_SEARCH_ENDPOINT || (backend === 'searxng' ? process.env.SEARXNG_URL : undefined),
+  };
+}
+
+function _webApiKey(config, envName) {
+  if (config.api_key) return String(config.api_key);
+  if (config.api_key_file) {
+    try {
+      return fs.readFileSync(path.resolve(String(config.api_key_file)), 'utf8').trim();
+    } catch (err) {
+      throw new Error(`web_search: failed to read api_key_file: ${err.message}`);
+    }
+  }
+  const env = config.api_key_env || envName;
+  return env && process.env[env] ? String(process.env[env]) : '';
+}
+
+const WEB_JSON_MAX_BYTES = 5 * 1024 * 1024;
+
+// fetch() with one deadline for the headers and `read(res)`, which consumes the body.
+async function _fetchWithTimeout(url, init = {}, timeoutMs = 15000, read = (res) => res.text()) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, { ...init, signal: controller.signal });
+    return { res, body: await read(res) };
+  } catch (err) {
+    if (err && err.name === 'AbortError') throw new Error(`request timed out after ${timeoutMs}ms`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Response text, failing once it passes maxBytes instead of buffering all of it.
+async function _readTextCapped(res, maxBytes) {
+  if (!res.body) return '';
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > maxBytes) {
+      await reader.cancel().catch(() => {});
+      throw new Error(`response larger than ${maxBytes} bytes`);
+    }
+    chunks.push(Buffer.from(value));
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function _fetchJson(url, init, timeoutMs) {
+  const { res, body } = await _fetchWithTimeout(url, init, timeoutMs, (r) => _readTextCapped(r, WEB_JSON_MAX_BYTES));
+  if (!res.ok) {
+    throw new Error(`HTTP ${res.status}${body ? `: ${body.slice(0, 200)}` : ''}`);
+  }
+  try {
+    return JSON.parse(body);
+  } catch {
+    throw new Error('response is not valid JSON');
+  }
+}
+
+// Read a dotted path ("data.items") from an object.
+function _getPath(obj, dotted) {
+  if (!dotted) return obj;
+  return String(dotted).split('.').reduce((o, k) => (o && typeof o === 'object' ? o[k] : undefined), obj);
+}
+
+registerWebSearchBackend('brave', async (query, config) => {
+  const apiKey = _webApiKey(config, 'BRAVE_API_KEY');
+  if (!apiKey) throw new Error('web_search(brave): API key not configured (api_key, api_key_file or BRAVE_API_KEY)');
+  const url = new URL(config.endpoint || 'https://api.search.brave.com/res/v1/web/search');
+  url.searchParams.set('q', query);
+  url.searchParams.set('count', String(config.max_results));
+  const data = await _fetchJson(url, {
+    headers: { Accept: 'application/json', 'X-Subscription-Token': apiKey },
+  }, config.timeout_ms);
+  const items = (data && data.web && Array.isArray(data.web.results)) ? data.web.results : [];
+  return items.map((r) => ({ title: r.title, url: r.url, snippet: r.description }));
+});
+
+registerWebSearchBackend('searxng', async (query, config) => {
+  if (!config.endpoint) throw new Error('web_search(searxng): endpoint (or SEARXNG_URL) is required');
+  const url = new URL(String(config.endpoint).replace(/\/+$/, '') + '/search');
+  url.searchParams.set('q', query);
+  url.searchParams.set('format', 'json');
+  const apiKey = _webApiKey(config, null);
+  const data = await _fetchJson(url, {
+    headers: { Accept: 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+  }, config.timeout_ms);
+  const items = data && Array.isArray(data.results) ? data.results : [];
+  return items.map((r) => ({ title: r.title, url: r.url, snippet: r.content }));
+});
+
+// Generic JSON endpoint. Config: endpoint, method ('GET' | 'POST'), query_param ('q'),
+// results_path ('results'), title_field / url_field / snippet_field, headers.
+registerWebSearchBackend('json', async (query, config) => {
+  if (!config.endpoint) throw new Error('web_search(json): endpoint is required');
+  const method = String(config.method || 'GET').toUpperCase();
+  const queryParam = config.query_param || 'q';
+  const apiKey = _webApiKey(config, null);
+  const headers = {
+    Accept: 'application/json',
+    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+    ...(config.headers && typeof config.headers === 'object' ? config.headers : {}),
+  };
+  let data;
+  if (method === 'POST') {
+    data = await _fetchJson(config.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({ [queryParam]: query, max_results: config.max_results }),
+    }, config.timeout_ms);
+  } else {
+    const url = new URL(config.endpoint);
+    url.searchParams.set(queryParam, query);
+    data = await _fetchJson(url, { headers }, config.timeout_ms);
+  }
+  const items = _getPath(data, config.results_path === undefined ? 'results' : config.results_path);
+  if (!Array.isArray(items)) throw new Error(`web_search(json): no array at "${config.results_path || 'results'}"`);
+  return items.map((r) => ({
+    title: _getPath(r, config.title_field || 'title'),
+    url: _getPath(r, config.url_field || 'url'),
+    snippet: _getPath(r, config.snippet_field || 'snippet'),
+  }));
+});
+
+// fetch_url guards. Pages are read up to `fetch_max_bytes` (web_search config; default 2 MB)
+// within one deadline for connecting, redirects and the body. Hosts that resolve to loopback,
+// private, link-local (cloud metadata), CGNAT, unspecified or multicast addresses are refused
+// unless listed in `fetch_allow_hosts` (or VIIB_ETCH_FETCH_ALLOW_HOSTS, comma-separated;
+// "*" or true allows all). Addresses are checked as the connection resolves them, and again
+// on every redirect.
+const FETCH_MAX_BYTES = 2 * 1024 * 1024;
+const FETCH_MAX_REDIRECTS = 5;
+
+function _isPrivateAddress(ip) {
+  const addr = String(ip).toLowerCase();
+  if (net.isIPv4(addr)) {
+    const [a, b] = addr.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || (a === 100 && b >= 64 && b <= 127) || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || a >= 224;
+  }
+  const mapped = addr.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return _isPrivateAddress(mapped[1]);
+  return addr === '::' || addr === '::1' || /^::ffff:/.test(addr) || /^f[cd]/.test(addr) || /^fe[89ab]/.test(addr) || addr.startsWith('ff');
+}
+
+function _fetchAllowedHosts(config) {
+  const fromConfig = config && config.fetch_allow_hosts;
+  const list = fromConfig === true ? ['*']
+    : (Array.isArray(fromConfig) ? fromConfig : String(process.env.VIIB_ETCH_FETCH_ALLOW_HOSTS || '').split(','));
+  return new Set(list.map((h) => String(h).trim().toLowerCase().replace(/^\[|\]$/g, '')).filter(Boolean));
+}
+
+// GET `url` with the guards above. wantBody(status, contentType) decides whether the body is
+// read. Resolves { status, content_type, url (after redirects), body (Buffer), truncated }.
+function _guardedGet(url, { headers, timeoutMs, maxBytes, allowHosts, wantBody }) {
+  return new Promise((resolve, reject) => {
+    let req = null;
+    let done = false;
+    const finish = (err, value) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      if (req) req.destroy();
+      if (err) reject(err);
+      else resolve(value);
+    };
+    const timer = setTimeout(() => finish(new Error(`request timed out after ${timeoutMs}ms`)), timeoutMs);
+
+    const get = (target, hops) => {
+      const host = target.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+      const allowed = allowHosts.has('*') || allowHosts.has(host);
+      const refuse = (address) => new Error(`fetch_url: ${host} is a loopback/private address (${address}); `
+        + 'list it in fetch_allow_hosts to allow it');
+      if (net.isIP(host) && !allowed && _isPrivateAddress(host)) return finish(refuse(host));
+      const lookup = (hostname, options, cb) => dns.lookup(hostname, { ...options, all: true }, (err, addrs) => {
+        if (err) return cb(err);
+        const bad = allowed ? null : addrs.find((a) => _isPrivateAddress(a.address));
+        if (bad) return cb(refuse(bad.address));
+        if (options && options.all) return cb(null, addrs);
+        return cb(null, addrs[0].address, addrs[0].family);
+      });
+      req = (target.protocol === 'https:' ? https : http).get(target, { headers, lookup }, (res) => {
+        const location = res.headers.location;
+        if (res.statusCode >= 300 && res.statusCode < 400 && location) {
+          res.resume();
+          if (hops >= FETCH_MAX_REDIRECTS) return finish(new Error(`fetch_url: more than ${FETCH_MAX_REDIRECTS} redirects`));
+          let next;
+          try {
+            next = new URL(location, target);
+          } catch {
+            return finish(new Error(`fetch_url: invalid redirect location: ${location}`));
+          }
+          if (next.protocol !== 'http:' && next.protocol !== 'https:') {
+            return finish(new Error(`fetch_url: redirect to unsupported URL: ${next.href}`));
+          }
+          return get(next, hops + 1);
+        }
+        const info = { status: res.statusCode, content_type: String(res.headers['content-type'] || '').toLowerCase(), url: target.href };
+        if (!wantBody(info.status, info.content_type)) return finish(null, { ...info, body: Buffer.alloc(0), truncated: false });
+
+        const encoding = String(res.headers['content-encoding'] || '').toLowerCase();
+        const stream = encoding === 'gzip' || encoding === 'x-gzip' ? res.pipe(zlib.createGunzip())
+          : (encoding === 'deflate' ? res.pipe(zlib.createInflate())
+            : (encoding === 'br' ? res.pipe(zlib.createBrotliDecompress()) : res));
+        const chunks = [];
+        let size = 0;
+        const result = (truncated) => finish(null, { ...info, body: Buffer.concat(chunks), truncated });
+        stream.on('data', (d) => {
+          const room = maxBytes - size;
+          chunks.push(d.length > room ? d.subarray(0, room) : d);
+          size += Math.min(room, d.length);
+          if (d.length > room) result(true);
+        });
+        stream.on('end', () => result(false));
+        stream.on('error', (err) => finish(err));
+      });
+      req.on('error', (err) => finish(err));
+    };
+    get(url, 0);
+  });
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…', copy: '©', reg: '®' };
+
+function _decodeHtmlEntities(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, ent) => {
+    if (ent[0] === '#') {
+      const code = ent[1].toLowerCase() === 'x' ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+    }
+    const v = HTML_ENTITIES[ent.toLowerCase()];
+    return v !== undefined ? v : m;
+  });
+}
+
+// Reduce an HTML page to readable text: drop scripts/styles/navigation chrome, keep block
+// structure as line breaks, list items as "- ", and headings as "# ".
+function htmlToText(html) {
+  const src = String(html || '');
+  const titleMatch = src.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const title = titleMatch ? _decodeHtmlEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() : null;
+  let body = src
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg|head|nav|footer|iframe)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<h([1-6])\b[^>]*>/gi, (m, level) => `\n\n${'#'.repeat(Number(level))} `)
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|section|article|main|header|aside|ul|ol|table|tr|blockquote|pre|h[1-6]|dl|dt|dd|figure|figcaption)\b[^>]*>/gi, '\n\n')
+    .replace(/<\/t[dh]\s*>/gi, '\t')
+    .replace(/<[^>]+>/g, '');
+  body = _decodeHtmlEntities(body)
+    .replace(/[ \t\f\v\r]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  return { title, text: body };
+}
+
+// ----------------------------
+// Linters (read_lints)
+// ----------------------------
+//
+// read_lints runs the project's linters in the tool cwd and returns structured diagnostics:
+//   { file, line, column, severity, rule, message }   (file relative to cwd)
+//
+// Linters come from `.viib-etch.json` in the cwd when present:
+//   { "linters": [ "npm run -s lint", { "name": "types", "command": "npx tsc --noEmit", "format": "tsc" } ] }
+// ("{paths}" in a command is replaced by the requested paths, or "." when none.)
+// Otherwise they are detected from project files: eslint, tsc --noEmit, ruff, flake8, go vet.
+//
+// Output formats: eslint-json, tsc, ruff-json, go-vet, and "gcc" (file:line[:col]: [severity:] message,
+// which also covers flake8 and most compilers). Configured commands default to "gcc".
+//
+// Linter commands come from the repository, so read_lints is gated like run_terminal_cmd: it is
+// disallowed in ask/plan mode, needs approval, is checked against the command policy and runs
+// in the sandbox when one is configured.
+
+const LINT_TIMEOUT_MS = 120000;
+const LINT_MAX_OUTPUT = 5 * 1024 * 1024;
+const LINT_MAX_DIAGNOSTICS = 200;
+
+function _shellQuote(s) {
+  return `'${String(s).replace(/'/g, `'\\''`)}'`;
+}
+
+function _fileExists(p) {
+  try { return fs.statSync(p).isFile(); } catch { return false; }
+}
+
+function _findOnPath(bin) {
+  for (const dir of String(process.env.PATH || '').split(path.delimiter)) {
+    if (dir && _fileExists(path.join(dir, bin))) return path.join(dir, bin);
+  }
+  return null;
+}
+
+function _fileContains(p, needle) {
+  try { return fs.readFileSync(p, 'utf8').includes(needle); } catch { return false; }
+}
+
+// Linters for a project directory: `.viib-etch.json` "linters", else detected from config files.
+function detectLinters(cwd) {
+  const configPath = path.join(cwd, '.viib-etch.json');
+  if (_fileExists(configPath)) {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (err) {
+      throw new Error(`read_lints: invalid .viib-etch.json: ${err.message}`);
+    }
+    if (config && Array.isArray(config.linters)) {
+      return config.linters
+        .map((l) => (typeof l === 'string' ? { command: l } : l))
+        .filter((l) => l && typeof l.command === 'string' && l.command.trim())
+        .map((l, i) => ({
+          name: l.name ? String(l.name) : `linter${i + 1}`,
+          command: l.command,
+          format: l.format || 'gcc',
+          timeout_ms: Number(l.timeout_ms) > 0 ? Number(l.timeout_ms) : LINT_TIMEOUT_MS,
+          passPaths: String(l.command).includes('{paths}'),
+        }));
+    }
+  }
+
+  const linters = [];
+  const localBin = (name) => {
+    const p = path.join(cwd, 'node_modules', '.bin', name);
+    return _fileExists(p) ? p : null;
+  };
+  const has = (name) => _fileExists(path.join(cwd, name));
+
+  const eslint = localBin('eslint');
+  const eslintConfigured = ['eslint.config.js', 'eslint.config.mjs', 'eslint.config.cjs', 'eslint.config.ts',
+    '.eslintrc', '.eslintrc.js', '.eslintrc.cjs', '.eslintrc.json', '.eslintrc.yml', '.eslintrc.yaml'].some(has)
+    || _fileContains(path.join(cwd, 'package.json'), '"eslintConfig"');
+  if (eslint && eslintConfigured) {
+    linters.push({ name: 'eslint', command: `${_shellQuote(eslint)} -f json {paths}`, format: 'eslint-json', passPaths: true });
+  }
+  const tsc = localBin('tsc');
+  if (tsc && has('tsconfig.json')) {
+    linters.push({ name: 'tsc', command: `${_shellQuote(tsc)} --noEmit --pretty false -p .`, format: 'tsc' });
+  }
+  const ruffConfigured = has('ruff.toml') || has('.ruff.toml') || _fileContains(path.join(cwd, 'pyproject.toml'), '[tool.ruff');
+  if (ruffConfigured && _findOnPath('ruff')) {
+    linters.push({ name: 'ruff', command: 'ruff check --output-format json --exit-zero {paths}', format: 'ruff-json', passPaths: true });
+  }
+  const flake8Configured = has('.flake8') || _fileContains(path.join(cwd, 'setup.cfg'), '[flake8]')
+    || _fileContains(path.join(cwd, 'tox.ini'), '[flake8]');
+  if (flake8Configured && _findOnPath('flake8')) {
+    linters.push({ name: 'flake8', command: 'flake8 {paths}', format: 'gcc', passPaths: true });
+  }
+  if (has('go.mod') && _findOnPath('go')) {
+    linters.push({ name: 'go vet', command: 'go vet ./...', format: 'go-vet' });
+  }
+  return linters.map((l) => ({ timeout_ms: LINT_TIMEOUT_MS, passPaths: false, ...l }));
+}
+
+function _runLintCommand(command, cwd, timeoutMs, sandbox = null) {
+  return new Promise((resolve) => {
+    const sandboxed = sandbox ? _sandboxSpawnArgs('/bin/sh', ['-c', command], cwd, sandbox) : null;
+    const child = sandboxed
+      ? spawn(sandboxed.file, sandboxed.args, { cwd, stdio: ['ignore', 'pipe', 'pipe'], detached: true })
+      : spawn('/bin/sh', ['-c', command], { cwd, stdio: ['ignore', 'pipe', 'pipe'], detached: true });
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    const take = (buf, chunk) => (buf.length < LINT_MAX_OUTPUT ? buf + chunk.toString() : buf);
+    child.stdout.on('data', (d) => { stdout = take(stdout, d); });
+    child.stderr.on('data', (d) => { stderr = take(stderr, d); });
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try { process.kill(-child.pid, 'SIGKILL'); } catch {}
+    }, timeoutMs);
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      resolve({ code: null, stdout, stderr: stderr + String(err.message || err), timedOut });
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ code, stdout, stderr, timedOut });
+    });
+  });
+}
+
+function _normalizeSeverity(s) {
+  const v = String(s || '').toLowerCase();
+  if (v === 'error' || v === 'fatal' || v === '2') return 'error';
+  if (v === 'warning' || v === 'warn' || v === '1') return 'warning';
+  if (v === 'info' || v === 'note' || v === 'hint' || v === 'information') return 'info';
+  return v || 'error';
+}
+
+function _parseGccStyle(text, defaultSeverity = 'error') {
+  const out = [];
+  const re = /^(.+?):(\d+):(?:(\d+):)?\s*(?:(error|warning|note|info|fatal error)\s*:\s*)?(.+)$/i;
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/^vet: /, '');
+    const m = line.match(re);
+    if (!m || /^\s/.test(line)) continue;
+    let message = m[5].trim();
+    let rule = null;
+    // flake8 / pycodestyle: "E501 line too long"
+    const code = message.match(/^([A-Z]{1,3}\d{2,4})\s+(.*)$/);
+    if (code) {
+      rule = code[1];
+      message = code[2];
+    }
+    const severity = m[4]
+      ? _normalizeSeverity(m[4].replace(/^fatal /i, ''))
+      : (rule && /^[WC]/.test(rule) ? 'warning' : defaultSeverity);
+    out.push({ file: m[1].trim(), line: Number(m[2]), column: m[3] ? Number(m[3]) : null, severity, rule, message });
+  }
+  return out;
+}
+
+const LINT_PARSERS = {
+  'eslint-json': (stdout) => {
+    const start = stdout.indexOf('[');
+    const results = JSON.parse(start >= 0 ? stdout.slice(start) : stdout);
+    const out = [];
+    for (const r of Array.isArray(results) ? results : []) {
+      for (const m of r.messages || []) {
+        out.push({
+          file: r.filePath,
+          line: m.line || null,
+          column: m.column || null,
+          severity: _normalizeSeverity(m.severity),
+          rule: m.ruleId || null,
+          message: m.message,
+        });
+      }
+    }
+    return out;
+  },
+  'ruff-json': (stdout) => {
+    const results = JSON.parse(stdout || '[]');
+    return (Array.isArray(results) ? results : []).map((r) => ({
+      file: r.filename,
+      line: r.location ? r.location.row : null,
+      column: r.location ? r.location.column : null,
+      severity: 'error',
+      rule: r.code || null,
+      message: r.message,
+    }));
+  },
+  tsc: (stdout) => {
+    const out = [];
+    const re = /^(.+?)\((\d+),(\d+)\):\s*(error|warning|message)\s+(TS\d+):\s*(.*)$/;
+    for (const line of String(stdout || '').split(/\r?\n/)) {
+      const m = line.match(re);
+      if (!m) continue;
+      out.push({ file: m[1], line: Number(m[2]), column: Number(m[3]), severity: _normalizeSeverity(m[4]), rule: m[5], message: m[6] });
+    }
+    return out;
+  },
+  'go-vet': (stdout, stderr) => _parseGccStyle(`${stdout}\n${stderr}`, 'warning').map((d) => ({ ...d, rule: d.rule || 'vet' })),
+  gcc: (stdout, stderr) => _parseGccStyle(`${stdout}\n${stderr}`),
+};
+
+// Shell commands read_lints would run for `paths` (also what the command policy checks).
+function lintCommands(cwd, paths = []) {
+  const pathArgs = paths.length ? paths.map(_shellQuote).join(' ') : '.';
+  return detectLinters(cwd).map((linter) => ({ ...linter, command: linter.command.replace(/\{paths\}/g, pathArgs) }));
+}
+
+function _lintPaths(args) {
+  return (args && Array.isArray(args.paths) ? args.paths : []).filter((p) => typeof p === 'string' && p.trim());
+}
+
+async function runLinters(cwd, paths = [], { sandbox = null } = {}) {
+  const linters = lintCommands(cwd, paths);
+  const absPaths = paths.map((p) => resolveTargetPath(p, cwd));
+  const report = [];
+  let diagnostics = [];
+
+  for (const linter of linters) {
+    const command = linter.command;
+    const entry = { name: linter.name, command, format: linter.format };
+    const res = await _runLintCommand(command, cwd, linter.timeout_ms, sandbox);
+    entry.exit_code = res.code;
+    const parser = LINT_PARSERS[linter.format] || LINT_PARSERS.gcc;
+    let found = [];
+    try {
+      found = parser(res.stdout, res.stderr);
+    } catch (err) {
+      entry.error = `could not parse ${linter.format} output: ${err.message}`;
+    }
+    if (res.timedOut) {
+      entry.error = `timed out after ${linter.timeout_ms}ms`;
+    } else if (!entry.error && res.code !== 0 && found.length === 0) {
+      // Non-zero exit without parseable diagnostics: the linter itself failed (missing binary, bad config).
+      entry.error = `exited with code ${res.code}`;
+    }
+    if (entry.error) {
+      entry.output = `${res.stdout}\n${res.stderr}`.trim().slice(-2000);
+    }
+    for (const d of found) {
+      const abs = path.resolve(cwd, d.file);
+      diagnostics.push({ ...d, file: path.relative(cwd, abs) || d.file, _abs: abs, source: linter.name });
+    }
+    entry.diagnostics = found.length;
+    report.push(entry);
+  }
+
+  if (absPaths.length) {
+    diagnostics = diagnostics.filter((d) => absPaths.some((p) => d._abs === p || d._abs.startsWith(p.endsWith(path.sep) ? p : p + path.sep)));
+  }
+  diagnostics = diagnostics.map(({ _abs, ...d }) => d);
+  return { linters: report, diagnostics };
+}
+
+// Sandbox for run_terminal_cmd. Commands run under bubblewrap (or `unshare` when bwrap is
+// missing) with the tool cwd and `writable` paths read-write, everything else read-only,
+// no network unless `network: true`, and CPU / memory / wall-clock / output limits.
+// Config: chat.data.sandbox, then the model's `sandbox`, then setSandboxConfig(), then
+// VIIB_ETCH_SANDBOX=auto|bwrap|unshare. `false` or { enabled: false } turns it off.
+const SANDBOX_DEFAULTS = {
+  backend: 'auto',
+  network: false,
+  writable: [],
+  cpu_seconds: 60,
+  memory_mb: 2048,
+  timeout_ms: 300000,
+  max_output_bytes: 1024 * 1024,
+};
+const SANDBOX_BACKENDS = new Set(['auto', 'bwrap', 'unshare']);
+let _sandboxConfig = null;
+
+function setSandboxConfig(config) {
+  _sandboxConfig = (config === true || config === false) ? config
+    : (config && typeof config === 'object' ? { ...config } : null);
+}
+
+function _normalizeSandboxConfig(config) {
+  const c = config === true ? {} : config;
+  const backend = String(c.backend || 'auto').toLowerCase();
+  if (!SANDBOX_BACKENDS.has(backend)) {
+    throw new Error(`run_terminal_cmd: sandbox backend must be one of: ${[...SANDBOX_BACKENDS].join(', ')}`);
+  }
+  // A limit set to 0 or null is turned off; anything else non-positive keeps the default.
+  const limit = (key) => {
+    if (!(key in c)) return SANDBOX_DEFAULTS[key];
+    if (c[key] === null || c[key] === 0) return null;
+    const n = Number(c[key]);
+    return Number.isFinite(n) && n > 0 ? n : SANDBOX_DEFAULTS[key];
+  };
+  return {
+    backend,
+    network: c.network === true,
+    writable: Array.isArray(c.writable) ? c.writable.map(String) : [],
+    cpu_seconds: limit('cpu_seconds'),
+    memory_mb: limit('memory_mb'),
+    timeout_ms: limit('timeout_ms'),
+    max_output_bytes: limit('max_output_bytes'),
+  };
+}
+
+function _resolveSandboxConfig(context) {
+  const session = context && context.session;
+  const model = context && context.model;
+  const env = String(process.env.VIIB_ETCH_SANDBOX || '').trim().toLowerCase();
+  const fromEnv = !env || env === '0' || env === 'false' ? null
+    : { backend: SANDBOX_BACKENDS.has(env) ? env : 'auto' };
+  const sources = [session && session.data && session.data.sandbox, model && model.sandbox, _sandboxConfig, fromEnv];
+  for (const c of sources) {
+    if (c === undefined || c === null) continue;
+    if (c === false || (typeof c === 'object' && c.enabled === false)) return null;
+    if (c === true || typeof c === 'object') return _normalizeSandboxConfig(c);
+  }
+  return null;
+}
+
+function _sandboxBackend(preferred) {
+  if (preferred !== 'unshare' && _findOnPath('bwrap')) return 'bwrap';
+  if (preferred === 'bwrap') throw new Error('run_terminal_cmd: sandbox backend "bwrap" is not installed');
+  if (_findOnPath('unshare')) return 'unshare';
+  throw new Error('run_terminal_cmd: sandbox needs bwrap or unshare on PATH');
+}
+
+// [file, args] running `shell ...shellArgs` in the sandbox. Limits are applied with ulimit just
+// before the command starts, so they bind the command but not the sandbox setup. The wrapper
+// shell stays as the parent and turns a fatal signal into exit code 128 + N.
+function _sandboxSpawnArgs(shell, shellArgs, cwd, config) {
+  const backend = _sandboxBackend(config.backend);
+  const writable = [cwd, ...config.writable.map((p) => path.resolve(cwd, p))]
+    .filter((p, i, all) => all.indexOf(p) === i && fs.existsSync(p));
+  const ulimits = [];
+  // CPU: SIGXCPU at the soft limit (reported as 'cpu'), SIGKILL a second later if ignored.
+  if (config.cpu_seconds) {
+    const cpu = Math.ceil(config.cpu_seconds);
+    ulimits.push(`ulimit -St ${cpu}`, `ulimit -Ht ${cpu + 1}`);
+  }
+  if (config.memory_mb) ulimits.push(`ulimit -v ${Math.floor(config.memory_mb * 1024)}`);
+  const exec = [...ulimits, '"$@"'].join(' && ');
+  const inner = ['sandbox', shell, ...shellArgs];
+
+  if (backend === 'bwrap') {
+    const args = ['--ro-bind', '/', '/', '--dev', '/dev', '--proc', '/proc', '--tmpfs', '/tmp'];
+    for (const p of writable) args.push('--bind', p, p);
+    args.push('--unshare-pid', '--die-with-parent', '--new-session', '--chdir', cwd);
+    if (!config.network) args.push('--unshare-net');
+    return { backend, writable, file: 'bwrap', args: [...args, '--', '/bin/sh', '-c', exec, ...inner] };
+  }
+
+  // unshare: bind the writable paths onto themselves, then remount every other mount
+  // read-only. /tmp gets a fresh tmpfs unless a writable path lives under it.
+  const keep = writable.map((p) => `${_shellQuote(p)})`).join(' | ');
+  const underTmp = writable.some((p) => p === '/tmp' || p.startsWith('/tmp/'));
+  const setup = [
+    ...writable.map((p) => `mount --bind ${_shellQuote(p)} ${_shellQuote(p)}`),
+    `awk '{print $5}' /proc/self/mountinfo | while read -r m; do case "$m" in ${keep} ;; /proc|/proc/*|/dev|/dev/*|/sys|/sys/*) ;; *) mount -o remount,ro,bind "$m" 2>/dev/null ;; esac; done`,
+    ...(underTmp ? [] : ['mount -t tmpfs tmpfs /tmp']),
+    `cd ${_shellQuote(cwd)}`,
+    exec,
+  ].join(' && ');
+  const args = ['--user', '--map-root-user', '--mount', '--pid', '--fork', '--mount-proc', '--kill-child'];
+  if (!config.network) args.push('--net');
+  return { backend, writable, file: 'unshare', args: [...args, '--', '/bin/sh', '-c', setup, ...inner] };
+}
+
+// Which sandbox limit (if any) ended a command that exited on its own. Shells report a child
+// killed by signal N as exit code 128 + N.
+function _sandboxLimitHit(config, code, signal, stderr) {
+  let sig = signal || null;
+  if (!sig && code > 128 && code < 160) {
+    sig = Object.keys(os.constants.signals).find((k) => os.constants.signals[k] === code - 128) || null;
+  }
+  if (config.cpu_seconds && (sig === 'SIGXCPU' || /CPU time limit exceeded/.test(stderr))) return 'cpu';
+  if (config.memory_mb && code !== 0) {
+    if (/Cannot allocate memory|out of memory|MemoryError|bad_alloc|allocation failed/i.test(stderr)) return 'memory';
+    if (['SIGSEGV', 'SIGABRT', 'SIGBUS'].includes(sig)) return 'memory';
+  }
+  return null;
+}
+
+function _sandboxInfo(config, sandboxed, isBackground) {
+  return {
+    backend: sandboxed.backend,
+    network: config.network,
+    writable: sandboxed.writable,
+    limits: {
+      cpu_seconds: config.cpu_seconds,
+      memory_mb: config.memory_mb,
+      timeout_ms: isBackground ? null : config.timeout_ms,
+      max_output_bytes: config.max_output_bytes,
+    },
+  };
+}
+
+const SANDBOX_LIMIT_MESSAGES = {
+  timeout: (c) => `Killed: exceeded the ${c.timeout_ms} ms wall-clock limit`,
+  output: (c) => `Killed: output exceeded ${c.max_output_bytes} bytes`,
+  cpu: (c) => `Killed: exceeded the ${c.cpu_seconds} s CPU limit`,
+  memory: (c) => `Likely killed by the ${c.memory_mb} MB memory limit`,
+};
+
+// Persistent shells for run_terminal_cmd, one per chat, so `cd`, exported variables and
+// activated virtualenvs carry over between calls. Each command is sent to the shell's stdin
+// as `command eval '<command>' < /dev/null` (`command` keeps a syntax error from ending the
+// shell), followed by a sentinel line with its exit code and the shell's cwd on stdout (and a
+// bare sentinel on stderr). The shell restarts when it exits, is reset, or a limit or
+// cancellation kills it.
+const _shellSessions = new Map();
+
+function _createShellSession(key, { shell, cwd, sandbox }) {
+  const sandboxed = sandbox ? _sandboxSpawnArgs(shell, ['-l'], cwd, sandbox) : null;
+  const child = sandboxed
+    ? spawn(sandboxed.file, sandboxed.args, { cwd, stdio: ['pipe', 'pipe', 'pipe'], detached: true })
+    : spawn(shell, ['-l'], { cwd, stdio: ['pipe', 'pipe', 'pipe'], detached: true });
+  const session = {
+    key,
+    child,
+    pid: child.pid,
+    cwd,
+    shell,
+    sandboxKey: JSON.stringify(sandbox || null),
+    sandboxed,
+    commands: 0,
+    closed: false,
+    queue: Promise.resolve(),
+    current: null,
+  };
+  // An idle shell must not keep the Node process alive.
+  session.setBusy = (busy) => {
+    for (const stream of [child.stdout, child.stderr]) {
+      if (busy) stream.ref(); else stream.unref();
+    }
+    if (busy) child.ref(); else child.unref();
+  };
+  session.setBusy(false);
+  child.stdin.on('error', () => {});
+  child.stdout.on('data', (d) => session.current && session.current.onOut('stdout', d));
+  child.stderr.on('data', (d) => session.current && session.current.onOut('stderr', d));
+  const onGone = (code, signal) => {
+    if (session.closed) return;
+    session.closed = true;
+    if (_shellSessions.get(key) === session) _shellSessions.delete(key);
+    if (session.current) session.current.onExit(code, signal);
+  };
+  child.on('error', () => onGone(null, null));
+  child.on('close', onGone);
+  return session;
+}
+
+function _killShellSession(session) {
+  if (!session || session.closed) return;
+  try { process.kill(-session.pid, 'SIGKILL'); } catch {}
+}
+
+// Stops the persistent shell for a chat (or all of them). The next command starts a new one.
+function resetShellSession(chatId) {
+  for (const [key, session] of _shellSessions) {
+    if (chatId === undefined || chatId === null || key === String(chatId)) {
+      _shellSessions.delete(key);
+      _killShellSession(session);
+    }
+  }
+}
+
+function _getShellSession(key, opts) {
+  const existing = _shellSessions.get(key);
+  if (existing && !existing.closed && existing.cwd === opts.cwd && existing.shell === opts.shell
+    && existing.sandboxKey === JSON.stringify(opts.sandbox || null)) {
+    return { session: existing, fresh: false };
+  }
+  if (existing) resetShellSession(key);
+  const session = _createShellSession(key, opts);
+  _shellSessions.set(key, session);
+  return { session, fresh: true };
+}
+
+// Runs one command in the chat's shell. Resolves { exitCode, stdout, stderr, cwd, killedBy,
+// shellExited }; output is streamed through onOut without the sentinels.
+function _runInShellSession(session, command, { onOut, timeoutMs, maxOutputBytes, isCancelled }) {
+  const sentinel = `__VIIB_ETCH_DONE_${crypto.randomBytes(8).toString('hex')}__`;
+  const run = () => new Promise((resolve) => {
+    if (session.closed) {
+      resolve({ exitCode: null, stdout: '', stderr: '', cwd: null, killedBy: null, shellExited: true });
+      return;
+    }
+    session.commands += 1;
+    session.setBusy(true);
+    const streams = {
+      stdout: { text: '', pending: '', done: false },
+      stderr: { text: '', pending: '', done: false },
+    };
+    let exitCode = null;
+    let cwd = null;
+    let outputBytes = 0;
+    let killedBy = null;
+    let finished = false;
+    const marker = `\n${sentinel}`;
+
+    const finish = (extra = {}) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      clearInterval(cancelCheck);
+      session.current = null;
+      if (!session.closed) session.setBusy(false);
+      resolve({
+        exitCode,
+        stdout: streams.stdout.text,
+        stderr: streams.stderr.text,
+        cwd,
+        killedBy,
+        shellExited: session.closed,
+        ...extra,
+      });
+    };
+    const emit = (name, text) => {
+      if (!text) return;
+      if (maxOutputBytes) {
+        const room = maxOutputBytes - outputBytes;
+        outputBytes += Buffer.byteLength(text);
+        if (Buffer.byteLength(text) > room) {
+          text = room > 0 ? Buffer.from(text).subarray(0, room).toString() : '';
+          if (!killedBy) {
+            killedBy = 'output';
+            _killShellSession(session);
+          }
+        }
+      }
+      if (!text) return;
+      streams[name].text += text;
+      if (onOut) onOut(name, text);
+    };
+
+    session.current = {
+      onOut(name, data) {
+        const st = streams[name];
+        if (st.done || killedBy) return;
+        st.pending += data.toString();
+        const at = st.pending.indexOf(marker);
+        if (at === -1) {
+          // Hold back enough to recognise a sentinel split across chunks.
+          const keep = Math.min(st.pending.length, marker.length + 1);
+          emit(name, st.pending.slice(0, st.pending.length - keep));
+          st.pending = st.pending.slice(st.pending.length - keep);
+          return;
+        }
+        const rest = st.pending.slice(at + marker.length);
+        const nl = rest.indexOf('\n');
+        if (nl === -1) return;
+        emit(name, st.pending.slice(0, at));
+        st.pending = '';
+        st.done = true;
+        if (name === 'stdout') {
+          const m = rest.slice(0, nl).match(/^ (\d+) ?(.*)$/);
+          exitCode = m ? Number(m[1]) : null;
+          cwd = m && m[2] ? m[2] : null;
+        }
+        if (streams.stdout.done && streams.stderr.done) finish();
+      },
+      onExit(code, signal) {
+        for (const name of ['stdout', 'stderr']) {
+          if (!streams[name].done) emit(name, streams[name].pending);
+        }
+        if (exitCode === null && !killedBy) exitCode = code;
+        finish({ signal: signal || null });
+      },
+    };
+
+    const timer = timeoutMs ? setTimeout(() => {
+      if (!finished && !killedBy) {
+        killedBy = 'timeout';
+        _killShellSession(session);
+      }
+    }, timeoutMs) : null;
+    const cancelCheck = setInterval(() => {
+      if (!finished && isCancelled && isCancelled()) {
+        _killShellSession(session);
+        finish({ cancelled: true });
+      }
+    }, 100);
+
+    const script = `command eval ${_shellQuote(command)} < /dev/null\n`
+      + `printf '\\n%s %s %s\\n' '${sentinel}' "$?" "$PWD"\n`
+      + `printf '\\n%s\\n' '${sentinel}' >&2\n`;
+    session.child.stdin.write(script);
+  });
+  const result = session.queue.then(run);
+  session.queue = result.catch(() => {});
+  return result;
+}
+
+// Background processes started by run_terminal_cmd (is_background), tracked per chat. Their
+// stdout/stderr go to a ring buffer addressed by byte offset, so the agent can page through
+// logs with read_process_output and stop them with kill_process. Each process runs in its own
+// process group, and its pipes close when this Node process exits.
+const BACKGROUND_BUFFER_BYTES = 1024 * 1024;
+const BACKGROUND_READ_MAX = 64 * 1024;
+const BACKGROUND_KEEP_EXITED = 20;
+// Page sizes for read_tool_output (spilled tool results, see ChatLLM._budgetToolResult).
+const TOOL_OUTPUT_READ_DEFAULT = 16 * 1024;
+const TOOL_OUTPUT_READ_MAX = 64 * 1024;
+const _backgroundProcesses = new Map(); // pid -> record
+const _backgroundListeners = new Set(); // { chatId, listener }
+
+function _backgroundInfo(rec) {
+  return {
+    pid: rec.pid,
+    command: rec.command,
+    cwd: rec.cwd,
+    status: rec.exited_at ? 'exited' : 'running',
+    exit_code: rec.exit_code,
+    signal: rec.signal,
+    started_at: rec.started_at,
+    exited_at: rec.exited_at,
+    output_bytes: rec.total,
+  };
+}
+
+function _notifyBackground(rec, event) {
+  for (const l of _backgroundListeners) {
+    if (l.chatId !== null && l.chatId !== rec.chat_id) continue;
+    try {
+      l.listener({ chat_id: rec.chat_id, pid: rec.pid, ...event });
+    } catch {
+      // Listener errors must not affect the process.
+    }
+  }
+}
+
+function _trackBackgroundProcess(child, { chatId, command, cwd }) {
+  const rec = {
+    pid: child.pid,
+    chat_id: chatId,
+    command,
+    cwd,
+    child,
+    started_at: new Date().toISOString(),
+    exited_at: null,
+    exit_code: null,
+    signal: null,
+    chunks: [], // [{ offset, stream, data: Buffer }]
+    base: 0, // offset of the oldest byte still buffered
+    total: 0, // bytes written so far
+    retained: 0,
+  };
+  _backgroundProcesses.set(rec.pid, rec);
+
+  // Keep the most recent exited processes of this chat; running ones are always kept.
+  const exited = [..._backgroundProcesses.values()].filter((r) => r.chat_id === chatId && r.exited_at);
+  for (const r of exited.slice(0, Math.max(0, exited.length - BACKGROUND_KEEP_EXITED))) {
+    _backgroundProcesses.delete(r.pid);
+  }
+
+  const onData = (stream) => (data) => {
+    const offset = rec.total;
+    rec.chunks.push({ offset, stream, data });
+    rec.total += data.length;
+    rec.retained += data.length;
+    while (rec.retained > BACKGROUND_BUFFER_BYTES && rec.chunks.length > 1) {
+      const dropped = rec.chunks.shift();
+      rec.retained -= dropped.data.length;
+      rec.base = rec.chunks[0].offset;
+    }
+    _notifyBackground(rec, { type: 'output', stream, offset, data: data.toString() });
+  };
+  child.stdout.on('data', onData('stdout'));
+  child.stderr.on('data', onData('stderr'));
+  child.stdout.unref();
+  child.stderr.unref();
+  child.unref();
+  child.on('close', (code, signal) => {
+    rec.exited_at = new Date().toISOString();
+    rec.exit_code = code;
+    rec.signal = signal || null;
+    rec.child = null;
+    _notifyBackground(rec, { type: 'exit', exit_code: code, signal: rec.signal });
+  });
+  _notifyBackground(rec, { type: 'start', process: _backgroundInfo(rec) });
+  return rec;
+}
+
+function _backgroundChatKey(context) {
+  return context && context.session && context.session.id ? String(context.session.id) : '';
+}
+
+function _getBackgroundProcess(pid, chatId, toolName) {
+  const n = Number(pid);
+  const rec = Number.isInteger(n) ? _backgroundProcesses.get(n) : null;
+  if (!rec || (chatId !== null && rec.chat_id !== chatId)) {
+    throw new Error(`${toolName}: no background process with pid ${pid} in this chat`);
+  }
+  return rec;
+}
+
+// Background processes of a chat (chatId null: all chats), oldest first.
+function listBackgroundProcesses(chatId = null) {
+  return [..._backgroundProcesses.values()]
+    .filter((r) => chatId === null || r.chat_id === String(chatId))
+    .map((r) => ({ ...(chatId === null ? { chat_id: r.chat_id } : {}), ..._backgroundInfo(r) }));
+}
+
+// Output from byte offset `since` (stdout and stderr interleaved as they arrived). Pass the
+// returned `next` as `since` to continue; dropped_bytes counts output already rotated out.
+function readBackgroundOutput(pid, { since = 0, chatId = null, maxBytes = BACKGROUND_READ_MAX } = {}) {
+  const rec = _getBackgroundProcess(pid, chatId === null ? null : String(chatId), 'read_process_output');
+  const from = Math.max(0, Math.floor(Number(since) || 0));
+  const start = Math.min(Math.max(from, rec.base), rec.total);
+  const parts = [];
+  let size = 0;
+  for (const c of rec.chunks) {
+    const end = c.offset + c.data.length;
+    if (end <= start) continue;
+    const piece = c.data.subarray(Math.max(0, start - c.offset));
+    parts.push(piece.subarray(0, Math.max(0, maxBytes - size)));
+    size += parts[parts.length - 1].length;
+    if (size >= maxBytes) break;
+  }
+  const next = start + size;
+  return {
+    ..._backgroundInfo(rec),
+    since: from,
+    next,
+    dropped_bytes: from < rec.base ? rec.base - from : 0,
+    more: next < rec.total,
+    output: Buffer.concat(parts).toString(),
+  };
+}
+
+// Signals the process group of a background process.
+function killBackgroundProcess(pid, { signal = 'SIGTERM', chatId = null } = {}) {
+  const rec = _getBackgroundProcess(pid, chatId === null ? null : String(chatId), 'kill_process');
+  const sig = String(signal || 'SIGTERM').toUpperCase();
+  if (!['SIGTERM', 'SIGINT', 'SIGKILL', 'SIGHUP'].includes(sig)) {
+    throw new Error('kill_process: signal must be one of SIGTERM, SIGINT, SIGHUP, SIGKILL');
+  }
+  if (rec.exited_at) {
+    return { ..._backgroundInfo(rec), killed: false, message: 'Process already exited' };
+  }
+  try {
+    process.kill(-rec.pid, sig);
+  } catch (err) {
+    if (!err || err.code !== 'ESRCH') throw err;
+    process.kill(rec.pid, sig);
+  }
+  return { ..._backgroundInfo(rec), killed: true, signal_sent: sig };
+}
+
+// listener({ chat_id, pid, type: 'start' | 'output' | 'exit', ... }) for a chat's background
+// processes (chatId null: all chats). Returns an unsubscribe function.
+function subscribeBackgroundProcesses(chatId, listener) {
+  const entry = { chatId: chatId === null || chatId === undefined ? null : String(chatId), listener };
+  _backgroundListeners.add(entry);
+  return () => _backgroundListeners.delete(entry);
+}
+
 // Tool handlers
+// Sub-agents (task tool): nesting limit and default iteration budget per child run.
+const TASK_MAX_DEPTH = 2;
+const TASK_MAX_ITERATIONS = 50;
+
 const toolHandlers = {
   async todo_write(args, context) {
     const { merge = false, todos } = args;
@@ -724,7 +1807,7 @@ const toolHandlers = {
   },
 
   async run_terminal_cmd(args, context) {
-    const { command, is_background, explanation, required_permissions } = args;
+    const { command, is_background, explanation, required_permissions, reset_shell } = args;
     if (typeof command !== 'string') {
       throw new Error('run_terminal_cmd: "command" is required')
     }
@@ -735,12 +1818,79 @@ const toolHandlers = {
     }
     
     const onCommandOut = context?.onCommandOut || null
-    const activeProcesses = context?._activeProcesses || null;
     const shell = process.env.SHELL || '/bin/bash';
-    const child = spawn(shell, ['-lc', command], {
-      cwd: process.cwd(),
-      stdio: is_background ? 'ignore' : ['ignore', 'pipe', 'pipe'],
-    });
+    const cwd = getToolCwd(context);
+    const sandbox = _resolveSandboxConfig(context);
+
+    // Foreground commands in a chat run in that chat's persistent shell.
+    const chatId = context && context.session && context.session.id ? String(context.session.id) : null;
+    if (chatId && reset_shell) resetShellSession(chatId);
+    if (chatId && !is_background) {
+      const { session: sh, fresh } = _getShellSession(chatId, { shell, cwd, sandbox });
+      const activeProcesses = context?._activeProcesses || null;
+      const processKey = `run_terminal_cmd_${sh.pid}_${Date.now()}`;
+      if (activeProcesses) activeProcesses.set(processKey, sh.child);
+      let r;
+      try {
+        r = await _runInShellSession(sh, command, {
+          onOut: onCommandOut ? (stream, data) => {
+            onCommandOut({ phase: 'stream', stream, data }).catch(err => {
+              console.error(`Error in onCommandOut for ${stream}:`, err)
+            })
+          } : null,
+          timeoutMs: sandbox ? sandbox.timeout_ms : null,
+          maxOutputBytes: sandbox ? sandbox.max_output_bytes : null,
+          isCancelled: context?._isCancelled || null,
+        });
+      } finally {
+        if (activeProcesses) activeProcesses.delete(processKey);
+      }
+      if (r.cancelled) {
+        throw new Error('Operation cancelled');
+      }
+      const killedBy = sandbox ? (r.killedBy || _sandboxLimitHit(sandbox, r.exitCode, r.signal, r.stderr)) : null;
+      return {
+        command,
+        pid: sh.pid,
+        is_background: false,
+        explanation,
+        required_permissions: required_permissions,
+        exitCode: r.exitCode,
+        stdout: r.stdout,
+        stderr: r.stderr,
+        // new_shell: this command started a fresh shell (state from earlier calls is gone).
+        // shell_exited: the shell ended during the command; the next call starts a new one.
+        shell: { pid: sh.pid, new_shell: fresh, cwd: r.cwd, shell_exited: r.shellExited },
+        ...(sh.sandboxed ? {
+          sandbox: _sandboxInfo(sandbox, sh.sandboxed, false),
+          killed_by: killedBy,
+          ...(killedBy ? { limit_message: SANDBOX_LIMIT_MESSAGES[killedBy](sandbox) } : {}),
+        } : {}),
+      };
+    }
+    const sandboxed = sandbox ? _sandboxSpawnArgs(shell, ['-lc', command], cwd, sandbox) : null;
+    const child = sandboxed
+      ? spawn(sandboxed.file, sandboxed.args, {
+        cwd,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached: true,
+      })
+      : spawn(shell, ['-lc', command], {
+        cwd,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached: !!is_background,
+      });
+    const activeProcesses = context?._activeProcesses || null;
+    const sandboxInfo = sandboxed ? _sandboxInfo(sandbox, sandboxed, is_background) : null;
+    // Sandboxed and background commands run in their own process group so limits and
+    // kill_process can stop the whole tree.
+    const killChild = (signal) => {
+      if (sandboxed) {
+        try { process.kill(-child.pid, signal); } catch {}
+      } else if (!child.killed) {
+        child.kill(signal);
+      }
+    };
   
     // Track process for cancellation
     const processKey = `run_terminal_cmd_${child.pid}_${Date.now()}`;
@@ -756,8 +1906,8 @@ const toolHandlers = {
     };
   
     if (is_background) {
-      child.unref();
       child.on('close', cleanup);
+      if (child.pid) _trackBackgroundProcess(child, { chatId: _backgroundChatKey(context), command, cwd });
       return {
         command,
         pid: child.pid,
@@ -765,11 +1915,14 @@ const toolHandlers = {
         explanation,
         required_permissions: required_permissions,
         started_at: new Date().toISOString(),
+        ...(sandboxInfo ? { sandbox: sandboxInfo } : {}),
       };
     }
   
     let stdout = '';
     let stderr = '';
+    let outputBytes = 0;
+    let killedBy = null;
   
     return await new Promise((resolve, reject) => {
       let isResolved = false;
@@ -780,14 +1933,13 @@ const toolHandlers = {
           if (!isResolved) {
             isResolved = true;
             try {
-              if (!child.killed) {
-                child.kill('SIGTERM');
-              }
+              killChild('SIGTERM');
             } catch (err) {
               // Ignore errors when killing
             }
             cleanup();
             clearInterval(cancellationInterval);
+            clearTimeout(wallClockTimer);
             reject(new Error('Operation cancelled'));
             return true;
           }
@@ -795,8 +1947,23 @@ const toolHandlers = {
         return false;
       };
       
-      child.stdout.on('data', (chunk) => {
+      // Sandbox output limit: keep output up to the budget, then stop the command.
+      const withinOutputLimit = (chunk) => {
+        const max = sandbox && sandbox.max_output_bytes;
+        if (!max) return chunk;
+        if (killedBy) return null;
+        const room = max - outputBytes;
+        outputBytes += chunk.length;
+        if (chunk.length <= room) return chunk;
+        killedBy = 'output';
+        killChild('SIGKILL');
+        return room > 0 ? chunk.subarray(0, room) : null;
+      };
+
+      child.stdout.on('data', (data) => {
         if (isResolved) return;
+        const chunk = withinOutputLimit(data);
+        if (!chunk) return;
         const text = chunk.toString()
         stdout += text
         if (onCommandOut) {
@@ -806,8 +1973,10 @@ const toolHandlers = {
           })
         }
       })
-      child.stderr.on('data', (chunk) => {
+      child.stderr.on('data', (data) => {
         if (isResolved) return;
+        const chunk = withinOutputLimit(data);
+        if (!chunk) return;
         const text = chunk.toString()
         stderr += text
         if (onCommandOut) {
@@ -822,14 +1991,19 @@ const toolHandlers = {
           isResolved = true;
           cleanup();
           clearInterval(cancellationInterval);
+          clearTimeout(wallClockTimer);
           reject(err);
         }
       });
-      child.on('close', (code) => {
+      child.on('close', (code, signal) => {
         if (!isResolved) {
           isResolved = true;
           cleanup();
           clearInterval(cancellationInterval);
+          clearTimeout(wallClockTimer);
+          if (sandbox && !killedBy) {
+            killedBy = _sandboxLimitHit(sandbox, code, signal, stderr);
+          }
           resolve({
             command,
             pid: child.pid,
@@ -839,6 +2013,11 @@ const toolHandlers = {
             exitCode: code,
             stdout,
             stderr,
+            ...(sandboxInfo ? {
+              sandbox: sandboxInfo,
+              killed_by: killedBy,
+              ...(killedBy ? { limit_message: SANDBOX_LIMIT_MESSAGES[killedBy](sandbox) } : {}),
+            } : {}),
           })
         }
       })
@@ -847,15 +2026,75 @@ const toolHandlers = {
       const cancellationInterval = setInterval(() => {
         checkCancellation();
       }, 100);
+
+      // Sandbox wall-clock limit
+      const wallClockTimer = sandbox && sandbox.timeout_ms ? setTimeout(() => {
+        if (!isResolved && !killedBy) {
+          killedBy = 'timeout';
+          killChild('SIGKILL');
+        }
+      }, sandbox.timeout_ms) : null;
     })      
   },
 
-  async rg(args) {
+  async list_processes(args, context) {
+    const processes = listBackgroundProcesses(_backgroundChatKey(context));
+    return { processes, running: processes.filter((p) => p.status === 'running').length };
+  },
+
+  async read_process_output(args, context) {
+    if (!args || args.pid === undefined || args.pid === null) {
+      throw new Error('read_process_output: "pid" is required');
+    }
+    return readBackgroundOutput(args.pid, { since: args.since, chatId: _backgroundChatKey(context) });
+  },
+
+  async kill_process(args, context) {
+    if (!args || args.pid === undefined || args.pid === null) {
+      throw new Error('kill_process: "pid" is required');
+    }
+    return killBackgroundProcess(args.pid, { signal: args.signal, chatId: _backgroundChatKey(context) });
+  },
+
+  // Pages through a tool result that was truncated to the model's tool_output_budget; the
+  // full text was spilled to a file indexed in session.data.tool_outputs.
+  async read_tool_output(args, context) {
+    if (!args || typeof args.id !== 'string' || !args.id.length) {
+      throw new Error('read_tool_output: "id" is required and must be a non-empty string');
+    }
+    const outputs = (context && context.session && context.session.data && context.session.data.tool_outputs) || {};
+    const artifact = Object.prototype.hasOwnProperty.call(outputs, args.id) ? outputs[args.id] : null;
+    if (!artifact) {
+      const ids = Object.keys(outputs);
+      throw new Error(`read_tool_output: no saved output "${args.id}"${ids.length ? ` (available: ${ids.join(', ')})` : ''}`);
+    }
+    const limit = Math.min(TOOL_OUTPUT_READ_MAX, Math.max(1, Math.floor(Number(args.limit) || TOOL_OUTPUT_READ_DEFAULT)));
+    const fd = fs.openSync(artifact.path, 'r');
+    try {
+      const total = fs.fstatSync(fd).size;
+      const offset = Math.min(Math.max(0, Math.floor(Number(args.offset) || 0)), total);
+      const buf = Buffer.alloc(Math.min(limit, total - offset));
+      const n = buf.length ? fs.readSync(fd, buf, 0, buf.length, offset) : 0;
+      return {
+        id: args.id,
+        tool: artifact.tool,
+        offset,
+        next: offset + n,
+        total_bytes: total,
+        more: offset + n < total,
+        content: buf.subarray(0, n).toString('utf8'),
+      };
+    } finally {
+      fs.closeSync(fd);
+    }
+  },
+
+  async rg(args, context) {
     if (!args || typeof args.pattern !== 'string' || !args.pattern.length) {
       throw new Error('rg: "pattern" is required and must be a non-empty string');
     }
 
-    const baseRoot = process.cwd();
+    const baseRoot = getToolCwd(context);
     const searchPath = args.path && String(args.path).length ? args.path : baseRoot;
 
     const rgArgs = [];
@@ -873,7 +2112,7 @@ const toolHandlers = {
     if (args.multiline) rgArgs.push('-U', '--multiline', '--multiline-dotall');
 
     rgArgs.push('--regexp', args.pattern);
-    rgArgs.push(path.resolve(searchPath));
+    rgArgs.push(path.resolve(baseRoot, searchPath));
 
     const result = await new Promise((resolve, reject) => {
       const child = spawn('rg', rgArgs, { cwd: baseRoot, stdio: ['ignore', 'pipe', 'pipe'] });
@@ -1008,8 +2247,8 @@ const toolHandlers = {
     if (!args || !args.target_file) {
       throw new Error('delete_file: "target_file" is required');
     }
-    const target = resolveTargetPath(args.target_file);
-    const baseRoot = process.cwd();
+    const baseRoot = getToolCwd(context);
+    const target = resolveTargetPath(args.target_file, baseRoot);
     const relPath = path.relative(baseRoot, target);
     const session = context && context.session;
     const fileOriginals = session && session.data ? (session.data.fileOriginals || (session.data.fileOriginals = {})) : null;
@@ -1028,6 +2267,7 @@ const toolHandlers = {
     if (fileOriginals && !(relPath in fileOriginals)) {
       fileOriginals[relPath] = beforeContent;
     }
+    recordFileSnapshot(context, target, beforeContent);
     
     try {
       await fsp.unlink(target);
@@ -1047,6 +2287,97 @@ const toolHandlers = {
     }
   },
 
+  async web_search(args, context) {
+    const query = args && typeof args.search_term === 'string' ? args.search_term.trim() : '';
+    if (!query) {
+      throw new Error('web_search: "search_term" is required');
+    }
+    const resolved = _resolveWebSearchConfig(context);
+    if (!resolved || !resolved.backend) {
+      throw new Error('web_search: no search backend configured (set "web_search" on the model, or BRAVE_API_KEY / SEARXNG_URL)');
+    }
+    const backendName = String(resolved.backend);
+    const search = _webSearchBackends.get(backendName);
+    if (!search) {
+      throw new Error(`web_search: unknown backend "${backendName}" (available: ${Array.from(_webSearchBackends.keys()).join(', ')})`);
+    }
+    const maxResults = Math.min(20, Math.max(1, parseInt(resolved.max_results, 10) || 5));
+    const config = { ...resolved, max_results: maxResults, timeout_ms: Number(resolved.timeout_ms) > 0 ? Number(resolved.timeout_ms) : 15000 };
+
+    let raw;
+    try {
+      raw = await search(query, config);
+    } catch (err) {
+      throw new Error(`web_search(${backendName}): ${err.message}`);
+    }
+    const results = (Array.isArray(raw) ? raw : [])
+      .filter((r) => r && r.url)
+      .slice(0, maxResults)
+      .map((r) => ({
+        title: r.title ? _decodeHtmlEntities(String(r.title).replace(/<[^>]+>/g, '')).trim() : '',
+        url: String(r.url),
+        snippet: r.snippet ? _decodeHtmlEntities(String(r.snippet).replace(/<[^>]+>/g, '')).trim() : '',
+      }));
+    return { success: true, query, backend: backendName, results };
+  },
+
+  async fetch_url(args, context) {
+    const raw = args && typeof args.url === 'string' ? args.url.trim() : '';
+    if (!raw) {
+      throw new Error('fetch_url: "url" is required');
+    }
+    let url;
+    try {
+      url = new URL(raw);
+    } catch {
+      throw new Error(`fetch_url: invalid URL: ${raw}`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error('fetch_url: only http and https URLs are supported');
+    }
+    const maxChars = Math.max(1, parseInt(args.max_chars, 10) || 20000);
+    const resolved = _resolveWebSearchConfig(context) || {};
+    const timeoutMs = Number(resolved.timeout_ms) > 0 ? Number(resolved.timeout_ms) : 15000;
+    const maxBytes = Number(resolved.fetch_max_bytes) > 0 ? Math.floor(Number(resolved.fetch_max_bytes)) : FETCH_MAX_BYTES;
+    const isTextType = (ct) => !ct || /^text\/|json|xml|javascript|yaml|application\/xhtml/.test(ct);
+
+    const res = await _guardedGet(url, {
+      headers: {
+        'User-Agent': 'viib-etch fetch_url',
+        Accept: 'text/html,application/xhtml+xml,text/plain,application/json;q=0.9,*/*;q=0.5',
+        'Accept-Encoding': 'gzip, deflate, br',
+      },
+      timeoutMs,
+      maxBytes,
+      allowHosts: _fetchAllowedHosts(resolved),
+      wantBody: (status, ct) => status >= 200 && status < 300 && isTextType(ct),
+    });
+    const contentType = res.content_type;
+    if (res.status < 200 || res.status >= 300) {
+      return { success: false, url: url.href, status: res.status, error: `HTTP ${res.status}` };
+    }
+    if (!isTextType(contentType)) {
+      return { success: false, url: url.href, status: res.status, content_type: contentType, error: `unsupported content type: ${contentType}` };
+    }
+    const body = res.body.toString('utf8');
+    const isHtml = /text\/html|application\/xhtml/.test(contentType);
+    const { title, text } = isHtml ? htmlToText(body) : { title: null, text: body };
+    const truncated = text.length > maxChars || res.truncated;
+    return {
+      success: true,
+      url: url.href,
+      final_url: res.url,
+      status: res.status,
+      content_type: contentType || null,
+      title,
+      content: text.length > maxChars ? text.slice(0, maxChars) : text,
+      truncated,
+      // The page was longer than fetch_max_bytes; only its start was read.
+      ...(res.truncated ? { body_truncated: true, max_bytes: maxBytes } : {}),
+      total_chars: text.length,
+    };
+  },
+
   async update_memory(args, context) {
     const action = (args && args.action) || 'create';
     
@@ -1114,26 +2445,35 @@ const toolHandlers = {
     throw new Error(`update_memory: unsupported action "${action}"`);
   },
 
-  async read_lints(args = {}) {
-    // Minimal deterministic implementation: the IDE-driven lints are not available here.
-    // Keep it best-effort and stable.
-    const paths = Array.isArray(args.paths) ? args.paths : [];
-    if (paths.length) {
-      // Validate paths exist; ignore missing.
-      for (const p of paths) {
-        if (typeof p !== 'string') continue;
-        const abs = resolveTargetPath(p);
-        try { await fsp.stat(abs); } catch { /* ignore */ }
-      }
+  async read_lints(args = {}, context) {
+    const cwd = getToolCwd(context);
+    const paths = _lintPaths(args);
+    const { linters, diagnostics } = await runLinters(cwd, paths, { sandbox: _resolveSandboxConfig(context) });
+    if (linters.length === 0) {
+      return {
+        success: true,
+        linters: [],
+        diagnostics: [],
+        message: 'No linters configured or detected (add "linters" to .viib-etch.json to configure one).',
+      };
     }
-    return 'No linter errors found.';
+    const errors = diagnostics.filter((d) => d.severity === 'error').length;
+    const failed = linters.filter((l) => l.error).map((l) => l.name);
+    return {
+      success: failed.length === 0,
+      linters,
+      diagnostics: diagnostics.slice(0, LINT_MAX_DIAGNOSTICS),
+      truncated: diagnostics.length > LINT_MAX_DIAGNOSTICS,
+      summary: `${errors} error(s), ${diagnostics.length - errors} other diagnostic(s) from ${linters.map((l) => l.name).join(', ')}`
+        + (failed.length ? `; failed to run: ${failed.join(', ')}` : ''),
+    };
   },
 
-  async list_dir(args) {
+  async list_dir(args, context) {
     if (!args || !args.target_directory) {
       throw new Error('list_dir: "target_directory" is required');
     }
-    const dir = resolveTargetPath(args.target_directory);
+    const dir = resolveTargetPath(args.target_directory, getToolCwd(context));
     const ignoreGlobs = Array.isArray(args.ignore_globs) ? args.ignore_globs : [];
 
     const entries = await fsp.readdir(dir, { withFileTypes: true });
@@ -1149,13 +2489,13 @@ const toolHandlers = {
     return out.trimEnd();
   },
 
-  async glob_file_search(args) {
+  async glob_file_search(args, context) {
     if (!args || !args.glob_pattern) {
       throw new Error('glob_file_search: "glob_pattern" is required');
     }
     const baseDir = args.target_directory
-      ? resolveTargetPath(args.target_directory)
-      : process.cwd();
+      ? resolveTargetPath(args.target_directory, getToolCwd(context))
+      : getToolCwd(context);
 
     const pat = String(args.glob_pattern);
     const normalized = pat.startsWith('**/') ? pat : `**/${pat}`;
@@ -1183,12 +2523,12 @@ const toolHandlers = {
     return outFiles.join('\n');
   },
 
-  async read_file(args) {
+  async read_file(args, context) {
     if (!args || !args.target_file) {
       throw new Error('read_file: "target_file" is required');
     }
 
-    const target = resolveTargetPath(args.target_file);
+    const target = resolveTargetPath(args.target_file, getToolCwd(context));
     let stat;
     try {
       stat = await fsp.stat(target);
@@ -1327,7 +2667,7 @@ const toolHandlers = {
       throw new Error(`apply_patch: invalid patch line: "${line}"`);
     }
 
-    const baseRoot = process.cwd();
+    const baseRoot = getToolCwd(context);
     const results = [];
     const session = context && context.session;
     const fileOriginals = session && session.data ? (session.data.fileOriginals || (session.data.fileOriginals = {})) : null;
@@ -1344,6 +2684,13 @@ const toolHandlers = {
         if (fileOriginals && !(relPath in fileOriginals)) {
           fileOriginals[relPath] = '';
         }
+        let existing = null;
+        try {
+          existing = await fsp.readFile(filePath, 'utf-8');
+        } catch (err) {
+          // New file
+        }
+        recordFileSnapshot(context, filePath, existing);
         const newContent = hunk.addLines.join('\n');
         await fsp.mkdir(path.dirname(filePath), { recursive: true });
         await fsp.writeFile(filePath, newContent, 'utf-8');
@@ -1374,6 +2721,7 @@ const toolHandlers = {
       if (fileOriginals && !(relPath in fileOriginals)) {
         fileOriginals[relPath] = original;
       }
+      recordFileSnapshot(context, filePath, original);
 
       let fileLines = splitLinesPreserveEmpty(original);
       let pos = 0;
@@ -1556,8 +2904,8 @@ const toolHandlers = {
       throw new Error('edit_file: "code_edit" is required');
     }
 
-    const target = resolveTargetPath(args.target_file);
-    const baseRoot = process.cwd();
+    const baseRoot = getToolCwd(context);
+    const target = resolveTargetPath(args.target_file, baseRoot);
     const relPath = path.relative(baseRoot, target);
     const session = context && context.session;
     const fileOriginals = session && session.data ? (session.data.fileOriginals || (session.data.fileOriginals = {})) : null;
@@ -1577,6 +2925,7 @@ const toolHandlers = {
     if (fileOriginals && !(relPath in fileOriginals)) {
       fileOriginals[relPath] = originalContent || '';
     }
+    recordFileSnapshot(context, target, originalContent);
 
     // Apply edit using the helper function
     let newContent;
@@ -1606,10 +2955,561 @@ const toolHandlers = {
       _diff: diff,
     };
   },
+
+  // Sub-agent: runs a child ChatLLM to completion and returns its final answer.
+  // The child chat records its parent in data.parent; the parent lists children in data.tasks.
+  async task(args, context) {
+    if (!args || typeof args.prompt !== 'string' || !args.prompt.trim()) {
+      throw new Error('task: "prompt" is required');
+    }
+    const parentSession = context && context.session;
+    if (!parentSession) {
+      throw new Error('Session context required for task');
+    }
+    const { ChatLLM, ChatSession, ChatModel } = require(path.join(__dirname, 'viib-etch'));
+    const parentLLM = context._llm || null;
+    const depth = (parentSession.data && parentSession.data.parent && Number(parentSession.data.parent.depth)) || 0;
+    if (depth >= TASK_MAX_DEPTH) {
+      throw new Error(`task: sub-agents can only be nested ${TASK_MAX_DEPTH} level(s) deep`);
+    }
+
+    const cwd = getToolCwd(context);
+    const baseDir = args.base_dir ? resolveTargetPath(args.base_dir, cwd) : cwd;
+    if (!fs.existsSync(baseDir) || !fs.statSync(baseDir).isDirectory()) {
+      throw new Error(`task: base_dir is not a directory: ${baseDir}`);
+    }
+    // A sub-agent works inside its parent's base_dir (symlinks resolved), never elsewhere.
+    const rel = path.relative(fs.realpathSync(cwd), fs.realpathSync(baseDir));
+    if (rel === '..' || rel.startsWith(`..${path.sep}`) || path.isAbsolute(rel)) {
+      throw new Error(`task: base_dir must be inside the parent's base_dir ${cwd}: ${baseDir}`);
+    }
+    const modelName = args.model || (context.model && context.model.name) || parentSession.model_name;
+    let model = ChatModel.getModel(ChatModel.loadModels(), modelName);
+    if (args.system_prompt_file) {
+      const local = resolveTargetPath(args.system_prompt_file, cwd);
+      model = Object.assign(Object.create(Object.getPrototypeOf(model)), model, {
+        system_prompt: null,
+        system_prompt_file: fs.existsSync(local) ? local : String(args.system_prompt_file),
+      });
+      model.readSystemPromptFileFresh(); // fail before starting on a missing file
+    }
+
+    // Tools: the requested subset, else the child model's configured tools, either way limited
+    // to the tools the parent has (e.g. a --tools allowlist). The deepest allowed level cannot
+    // delegate further.
+    let toolNames = Array.isArray(args.tools) ? args.tools.map(String) : (model.tools || []);
+    if (depth + 1 >= TASK_MAX_DEPTH) toolNames = toolNames.filter((n) => n !== 'task');
+    const parentTools = parentLLM && Array.isArray(parentLLM.tools)
+      ? new Set(parentLLM.tools.map((t) => (t && t.function ? t.function.name : t && t.type)).filter(Boolean))
+      : null;
+    if (parentTools && Array.isArray(args.tools)) {
+      const missing = toolNames.filter((n) => !n.startsWith('mcp:') && !parentTools.has(n));
+      if (missing.length > 0) {
+        throw new Error(`task: the parent does not have tool(s): ${missing.join(', ')}`);
+      }
+    }
+    if (toolNames.some((n) => n.startsWith('mcp:'))) {
+      await loadMcpTools(toolNames, { servers: model.mcp_servers });
+    }
+    let toolDefs = toolNames.length > 0 ? getToolDefinitions(path.join(__dirname, 'viib-etch-tools.json'), toolNames) : [];
+    if (parentTools) toolDefs = toolDefs.filter((t) => parentTools.has(t.function ? t.function.name : t.type));
+    const tools = toolDefs.length > 0 ? toolDefs : null;
+
+    const description = String(args.description || '').trim() || args.prompt.trim().slice(0, 60);
+    const chat = new ChatSession({
+      model_name: model.name,
+      title: `Task: ${description}`,
+      base_dir: baseDir,
+      mode: parentSession.mode,
+      data: { parent: { chat_id: parentSession.id, tool_call_id: context.tool_call_id || null, depth: depth + 1 } },
+    });
+    if (parentSession.persistent) chat.enablePersistence();
+    // Files the child changes belong to the parent's current turn too, so restoring a
+    // parent checkpoint also reverts them.
+    const recordChildSnapshot = chat.recordFileSnapshot.bind(chat);
+    chat.recordFileSnapshot = (filePath, content) => {
+      recordChildSnapshot(filePath, content);
+      if (typeof parentSession.recordFileSnapshot === 'function') parentSession.recordFileSnapshot(filePath, content);
+    };
+
+    const report = (event, data = {}) => (context.onCommandOut
+      ? context.onCommandOut({ phase: 'task', event, chat_id: chat.id, ...data }).catch(() => {})
+      : Promise.resolve());
+    const child = new ChatLLM(model.name, chat, tools, {
+      // Write-capable calls of the child go through the same approval gate as the parent's.
+      onToolApprovalRequest: parentLLM ? parentLLM.hooks.onToolApprovalRequest : null,
+      onToolCallStart: async (toolCall, toolArgs) => report('tool', { name: toolCall.function.name, args: toolArgs }),
+      // Sub-agent spend counts toward the parent chat too.
+      onUsage: async (usage) => {
+        parentSession.addUsage(usage.model || model.name, usage);
+        if (parentLLM) await parentLLM.callHook('onUsage', usage, parentSession.getUsage().total);
+      },
+    });
+    child._model = model;
+    chat._model = model;
+
+    if (!parentSession.data.tasks) parentSession.data.tasks = {};
+    const record = {
+      chat_id: chat.id,
+      description,
+      model: model.name,
+      base_dir: baseDir,
+      status: 'running',
+      started_at: new Date().toISOString(),
+    };
+    parentSession.data.tasks[context.tool_call_id || chat.id] = record;
+    parentSession.save();
+    await report('start', { description, model: model.name });
+
+    // Cancelling the parent (ChatLLM.cancel kills its active processes) cancels the child.
+    const handle = { killed: false, kill() { this.killed = true; child.cancel(); } };
+    const activeKey = `task:${chat.id}`;
+    if (context._activeProcesses) context._activeProcesses.set(activeKey, handle);
+    const maxIterations = Number.isInteger(args.max_iterations) && args.max_iterations > 0 ? args.max_iterations : TASK_MAX_ITERATIONS;
+    try {
+      const result = await child.send(args.prompt, { tools, max_iterations: maxIterations });
+      const content = result && typeof result.content === 'string' ? result.content : '';
+      const unfinished = !!(result && Array.isArray(result.tool_calls) && result.tool_calls.length > 0);
+      record.status = unfinished ? 'max_iterations' : 'done';
+      await report('done', { status: record.status });
+      if (unfinished) {
+        return { success: false, chat_id: chat.id, error: `sub-agent stopped after ${maxIterations} iterations without finishing`, content };
+      }
+      return { success: true, chat_id: chat.id, model: model.name, content };
+    } catch (err) {
+      record.status = handle.killed ? 'cancelled' : 'error';
+      record.error = err.message;
+      await report('done', { status: record.status, error: err.message });
+      return { success: false, chat_id: chat.id, error: `sub-agent failed: ${err.message}` };
+    } finally {
+      record.finished_at = new Date().toISOString();
+      if (context._activeProcesses) context._activeProcesses.delete(activeKey);
+      parentSession.save();
+    }
+  },
+}
+
+// ----------------------------
+// MCP (Model Context Protocol) servers
+// ----------------------------
+//
+// Tools of MCP servers are registered as external tools named `mcp__<server>__<tool>`.
+// A model's `tools` list selects them with `mcp:<server>/<tool-glob>` entries, e.g.
+// "mcp:github/*" or "mcp:db/query". Server configs are looked up by name in (first match wins):
+//   1. the model's `mcp_servers` map in viib-etch-models.json
+//   2. module defaults set via setMcpServers()
+// Never from a file in the project: a checked-out repository must not pick the commands we spawn.
+// A config is { command, args, env, cwd } for stdio servers or { url, headers } for
+// streamable HTTP servers, plus optional timeout_ms (per request).
+
+const MCP_PROTOCOL_VERSION = '2025-03-26';
+const MCP_TIMEOUT_MS = 60000;
+
+let _mcpServers = {};
+// Connections: `${name}\0${JSON config}` -> Promise<client>
+const _mcpClients = new Map();
+// Registered MCP tool name -> { server, tool }
+const _mcpTools = new Map();
+
+function setMcpServers(servers) {
+  _mcpServers = servers && typeof servers === 'object' ? { ...servers } : {};
+}
+
+function _mcpSanitize(s) {
+  return String(s).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+function mcpToolName(server, tool) {
+  return `mcp__${_mcpSanitize(server)}__${_mcpSanitize(tool)}`.slice(0, 64);
+}
+
+// Parse "mcp:<server>" / "mcp:<server>/<tool-glob>" into { server, pattern }.
+function _parseMcpRef(name) {
+  const m = /^mcp:([^/]+)(?:\/(.*))?$/.exec(String(name || ''));
+  if (!m) return null;
+  return { server: m[1], pattern: m[2] || '*' };
+}
+
+function _resolveMcpServerConfig(name, servers) {
+  if (servers && typeof servers === 'object' && servers[name]) return servers[name];
+  return _mcpServers[name] || null;
+}
+
+// Newline-delimited JSON-RPC over a child process's stdin/stdout.
+function _mcpStdioTransport(name, config, onMessage, onClose) {
+  const child = spawn(String(config.command), Array.isArray(config.args) ? config.args.map(String) : [], {
+    cwd: config.cwd || undefined,
+    env: { ...process.env, ...(config.env && typeof config.env === 'object' ? config.env : {}) },
+    stdio: ['pipe', 'pipe', 'pipe'],
+  });
+  let buffer = '';
+  let stderr = '';
+  let closing = false;
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', (chunk) => {
+    buffer += chunk;
+    let idx;
+    while ((idx = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, idx).trim();
+      buffer = buffer.slice(idx + 1);
+      if (!line) continue;
+      try {
+        onMessage(JSON.parse(line));
+      } catch {
+        // Servers may log non-JSON lines to stdout; ignore them.
+      }
+    }
+  });
+  child.stderr.on('data', (d) => { stderr = (stderr + d).slice(-4000); });
+  child.stdin.on('error', () => {});
+  child.on('error', (err) => onClose(new Error(`MCP server "${name}" failed to start: ${err.message}`)));
+  child.on('exit', (code, signal) => {
+    const detail = stderr.trim() ? `: ${stderr.trim().slice(-500)}` : '';
+    onClose(new Error(closing ? `MCP server "${name}" closed` : `MCP server "${name}" exited (${signal || code})${detail}`));
+  });
+  return {
+    async send(message) {
+      if (child.exitCode !== null || child.signalCode !== null) throw new Error(`MCP server "${name}" is not running`);
+      child.stdin.write(JSON.stringify(message) + '\n');
+    },
+    close() {
+      closing = true;
+      child.stdin.end();
+      child.kill();
+    },
+  };
+}
+
+// Streamable HTTP: each message is POSTed; the reply is JSON or an SSE stream of messages.
+function _mcpHttpTransport(name, config, onMessage) {
+  let sessionId = null;
+  const headers = () => ({
+    'Content-Type': 'application/json',
+    Accept: 'application/json, text/event-stream',
+    ...(config.headers && typeof config.headers === 'object' ? config.headers : {}),
+    ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {}),
+  });
+  const deliver = (data) => {
+    for (const msg of Array.isArray(data) ? data : [data]) onMessage(msg);
+  };
+  return {
+    async send(message) {
+      const res = await fetch(String(config.url), { method: 'POST', headers: headers(), body: JSON.stringify(message) });
+      const sid = res.headers.get('mcp-session-id');
+      if (sid) sessionId = sid;
+      if (!res.ok) {
+        const body = await res.text().catch(() => '');
+        throw new Error(`MCP server "${name}": HTTP ${res.status}${body ? `: ${body.slice(0, 200)}` : ''}`);
+      }
+      const contentType = String(res.headers.get('content-type') || '');
+      if (res.status === 202 || !res.body) return;
+      if (contentType.includes('text/event-stream')) {
+        const decoder = new TextDecoder();
+        let buffer = '';
+        const flush = (event) => {
+          const data = event.split(/\r?\n/).filter((l) => l.startsWith('data:')).map((l) => l.slice(5).replace(/^ /, '')).join('\n');
+          if (!data) return;
+          try { deliver(JSON.parse(data)); } catch { /* ignore malformed events */ }
+        };
+        for await (const chunk of res.body) {
+          buffer += decoder.decode(chunk, { stream: true });
+          let idx;
+          while ((idx = buffer.search(/\r?\n\r?\n/)) >= 0) {
+            flush(buffer.slice(0, idx));
+            buffer = buffer.slice(idx).replace(/^\r?\n\r?\n/, '');
+          }
+        }
+        if (buffer.trim()) flush(buffer);
+        return;
+      }
+      const body = await res.text();
+      if (body.trim()) deliver(JSON.parse(body));
+    },
+    close() {
+      if (!sessionId) return;
+      fetch(String(config.url), { method: 'DELETE', headers: headers() }).catch(() => {});
+    },
+  };
+}
+
+function _createMcpClient(name, config) {
+  const timeoutMs = Number(config.timeout_ms) > 0 ? Number(config.timeout_ms) : MCP_TIMEOUT_MS;
+  const pending = new Map();
+  let nextId = 1;
+  let transport = null;
+  const client = { name, config, closed: null, tools: [], serverInfo: null };
+
+  const onMessage = (msg) => {
+    if (!msg || typeof msg !== 'object') return;
+    if (msg.method) {
+      // Server -> client request. We only answer ping; notifications are ignored.
+      if (msg.id === undefined || msg.id === null) return;
+      const reply = msg.method === 'ping'
+        ? { jsonrpc: '2.0', id: msg.id, result: {} }
+        : { jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: `Method not found: ${msg.method}` } };
+      transport.send(reply).catch(() => {});
+      return;
+    }
+    const p = pending.get(msg.id);
+    if (!p) return;
+    pending.delete(msg.id);
+    clearTimeout(p.timer);
+    if (msg.error) {
+      p.reject(new Error(`MCP server "${name}": ${msg.error.message || 'error'}${msg.error.code !== undefined ? ` (${msg.error.code})` : ''}`));
+    } else {
+      p.resolve(msg.result);
+    }
+  };
+  const onClose = (err) => {
+    client.closed = err;
+    for (const p of pending.values()) {
+      clearTimeout(p.timer);
+      p.reject(err);
+    }
+    pending.clear();
+  };
+
+  transport = config.url
+    ? _mcpHttpTransport(name, config, onMessage)
+    : _mcpStdioTransport(name, config, onMessage, onClose);
+
+  client.request = (method, params) => new Promise((resolve, reject) => {
+    if (client.closed) return reject(client.closed);
+    const id = nextId++;
+    const timer = setTimeout(() => {
+      pending.delete(id);
+      reject(new Error(`MCP server "${name}": ${method} timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+    pending.set(id, { resolve, reject, timer });
+    transport.send({ jsonrpc: '2.0', id, method, ...(params ? { params } : {}) }).catch((err) => {
+      if (!pending.has(id)) return;
+      pending.delete(id);
+      clearTimeout(timer);
+      reject(err);
+    });
+  });
+  client.notify = (method, params) => transport.send({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+  client.close = () => {
+    if (!client.closed) onClose(new Error(`MCP server "${name}" closed`));
+    transport.close();
+  };
+  return client;
+}
+
+// Connect (or reuse a live connection) and list the server's tools.
+async function connectMcpServer(name, config) {
+  if (!config || (!config.command && !config.url)) {
+    throw new Error(`MCP server "${name}": config needs "command" (stdio) or "url" (streamable HTTP)`);
+  }
+  const key = `${name}\0${JSON.stringify(config)}`;
+  if (_mcpClients.has(key)) {
+    const existing = await _mcpClients.get(key).catch(() => null);
+    if (existing && !existing.closed) return existing;
+    _mcpClients.delete(key);
+  }
+  const promise = (async () => {
+    const client = _createMcpClient(name, config);
+    try {
+      const init = await client.request('initialize', {
+        protocolVersion: MCP_PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: { name: 'viib-etch', version: '0.1.0' },
+      });
+      client.serverInfo = (init && init.serverInfo) || null;
+      await client.notify('notifications/initialized');
+      const tools = [];
+      let cursor;
+      do {
+        const page = await client.request('tools/list', cursor ? { cursor } : {});
+        tools.push(...((page && Array.isArray(page.tools)) ? page.tools : []));
+        cursor = page && page.nextCursor;
+      } while (cursor);
+      client.tools = tools;
+      return client;
+    } catch (err) {
+      client.close();
+      throw err;
+    }
+  })();
+  _mcpClients.set(key, promise);
+  promise.catch(() => { if (_mcpClients.get(key) === promise) _mcpClients.delete(key); });
+  return promise;
+}
+
+// MCP tools/call result -> tool result. Plain text results are returned as a string.
+function _mcpToolResult(result) {
+  const parts = (result && Array.isArray(result.content)) ? result.content : [];
+  const text = parts.map((p) => {
+    if (!p || typeof p !== 'object') return '';
+    if (p.type === 'text') return String(p.text || '');
+    if (p.type === 'resource' && p.resource) {
+      return typeof p.resource.text === 'string' ? p.resource.text : `[resource ${p.resource.uri || ''}]`;
+    }
+    if (p.type === 'resource_link') return `[resource ${p.uri || ''}]`;
+    return `[${p.type}${p.mimeType ? ` ${p.mimeType}` : ''}]`;
+  }).filter(Boolean).join('\n');
+  if (result && result.isError) return { success: false, error: text || 'MCP tool returned an error' };
+  if (result && result.structuredContent !== undefined) {
+    return { success: true, content: text, structured_content: result.structuredContent };
+  }
+  return text;
+}
+
+function _registerMcpServerTools(client) {
+  const names = [];
+  for (const tool of client.tools) {
+    if (!tool || !tool.name) continue;
+    const name = mcpToolName(client.name, tool.name);
+    const readOnly = !!(tool.annotations && tool.annotations.readOnlyHint);
+    registerTool({
+      type: 'function',
+      function: {
+        name,
+        description: `[${client.name}] ${tool.description || tool.name}`,
+        parameters: tool.inputSchema && typeof tool.inputSchema === 'object' ? tool.inputSchema : { type: 'object', properties: {} },
+        disallow_in_ask_mode: !readOnly,
+      },
+    }, async (args) => {
+      // Reconnects if the server went away since the tools were listed.
+      const live = await connectMcpServer(client.name, client.config);
+      return _mcpToolResult(await live.request('tools/call', { name: tool.name, arguments: args || {} }));
+    }, { overwrite: true, parallelSafe: readOnly });
+    _mcpTools.set(name, { server: client.name, tool: tool.name });
+    names.push(name);
+  }
+  return names;
+}
+
+// Registered MCP tool names selected by an "mcp:<server>/<tool-glob>" entry.
+function _expandMcpRef(ref) {
+  const rx = globToRegExp(ref.pattern);
+  const names = [];
+  for (const [name, info] of _mcpTools) {
+    if (info.server === ref.server && rx.test(info.tool) && _externalTools.has(name)) names.push(name);
+  }
+  return names;
+}
+
+// Connect the MCP servers referenced by `mcp:` entries of a tools list and register their tools.
+// Returns the selected tool definitions plus per-server connection errors.
+async function loadMcpTools(toolNames = [], { servers = null } = {}) {
+  const refs = (Array.isArray(toolNames) ? toolNames : []).map(_parseMcpRef).filter(Boolean);
+  const tools = [];
+  const errors = [];
+  const seen = new Set();
+  for (const server of [...new Set(refs.map((r) => r.server))]) {
+    try {
+      const config = _resolveMcpServerConfig(server, servers);
+      if (!config) throw new Error(`MCP server "${server}" is not configured`);
+      _registerMcpServerTools(await connectMcpServer(server, config));
+    } catch (err) {
+      errors.push({ server, error: err.message });
+      continue;
+    }
+    for (const ref of refs.filter((r) => r.server === server)) {
+      for (const name of _expandMcpRef(ref)) {
+        if (seen.has(name)) continue;
+        seen.add(name);
+        tools.push(_externalTools.get(name).definition);
+      }
+    }
+  }
+  return { tools, errors };
+}
+
+async function closeMcpServers() {
+  const clients = await Promise.all(Array.from(_mcpClients.values()).map((p) => p.catch(() => null)));
+  _mcpClients.clear();
+  for (const client of clients) {
+    if (client) client.close();
+  }
+}
+
+// ----------------------------
+// Session modes
+// ----------------------------
+//
+// 'agent' may use every tool. 'ask' and 'plan' are read-only: tools flagged with
+// `disallow_in_ask_mode` in viib-etch-tools.json (and provider built-ins that can run
+// commands or edit files) are neither offered to the model nor executed.
+
+const READ_ONLY_MODES = new Set(['ask', 'plan']);
+// Provider built-in tools (passed through as { type:name }) that can modify the machine.
+const WRITE_CAPABLE_BUILTINS = new Set(['bash', 'text_editor']);
+
+function _toolName(def) {
+  if (!def || typeof def !== 'object') return '';
+  if (def.function && typeof def.function === 'object' && def.function.name) return String(def.function.name);
+  if (def.name) return String(def.name);
+  return '';
+}
+
+// Names of tools flagged disallow_in_ask_mode (tools file + registered tools).
+function _disallowedInAskModeNames(filePath = path.join(__dirname, 'viib-etch-tools.json')) {
+  const names = new Set();
+  let fileDefs = [];
+  try {
+    fileDefs = loadToolDefinitions(filePath);
+  } catch {
+    // Missing/invalid tools file: fall back to flags on the definitions themselves.
+  }
+  const registeredDefs = Array.from(_externalTools.values()).map((t) => t.definition);
+  for (const d of [...fileDefs, ...registeredDefs]) {
+    if (d && d.function && d.function.disallow_in_ask_mode) names.add(_toolName(d));
+  }
+  return names;
+}
+
+function _isReadOnlyMode(mode) {
+  return READ_ONLY_MODES.has(String(mode || '').toLowerCase());
+}
+
+// Filter a tool definition list (any supported shape) for a session mode.
+function filterToolsForMode(tools, mode, { filePath } = {}) {
+  if (!Array.isArray(tools) || !_isReadOnlyMode(mode)) return tools;
+  const disallowed = _disallowedInAskModeNames(filePath);
+  return tools.filter((t) => {
+    if (!t || typeof t !== 'object') return false;
+    if (t.type !== 'function') return !WRITE_CAPABLE_BUILTINS.has(String(t.type));
+    if (t.disallow_in_ask_mode || (t.function && t.function.disallow_in_ask_mode)) return false;
+    return !disallowed.has(_toolName(t));
+  });
+}
+
+// Whether a tool call by name may execute in the given session mode.
+// `tools` (optional) are the definitions offered to the model; their flags are honored too.
+function isToolAllowedInMode(toolName, mode, { tools = null, filePath } = {}) {
+  if (!_isReadOnlyMode(mode)) return true;
+  const name = String(toolName || '');
+  if (WRITE_CAPABLE_BUILTINS.has(name) || name === 'str_replace_editor') return false;
+  if (_disallowedInAskModeNames(filePath).has(name)) return false;
+  for (const t of Array.isArray(tools) ? tools : []) {
+    if (_toolName(t) !== name) continue;
+    if (t.disallow_in_ask_mode || (t.function && t.function.disallow_in_ask_mode)) return false;
+  }
+  return true;
+}
+
+// Parallel tool execution
+// ----------------------------
+//
+// Tool calls from one assistant turn run in order, except that consecutive calls to
+// parallel-safe (read-only) tools are run concurrently. Handlers get their working
+// directory from context.cwd, so nothing here depends on process.cwd().
+
+const PARALLEL_SAFE_TOOLS = new Set(['read_file', 'rg', 'list_dir', 'glob_file_search', 'web_search', 'fetch_url',
+  'list_processes', 'read_process_output', 'read_tool_output']);
+
+function isParallelSafeTool(toolName) {
+  const name = String(toolName || '');
+  if (_externalTools.has(name)) return !!_externalTools.get(name).parallelSafe;
+  return PARALLEL_SAFE_TOOLS.has(name);
 }
 
 // Get tool definitions for API (OpenAI format)
-function getToolDefinitions(filePath, tool_names = []) {
+// options.mode: session mode ('agent' | 'ask' | 'plan'); read-only modes drop disallowed tools.
+function getToolDefinitions(filePath, tool_names = [], options = {}) {
+  const mode = options && options.mode ? options.mode : 'agent';
   const fileDefs = loadToolDefinitions(filePath);
   const registeredDefs = Array.from(_externalTools.values()).map((t) => t.definition).filter(Boolean);
   // Merge: file definitions first (canonical), then registered definitions that don't collide.
@@ -1628,7 +3528,7 @@ function getToolDefinitions(filePath, tool_names = []) {
     definitions.push(d);
   }
   if (tool_names.length === 0) {
-    return definitions;
+    return filterToolsForMode(definitions, mode, { filePath });
   }
 
   // Built-in tools for OpenAI /v1/responses (pass-through; not present in viib-etch-tools.json)
@@ -1654,7 +3554,238 @@ function getToolDefinitions(filePath, tool_names = []) {
   }
 
   const customTools = definitions.filter(tool => tool_names.includes(tool.function.name));
-  return [...builtinTools, ...customTools];
+  // MCP tools ("mcp:<server>/<tool-glob>") already registered by loadMcpTools().
+  const customNames = new Set(customTools.map((t) => t.function.name));
+  for (const ref of tool_names.map(_parseMcpRef).filter(Boolean)) {
+    for (const name of _expandMcpRef(ref)) {
+      if (customNames.has(name)) continue;
+      customNames.add(name);
+      customTools.push(_externalTools.get(name).definition);
+    }
+  }
+  return filterToolsForMode([...builtinTools, ...customTools], mode, { filePath });
+}
+
+// Declarative tool policy from the project's `.viib-etch-policy.json`: the nearest one at or
+// above the tool cwd, up to the repository root (a directory with .git), so chats and
+// sub-agents working in a subdirectory stay under the project's policy:
+//   { "commands": { "allow": ["npm test", { "regex": "^ls\\b" }], "deny": ["git push", { "regex": "curl.*\\|\\s*sh", "reason": "..." }] },
+//     "paths": { "allow": ["src/**"], "deny": [".env", ".git/**"], "outside_base_dir": "deny" } }
+// Command rules are prefixes (strings or { prefix }) or { regex }. Path rules are globs: a
+// pattern without "/" matches any path segment, one with "/" is relative to the policy file's
+// directory (the project root).
+// "deny" refuses the call inside executeTool; "allow" lets ChatLLM skip the approval prompt.
+const POLICY_FILE = '.viib-etch-policy.json';
+const POLICY_PATH_TOOLS = new Set(['apply_patch', 'edit_file', 'delete_file']);
+const _policyCache = new Map();
+
+function _findPolicyFile(cwd) {
+  for (let dir = path.resolve(cwd || process.cwd()); ; dir = path.dirname(dir)) {
+    const file = path.join(dir, POLICY_FILE);
+    if (_fileExists(file)) return file;
+    if (fs.existsSync(path.join(dir, '.git')) || path.dirname(dir) === dir) return null;
+  }
+}
+
+function loadToolPolicy(cwd) {
+  const file = _findPolicyFile(cwd);
+  if (!file) return null;
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    return null;
+  }
+  const cached = _policyCache.get(file);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached.policy;
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid ${POLICY_FILE}: ${err.message}`);
+  }
+  const rules = (list, kind) => (Array.isArray(list) ? list : []).map((r) => {
+    const rule = typeof r === 'string' ? { [kind === 'path' ? 'glob' : 'prefix']: r } : { ...r };
+    if (rule.regex !== undefined) {
+      try {
+        rule._re = new RegExp(String(rule.regex), rule.flags ? String(rule.flags) : '');
+      } catch (err) {
+        throw new Error(`Invalid ${POLICY_FILE}: bad regex ${JSON.stringify(rule.regex)}: ${err.message}`);
+      }
+    }
+    return rule;
+  });
+  const commands = (raw && raw.commands) || {};
+  const paths = (raw && raw.paths) || {};
+  const policy = {
+    file,
+    dir: path.dirname(file),
+    commands: { allow: rules(commands.allow, 'command'), deny: rules(commands.deny, 'command') },
+    paths: {
+      allow: rules(paths.allow, 'path'),
+      deny: rules(paths.deny, 'path'),
+      outside_base_dir: paths.outside_base_dir === 'deny' ? 'deny' : 'allow',
+    },
+  };
+  _policyCache.set(file, { mtimeMs: stat.mtimeMs, size: stat.size, policy });
+  return policy;
+}
+
+// Collapses whitespace and drops leading VAR=value assignments: "FOO=1  git\tpush" -> "git push".
+function _normalizeCommand(segment) {
+  return String(segment).replace(/\s+/g, ' ').trim()
+    .replace(/^(?:[A-Za-z_][A-Za-z0-9_]*=(?:'[^']*'|"[^"]*"|[^\s'"]*)(?: |$))+/, '')
+    .trim();
+}
+
+// Simple commands in a shell line, split on ; & && || | and newlines (quotes are not parsed).
+function _commandSegments(command) {
+  return String(command).split(/\|\||&&|[;|&\n]/).map(_normalizeCommand).filter(Boolean);
+}
+
+// Shell syntax an allow rule never vouches for: command substitution, background jobs,
+// redirections, subshells and groups. Such commands always go to the approval prompt.
+const POLICY_UNSAFE_FOR_ALLOW = /[`<>(){}]|(?:^|[^&])&(?!&)/;
+
+// Deny rules err wide: besides the plain segments they see the text inside quotes,
+// backticks, $( ) and subshells, the line with quoting and escapes removed, and commands
+// behind wrappers such as sudo, env or sh -c.
+const POLICY_DENY_WRAPPER = /^(?:(?:sudo|env|command|builtin|exec|nohup|time|nice|xargs)(?: -\S+)*|(?:ba|da|k|z)?sh(?: -\S+)* -[A-Za-z]*c) /;
+
+function _denySegments(command) {
+  const raw = String(command);
+  const pieces = [
+    ...raw.split(/\|\||&&|[;|&\n`'"(){}]/),
+    ...raw.replace(/\\(.)/g, '$1').replace(/['"]/g, '').split(/\|\||&&|[;|&\n`(){}]/),
+  ];
+  const out = new Set();
+  for (const piece of pieces) {
+    let seg = _normalizeCommand(piece);
+    for (let prev = null; seg && seg !== prev;) {
+      prev = seg;
+      seg = _normalizeCommand(seg.replace(POLICY_DENY_WRAPPER, ''));
+    }
+    if (seg) out.add(seg);
+  }
+  return [...out];
+}
+
+function _commandRuleMatches(rule, segment) {
+  if (rule._re) return rule._re.test(segment);
+  const prefix = _normalizeCommand(rule.prefix || '');
+  return !!prefix && (segment === prefix || segment.startsWith(`${prefix} `));
+}
+
+function _pathRuleMatches(rule, relPosix) {
+  const glob = toPosixPath(String(rule.glob || '')).replace(/^\.\//, '');
+  if (!glob) return false;
+  if (!glob.includes('/')) {
+    const rx = globToRegExp(glob);
+    return relPosix.split('/').some((part) => rx.test(part));
+  }
+  if (glob.startsWith('**/')) {
+    const rx = globToRegExp(glob.slice(3));
+    const parts = relPosix.split('/');
+    return parts.some((_, i) => rx.test(parts.slice(i).join('/')));
+  }
+  return globToRegExp(glob).test(relPosix);
+}
+
+function _ruleLabel(rule) {
+  return rule.regex !== undefined ? `regex ${rule.regex}` : (rule.prefix !== undefined ? `prefix "${rule.prefix}"` : `glob "${rule.glob}"`);
+}
+
+// Paths a file tool call would touch, as given by the model.
+function _policyTargets(toolName, args) {
+  if (toolName === 'apply_patch') {
+    const patch = args && typeof args.patchCommand === 'string' ? args.patchCommand : '';
+    const out = [];
+    for (const m of patch.matchAll(/^\*\*\* (?:(?:Add|Update|Delete) File|Move to): (.+)$/gm)) out.push(m[1].trim());
+    return out;
+  }
+  return args && typeof args.target_file === 'string' && args.target_file ? [args.target_file] : [];
+}
+
+function _commandPolicy(policy, command) {
+  const denyTargets = [command, _normalizeCommand(command), ..._denySegments(command)];
+  for (const rule of policy.commands.deny) {
+    // Regexes also see the whole line (e.g. a pipe into sh); prefixes only command starts.
+    const hit = denyTargets.slice(rule._re ? 0 : 2).find((t) => _commandRuleMatches(rule, t));
+    if (hit !== undefined) return { decision: 'deny', rule, target: hit, reason: `command matches deny ${_ruleLabel(rule)}` };
+  }
+  // Every simple command must match an allow rule of its own.
+  const segments = _commandSegments(command);
+  if (!segments.length || POLICY_UNSAFE_FOR_ALLOW.test(command)) return { decision: null };
+  const labels = new Set();
+  for (const seg of segments) {
+    const rule = policy.commands.allow.find((r) => _commandRuleMatches(r, seg));
+    if (!rule) return { decision: null };
+    labels.add(_ruleLabel(rule));
+  }
+  return { decision: 'allow', labels: [...labels] };
+}
+
+// { decision: 'allow' | 'deny' | null, rule, reason, target, file } for a tool call.
+// null means the policy has no opinion (normal approval flow applies).
+function evaluateToolPolicy(toolName, args, context) {
+  const name = String(toolName || '');
+  if (name !== 'run_terminal_cmd' && name !== 'read_lints' && !POLICY_PATH_TOOLS.has(name)) return { decision: null };
+  const cwd = getToolCwd(context);
+  let policy;
+  try {
+    policy = loadToolPolicy(cwd);
+  } catch (err) {
+    // A broken policy file fails closed for the tools it governs.
+    return { decision: 'deny', rule: null, reason: err.message, file: _findPolicyFile(cwd) };
+  }
+  if (!policy) return { decision: null };
+  const deny = (rule, target, reason) => ({
+    decision: 'deny',
+    rule: rule ? _ruleLabel(rule) : null,
+    reason: (rule && rule.reason) || reason,
+    target,
+    file: policy.file,
+  });
+
+  if (name === 'run_terminal_cmd' || name === 'read_lints') {
+    let commands;
+    try {
+      commands = name === 'run_terminal_cmd'
+        ? [String((args && args.command) || '')]
+        : lintCommands(cwd, _lintPaths(args)).map((l) => l.command);
+    } catch {
+      return { decision: null };
+    }
+    if (!commands.length) return { decision: null };
+    const labels = new Set();
+    let allowed = true;
+    for (const command of commands) {
+      const res = _commandPolicy(policy, command);
+      if (res.decision === 'deny') return deny(res.rule, res.target, res.reason);
+      if (res.decision !== 'allow') allowed = false;
+      else res.labels.forEach((l) => labels.add(l));
+    }
+    return allowed ? { decision: 'allow', rule: [...labels].join(', '), target: commands.join('; '), file: policy.file } : { decision: null };
+  }
+
+  const targets = _policyTargets(name, args);
+  let allowed = targets.length > 0;
+  let allowLabel = null;
+  for (const t of targets) {
+    const abs = resolveTargetPath(t, cwd);
+    const rel = path.relative(policy.dir, abs);
+    const outside = rel === '..' || rel.startsWith(`..${path.sep}`) || path.isAbsolute(rel);
+    if (outside && policy.paths.outside_base_dir === 'deny') {
+      return deny(null, t, `${t} is outside the project directory ${policy.dir}`);
+    }
+    const relPosix = toPosixPath(outside ? abs : rel);
+    const hit = policy.paths.deny.find((r) => _pathRuleMatches(r, relPosix));
+    if (hit) return deny(hit, t, `${t} matches deny ${_ruleLabel(hit)}`);
+    const ok = outside ? null : policy.paths.allow.find((r) => _pathRuleMatches(r, relPosix));
+    if (!ok) allowed = false;
+    else allowLabel = _ruleLabel(ok);
+  }
+  return allowed ? { decision: 'allow', rule: allowLabel, target: targets.join(', '), file: policy.file } : { decision: null };
 }
 
 // Execute a tool by name
@@ -1664,6 +3795,15 @@ async function executeTool(toolName, args, context) {
   if (!handler) {
     throw new Error(`Tool handler not found: ${toolName}`);
   }
+
+  const policy = evaluateToolPolicy(name, args, context);
+  if (policy.decision === 'deny') {
+    return {
+      error: `Denied by project policy: ${policy.reason}`,
+      success: false,
+      policy: { decision: 'deny', tool: name, rule: policy.rule, target: policy.target || null, file: policy.file },
+    };
+  }
   
   try {
     const result = await handler(args, context);
@@ -1695,6 +3835,33 @@ module.exports = {
   getToolHandler,
   hasTool,
   toolHandlers,
+  // Session modes (agent | ask | plan)
+  filterToolsForMode,
+  isToolAllowedInMode,
+  // Parallel execution / working directory
+  isParallelSafeTool,
+  getToolCwd,
+  // Web search backends
+  registerWebSearchBackend,
+  setWebSearchConfig,
+  htmlToText,
+  // Sandbox and persistent shells for run_terminal_cmd
+  setSandboxConfig,
+  resetShellSession,
+  // Background processes (run_terminal_cmd is_background)
+  listBackgroundProcesses,
+  readBackgroundOutput,
+  killBackgroundProcess,
+  subscribeBackgroundProcesses,
+  // Project tool policy (.viib-etch-policy.json)
+  loadToolPolicy,
+  evaluateToolPolicy,
+  // MCP servers
+  setMcpServers,
+  loadMcpTools,
+  connectMcpServer,
+  closeMcpServers,
+  mcpToolName,
   // 3rd-party tool registration (handlers only)
   registerTool,
   registerTools,
@@ -707,6 +707,7 @@
           .ve-tab.ve-unread{border-color:rgba(220,38,38,0.9);box-shadow:0 0 0 1px rgba(220,38,38,0.3);}
           .ve-tab .ve-tab-x{display:none;}
           .ve-tab small{opacity:0.7}
+          .ve-tab .ve-tab-cost{flex:0 0 auto;font-size:10px;padding:0 4px;border-radius:3px;background:rgba(16,185,129,0.12);color:#047857;}
           .ve-body{flex:1;overflow:auto;padding:14px 12px 10px;scrollbar-gutter:stable;position:relative;}
           .ve-footer{position:sticky;bottom:0;z-index:5;border-top:1px solid rgba(17,24,39,0.10);background:#ffffff;padding:10px 12px;display:flex;flex-direction:column;gap:8px;}
           .ve-footer-row{display:flex;gap:10px;align-items:flex-end;}
@@ -730,6 +731,17 @@
           .ve-msg{margin:10px 0;display:flex;flex-direction:column;gap:6px;}
           .ve-bubble{border-radius:3px;padding:10px 12px;border:1px solid rgba(17,24,39,0.12);background:#ffffff;}
           .ve-user .ve-bubble{background:#f9fafb;border-color:rgba(17,24,39,0.14);}
+          .ve-search-results{margin-top:8px;max-height:60vh;overflow-y:auto;}
+          .ve-search-row{padding:6px 8px;border-radius:3px;cursor:pointer;}
+          .ve-search-row:hover,.ve-search-row.ve-active{background:#eef2ff;}
+          .ve-jobs-list{max-height:30vh;overflow-y:auto;margin-bottom:8px;}
+          .ve-jobs-row{display:flex;align-items:center;gap:8px;padding:6px 8px;border-radius:3px;cursor:pointer;}
+          .ve-jobs-row:hover,.ve-jobs-row.ve-active{background:#eef2ff;}
+          .ve-jobs-row code{flex:1;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;}
+          .ve-jobs-log{height:40vh;overflow:auto;background:#0f172a;color:#e5e7eb;padding:8px;border-radius:3px;font:12px/1.4 ui-monospace,SFMono-Regular,Menlo,Consolas,monospace;}
+          .ve-msg.ve-flash .ve-bubble,.ve-msg.ve-flash .ve-assistant-block{outline:2px solid rgba(37,99,235,0.55);}
+          .ve-user-actions{display:flex;justify-content:flex-end;gap:6px;}
+          .ve-user-actions .ve-iconbtn{padding:2px 8px;font-size:12px;}
           .ve-user .ve-bubble pre{margin:0;white-space:pre-wrap;word-break:break-word;font:14px/1.4 ui-sans-serif,system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial,"Apple Color Emoji","Segoe UI Emoji";}
           .ve-assistant .ve-bubble{background:#ffffff;border-color:rgba(17,24,39,0.12);}
           /* Assistant message: single block, no extra background layer; collapses to a one-line preview */
@@ -774,6 +786,8 @@
           .ve-kv{display:flex;gap:8px;flex-wrap:wrap;font-size:12px;opacity:0.8}
           .ve-muted{opacity:0.7}
           .ve-tool{margin-top:8px}
+          .ve-approval{margin-top:6px;padding:10px 12px;border:1px solid rgba(217,119,6,0.45);background:#fffbeb;border-radius:3px;display:flex;flex-direction:column;gap:8px;}
+          .ve-approval-actions{display:flex;gap:8px;}
           .ve-tool .ve-details{border-color:rgba(17,24,39,0.14);background:#ffffff;}
           .ve-tool .ve-details summary{background:#f3f4f6;}
           /* Tool tabs: classic connected tabs + divider line to content */
@@ -807,12 +821,17 @@
       const btnConfig = document.createElement('button');
       btnConfig.className = 've-iconbtn ve-config';
       btnConfig.textContent = '⚙';
+      const btnSearch = document.createElement('button');
+      btnSearch.className = 've-iconbtn ve-config';
+      btnSearch.textContent = '🔍';
+      btnSearch.title = 'Search chats (Ctrl/Cmd+K)';
       const tabs = document.createElement('div');
       tabs.className = 've-tabs';
       const btnNew = document.createElement('button');
       btnNew.className = 've-iconbtn';
       btnNew.textContent = '+';
       top.appendChild(btnConfig);
+      top.appendChild(btnSearch);
       top.appendChild(tabs);
       top.appendChild(btnNew);
       root.appendChild(top);
@@ -874,6 +893,7 @@
           ta: null,
           modelSel: null,
           reasoningSel: null,
+          modeSel: null,
           btnFolder: null,
           btnAction: null,
           // image attachment controls (image-gen only):
@@ -970,6 +990,25 @@
         reasoningSel.style.fontSize = '13px';
         reasoningSel.style.lineHeight = '1.4';
 
+        // Session mode: agent (all tools) | ask / plan (read-only tools).
+        const modeLabel = document.createElement('label');
+        modeLabel.textContent = 'Mode';
+        const modeSel = document.createElement('select');
+        modeSel.className = 've-select';
+        modeSel.style.fontSize = '13px';
+        modeSel.style.lineHeight = '1.4';
+        modeSel.title = 'Ask/Plan modes cannot run commands or edit files';
+        for (const m of [
+          { value: 'agent', label: 'Agent' },
+          { value: 'ask', label: 'Ask' },
+          { value: 'plan', label: 'Plan' },
+        ]) {
+          const opt = document.createElement('option');
+          opt.value = m.value;
+          opt.textContent = m.label;
+          modeSel.appendChild(opt);
+        }
+
         const btnFolder = document.createElement('button');
         btnFolder.className = 've-iconbtn ve-folder';
         btnFolder.textContent = '📁';
@@ -1011,6 +1050,8 @@
         controls.appendChild(modelSel);
         controls.appendChild(reasoningLabel);
         controls.appendChild(reasoningSel);
+        controls.appendChild(modeLabel);
+        controls.appendChild(modeSel);
         controls.appendChild(btnFolder);
         controls.appendChild(btnSystemPrompt);
         controls.appendChild(btnImgClip);
@@ -1164,6 +1205,7 @@
         pane.ta = ta;
         pane.modelSel = modelSel;
         pane.reasoningSel = reasoningSel;
+        pane.modeSel = modeSel;
         pane.btnFolder = btnFolder;
         pane.btnSystemPrompt = btnSystemPrompt;
         pane.btnAction = btnAction;
@@ -1263,6 +1305,13 @@
         return meta;
       };
 
+      // Running chat cost (USD) for the tab badge; null/0 when the model has no pricing.
+      const formatCost = (cost) => {
+        const n = Number(cost);
+        if (!Number.isFinite(n) || n <= 0) return '';
+        return n < 0.01 ? '<$0.01' : `$${n.toFixed(2)}`;
+      };
+
       const renderTabs = () => {
         tabs.innerHTML = '';
         const runningEls = [];
@@ -1276,7 +1325,9 @@
           if (st.unread) cls += ' ve-unread';
           el.className = cls;
           const title = c.title || 'New Chat';
-          el.innerHTML = `<span>${escapeHtml(title)}</span>`;
+          const cost = formatCost(c.cost);
+          el.innerHTML = `<span>${escapeHtml(title)}</span>` +
+            (cost ? `<span class="ve-tab-cost" title="Estimated API cost for this chat">${escapeHtml(cost)}</span>` : '');
           el.addEventListener('click', (e) => {
             const id = String(c.id);
             if (!state.chat || state.chatId !== id) {
@@ -1646,6 +1697,18 @@
           return { title, bodyHtml };
         }
 
+        if (name === 'read_process_output' || name === 'kill_process') {
+          const pid = parsed && parsed.pid !== undefined ? parsed.pid : (() => {
+            try { return JSON.parse(argsText || '{}').pid; } catch { return ''; }
+          })();
+          const status = parsed && parsed.status ? ` {${parsed.status}}` : '';
+          const title = `${name === 'kill_process' ? 'Kill' : 'Process output'} ${pid}${status}`;
+          const bodyHtml = name === 'read_process_output' && parsed && typeof parsed.output === 'string'
+            ? `<pre class="ve-pre" style="max-height:24em;overflow:auto;">${escapeHtml(parsed.output)}</pre>`
+            : (parsed !== null && parsed !== undefined ? prettyJson(parsed) : `<pre class="ve-pre">${escapeHtml(raw || '')}</pre>`);
+          return { title, bodyHtml };
+        }
+
         if (name === 'rg') {
           let argsObj = null;
           try { argsObj = JSON.parse(argsText || '{}'); } catch { argsObj = null; }
@@ -1719,6 +1782,28 @@
           return { title, bodyHtml };
         }
 
+        if (name === 'task') {
+          let argsObj = null;
+          try { argsObj = JSON.parse(argsText || '{}'); } catch { argsObj = null; }
+          // Sub-agent chats are linked in chat.data.tasks[toolCallId] while running and after.
+          const tid = tc?.id ? String(tc.id) : (toolMsg?.tool_call_id ? String(toolMsg.tool_call_id) : null);
+          const rec = (chat && chat.data && chat.data.tasks && tid) ? chat.data.tasks[tid] : null;
+          const childId = (parsed && parsed.chat_id) || (rec && rec.chat_id) || '';
+          const desc = (argsObj && argsObj.description) || (rec && rec.description) || 'Sub-agent';
+          const model = (rec && rec.model) || (argsObj && argsObj.model) || '';
+          const status = parsed && typeof parsed === 'object' ? (parsed.success ? 'done' : 'failed') : (rec ? rec.status : '');
+          const title = `Task ${desc}${model ? ' (' + model + ')' : ''}${status ? ' ' + status : ''}`;
+          const answer = parsed && typeof parsed === 'object' ? (parsed.content || parsed.error || '') : (raw || '');
+          const bodyHtml = `
+            <div class="ve-kv"><span class="ve-muted">Prompt</span></div>
+            <pre class="ve-pre">${escapeHtml((argsObj && argsObj.prompt) || '')}</pre>
+            <div class="ve-kv" style="margin-top:8px"><span class="ve-muted">Answer</span></div>
+            <pre class="ve-pre" style="max-height:24em;overflow:auto;">${escapeHtml(answer)}</pre>
+            ${childId ? `<div style="margin-top:8px"><button class="ve-iconbtn" data-open-chat="${escapeHtml(childId)}">Open sub-agent chat</button></div>` : ''}
+          `;
+          return { title, bodyHtml };
+        }
+
         if (name === 'apply_patch' || name === 'edit_file') {
           // Prefer stored diffs in chat.data.diffs[toolCallId]
           const tid = tc?.id ? String(tc.id) : (toolMsg?.tool_call_id ? String(toolMsg.tool_call_id) : null);
@@ -1856,6 +1941,17 @@
             b.addEventListener('click', () => setActive(b.getAttribute('data-tab')));
           }
         }
+        // "Open sub-agent chat" buttons (task tool).
+        for (const b of scope.querySelectorAll('[data-open-chat]')) {
+          b.addEventListener('click', async () => {
+            try {
+              await refreshChats();
+              await openChatId(b.getAttribute('data-open-chat'));
+            } catch (e) {
+              setGlobalError(String(e && e.message ? e.message : e));
+            }
+          });
+        }
       };
 
       const paneScopedKey = (pane, key) => {
@@ -1918,6 +2014,15 @@
           parentEl.appendChild(grid);
         };
 
+        // Last user turn that changed files; "Restore to here" is offered up to it.
+        const checkpoints = chat.data && Array.isArray(chat.data.checkpoints) ? chat.data.checkpoints : [];
+        let lastCheckpointIndex = -1;
+        for (const cp of checkpoints) {
+          if (cp && cp.files && Object.keys(cp.files).length > 0 && Number(cp.message_index) > lastCheckpointIndex) {
+            lastCheckpointIndex = Number(cp.message_index);
+          }
+        }
+
         const messages = chat.messages || [];
         for (let i = 0; i < messages.length; i++) {
           const msg = messages[i];
@@ -1926,6 +2031,7 @@
           if (msg.role === 'user') {
             const wrap = document.createElement('div');
             wrap.className = 've-msg ve-user';
+            wrap.setAttribute('data-msg-index', String(i));
             if (msg.content && typeof msg.content === 'object' && msg.content.type === 'image_prompt') {
               const p = msg.content.prompt ? String(msg.content.prompt) : '';
               const bubble = document.createElement('div');
@@ -1968,6 +2074,65 @@
             } else {
               wrap.innerHTML = `<div class="ve-bubble"><pre>${escapeHtml(msg.content || '')}</pre></div>`;
             }
+            const actions = document.createElement('div');
+            actions.className = 've-user-actions';
+            const messageIndex = i;
+            if (typeof msg.content === 'string') {
+              // Branch into a new chat without this message, with the text in its composer.
+              const btn = document.createElement('button');
+              btn.type = 'button';
+              btn.className = 've-iconbtn';
+              btn.textContent = 'Edit & resend';
+              btn.title = 'Fork the chat before this message and edit it there';
+              const text = msg.content;
+              btn.addEventListener('click', async () => {
+                try {
+                  const res = await apiFetch(`/chat/${encodeURIComponent(pane.chatId)}/fork`, {
+                    method: 'POST',
+                    headers: { 'content-type': 'application/json' },
+                    body: JSON.stringify({ message_index: messageIndex }),
+                  });
+                  await refreshChats();
+                  await openChatId(res.id);
+                  const forkPane = getActivePane();
+                  if (forkPane && forkPane.ta) {
+                    forkPane.ta.value = text;
+                    autoResizeTextarea(forkPane);
+                    forkPane.ta.focus();
+                  }
+                } catch (e) {
+                  setGlobalError(String(e && e.message ? e.message : e));
+                }
+              });
+              actions.appendChild(btn);
+            }
+            if (i <= lastCheckpointIndex) {
+              const btn = document.createElement('button');
+              btn.type = 'button';
+              btn.className = 've-iconbtn';
+              btn.textContent = 'Restore to here';
+              btn.title = 'Revert file changes made since this message';
+              btn.addEventListener('click', async () => {
+                if (pane.running) return;
+                if (!confirm('Revert all file changes made since this message?')) return;
+                const truncate = confirm('Also remove this message and everything after it from the chat?');
+                try {
+                  const res = await apiFetch(`/chat/${encodeURIComponent(pane.chatId)}/restore`, {
+                    method: 'POST',
+                    headers: { 'content-type': 'application/json' },
+                    body: JSON.stringify({ message_index: messageIndex, truncate }),
+                  });
+                  if (res && Array.isArray(res.errors) && res.errors.length > 0) {
+                    setGlobalError(`Restore failed for: ${res.errors.map((e) => e.path).join(', ')}`);
+                  }
+                  await openChatId(pane.chatId, { forceReload: true });
+                } catch (e) {
+                  setGlobalError(String(e && e.message ? e.message : e));
+                }
+              });
+              actions.appendChild(btn);
+            }
+            if (actions.childNodes.length > 0) wrap.appendChild(actions);
             bodyEl.appendChild(wrap);
             continue;
           }
@@ -1987,6 +2152,7 @@
 
             const wrap = document.createElement('div');
             wrap.className = 've-msg ve-assistant';
+            wrap.setAttribute('data-msg-index', String(i));
 
             const isImageBlock = msg.content && typeof msg.content === 'object' && msg.content.type === 'image';
             const isVideoBlock = msg.content && typeof msg.content === 'object' && msg.content.type === 'video';
@@ -2384,6 +2550,86 @@
         return tb;
       };
 
+      // Approval card for a tool call the server is holding (SSE tool.approval_required).
+      // run_terminal_cmd commands can be edited before approving (sent as decision "modify").
+      const liveShowToolApproval = (pane, tb, data) => {
+        if (!tb || !tb.detailsEl || tb.approvalEl) return;
+        const toolWrap = tb.detailsEl.parentNode;
+        if (!toolWrap) return;
+        const args = (data && data.args && typeof data.args === 'object') ? data.args : {};
+        const card = document.createElement('div');
+        card.className = 've-approval';
+        card.innerHTML = `<div class="ve-kv"><span>Approval required: <b>${escapeHtml(tb.name)}</b></span></div>`;
+
+        let cmdInput = null;
+        if (tb.name === 'run_terminal_cmd') {
+          cmdInput = document.createElement('textarea');
+          cmdInput.className = 've-input';
+          cmdInput.rows = 2;
+          cmdInput.value = args.command ? String(args.command) : '';
+          card.appendChild(cmdInput);
+        } else {
+          const pre = document.createElement('pre');
+          pre.className = 've-pre';
+          pre.textContent = JSON.stringify(args, null, 2);
+          card.appendChild(pre);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 've-approval-actions';
+        const btnApprove = document.createElement('button');
+        btnApprove.type = 'button';
+        btnApprove.className = 've-btn ve-primary';
+        btnApprove.textContent = 'Approve';
+        const btnReject = document.createElement('button');
+        btnReject.type = 'button';
+        btnReject.className = 've-btn';
+        btnReject.textContent = 'Reject';
+        actions.appendChild(btnApprove);
+        actions.appendChild(btnReject);
+        card.appendChild(actions);
+
+        const decide = async (body) => {
+          btnApprove.disabled = true;
+          btnReject.disabled = true;
+          try {
+            await apiFetch(`/chat/${encodeURIComponent(pane.chatId)}/tool/${encodeURIComponent(tb.toolCallId)}/approve`, {
+              method: 'POST',
+              headers: { 'content-type': 'application/json' },
+              body: JSON.stringify(body),
+            });
+          } catch (e) {
+            btnApprove.disabled = false;
+            btnReject.disabled = false;
+            setGlobalError(String(e && e.message ? e.message : e), { requestId: e && e.requestId ? String(e.requestId) : null });
+          }
+        };
+        btnApprove.addEventListener('click', () => {
+          const edited = cmdInput ? String(cmdInput.value || '') : '';
+          if (cmdInput && edited.trim() && edited !== String(args.command || '')) {
+            decide({ decision: 'modify', args: { ...args, command: edited } });
+          } else {
+            decide({ decision: 'approve' });
+          }
+        });
+        btnReject.addEventListener('click', () => {
+          const reason = window.prompt('Reason for rejecting (optional)', '');
+          if (reason === null) return;
+          decide({ decision: 'reject', reason });
+        });
+
+        toolWrap.appendChild(card);
+        tb.approvalEl = card;
+      };
+
+      const liveResolveToolApproval = (tb, data) => {
+        if (!tb || !tb.approvalEl) return;
+        const d = data && data.decision ? String(data.decision) : '';
+        const label = d === 'approve' ? 'Approved' : (d === 'modify' ? 'Approved (edited)' : 'Rejected');
+        const reason = data && data.reason ? `: ${String(data.reason)}` : '';
+        tb.approvalEl.innerHTML = `<div class="ve-kv"><span class="ve-muted">${escapeHtml(label + reason)}</span></div>`;
+      };
+
       const liveUpdateToolBlock = async (pane, tb) => {
         if (!tb || !tb.bodyEl) return;
         const name = tb.name;
@@ -3946,6 +4192,9 @@
         menu.appendChild(makeItem('Changes…', () => {
           openChangesWindowForChat(id);
         }));
+        menu.appendChild(makeItem('Jobs…', () => {
+          openJobsPanel(id);
+        }));
         menu.appendChild(makeItem('Rename', () => {
           const currentTitle = chatSummary.title || 'New Chat';
           const next = prompt('New title', currentTitle);
@@ -3974,6 +4223,24 @@
             })
             .catch((e) => alert(String(e && e.message ? e.message : e)));
         }));
+        menu.appendChild(makeItem('Export…', () => {
+          const format = prompt('Export format: markdown, html or jsonl (OpenAI fine-tuning)', 'markdown');
+          if (format === null) return;
+          const f = String(format || '').trim().toLowerCase() || 'markdown';
+          const ext = f === 'html' ? 'html' : (f === 'jsonl' ? 'jsonl' : 'md');
+          apiFetch(`/chat/${encodeURIComponent(id)}/export?format=${encodeURIComponent(f)}`)
+            .then((content) => {
+              const url = URL.createObjectURL(new Blob([String(content)], { type: 'text/plain' }));
+              const a = document.createElement('a');
+              a.href = url;
+              a.download = `chat.${id}.${ext}`;
+              document.body.appendChild(a);
+              a.click();
+              a.remove();
+              setTimeout(() => URL.revokeObjectURL(url), 1000);
+            })
+            .catch((e) => alert(String(e && e.message ? e.message : e)));
+        }));
         menu.appendChild(makeItem('Delete…', () => {
           if (!confirm('Delete this chat?')) return;
           deleteChatId(id).catch((e) => alert(String(e && e.message ? e.message : e)));
@@ -4051,6 +4318,9 @@
               if (pane.reasoningSel) pane.reasoningSel.value = String(re);
             }
           } catch {}
+          try {
+            if (pane.modeSel) pane.modeSel.value = (pane.chat && pane.chat.mode) ? String(pane.chat.mode) : 'agent';
+          } catch {}
 
           // Hydrate image/video option controls from latest message blocks.
           try {
@@ -4162,6 +4432,265 @@
         modal.querySelector('main').appendChild(btnSave);
       };
 
+      // Scroll to the rendered message at `index` (or the closest one before it, since
+      // tool messages render inside the assistant block that called them) and flash it.
+      const jumpToMessage = (pane, index) => {
+        if (!pane || !pane.bodyEl || index === null || index === undefined) return;
+        let target = null;
+        for (const el of pane.bodyEl.querySelectorAll('[data-msg-index]')) {
+          if (Number(el.getAttribute('data-msg-index')) <= Number(index)) target = el;
+        }
+        if (!target) return;
+        target.scrollIntoView({ block: 'center' });
+        target.classList.add('ve-flash');
+        setTimeout(() => target.classList.remove('ve-flash'), 1600);
+      };
+
+      // Search palette (🔍 or Ctrl/Cmd+K): full-text search across chats via GET /search.
+      const openSearchPalette = () => {
+        if (document.querySelector('.ve-search-modal')) return;
+        const backdrop = document.createElement('div');
+        backdrop.className = 've-modal-backdrop';
+        const modal = document.createElement('div');
+        modal.className = 've-modal ve-search-modal';
+        modal.innerHTML = `
+          <header>
+            <div>Search chats</div>
+            <button class="ve-iconbtn" data-close="1">Close</button>
+          </header>
+          <main>
+            <input class="ve-input" data-search="1" placeholder='Words or "a phrase"' style="width:100%" />
+            <div class="ve-search-results" data-results="1"></div>
+          </main>
+        `;
+        backdrop.appendChild(modal);
+        document.body.appendChild(backdrop);
+        const input = modal.querySelector('[data-search="1"]');
+        const list = modal.querySelector('[data-results="1"]');
+        let results = [];
+        let selected = 0;
+        let timer = null;
+        let seq = 0;
+
+        const close = () => {
+          if (timer) clearTimeout(timer);
+          try { document.body.removeChild(backdrop); } catch {}
+        };
+        const choose = async (r) => {
+          if (!r) return;
+          close();
+          try {
+            await refreshChats();
+            await openChatId(r.chat_id);
+            const pane = getActivePane();
+            if (pane && r.message_index !== null) jumpToMessage(pane, r.message_index);
+          } catch (e) {
+            setGlobalError(String(e && e.message ? e.message : e));
+          }
+        };
+        const renderResults = () => {
+          list.innerHTML = '';
+          if (!results.length) {
+            list.innerHTML = input.value.trim() ? '<div class="ve-muted">No matches.</div>' : '';
+            return;
+          }
+          results.forEach((r, idx) => {
+            const row = document.createElement('div');
+            row.className = 've-search-row' + (idx === selected ? ' ve-active' : '');
+            const where = r.message_index === null ? 'title' : `${r.role || 'message'} #${r.message_index}`;
+            row.innerHTML = `
+              <div><b>${escapeHtml(r.title || r.chat_id)}</b> <span class="ve-muted">${escapeHtml(where)}${r.model_name ? ' · ' + escapeHtml(r.model_name) : ''}</span></div>
+              <div class="ve-muted">${escapeHtml(r.snippet || '')}</div>
+            `;
+            row.addEventListener('click', () => choose(r));
+            list.appendChild(row);
+          });
+        };
+        const runSearch = async () => {
+          const q = input.value.trim();
+          const mySeq = ++seq;
+          if (!q) {
+            results = [];
+            renderResults();
+            return;
+          }
+          try {
+            const res = await apiFetch(`/search?q=${encodeURIComponent(q)}&limit=30`);
+            if (mySeq !== seq) return;
+            results = Array.isArray(res) ? res : [];
+            selected = 0;
+            renderResults();
+          } catch (e) {
+            list.innerHTML = `<div class="ve-muted">${escapeHtml(String(e && e.message ? e.message : e))}</div>`;
+          }
+        };
+
+        input.addEventListener('input', () => {
+          if (timer) clearTimeout(timer);
+          timer = setTimeout(runSearch, 200);
+        });
+        input.addEventListener('keydown', (e) => {
+          if (e.key === 'Escape') {
+            close();
+          } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!results.length) return;
+            selected = (selected + (e.key === 'ArrowDown' ? 1 : results.length - 1)) % results.length;
+            renderResults();
+          } else if (e.key === 'Enter') {
+            e.preventDefault();
+            choose(results[selected]);
+          }
+        });
+        backdrop.addEventListener('click', (e) => {
+          if (e.target === backdrop) close();
+        });
+        modal.querySelector('[data-close="1"]').addEventListener('click', close);
+        input.focus();
+      };
+
+      // Background jobs panel: processes started with run_terminal_cmd (is_background) in a chat,
+      // with their logs streamed from GET /chat/:id/processes/events.
+      const openJobsPanel = (chatId) => {
+        const id = String(chatId || '');
+        if (!id || document.querySelector('.ve-jobs-modal')) return;
+        const backdrop = document.createElement('div');
+        backdrop.className = 've-modal-backdrop';
+        const modal = document.createElement('div');
+        modal.className = 've-modal ve-jobs-modal';
+        modal.style.width = 'min(960px,94vw)';
+        modal.innerHTML = `
+          <header>
+            <div>Background jobs</div>
+            <button class="ve-iconbtn" data-close="1">Close</button>
+          </header>
+          <main>
+            <div class="ve-jobs-list" data-list="1"></div>
+            <pre class="ve-jobs-log" data-log="1"></pre>
+          </main>
+        `;
+        backdrop.appendChild(modal);
+        document.body.appendChild(backdrop);
+        const list = modal.querySelector('[data-list="1"]');
+        const logEl = modal.querySelector('[data-log="1"]');
+        const procs = new Map(); // pid -> process info
+        let selected = null;
+        let logNext = 0;
+
+        const appendLog = (text) => {
+          const atBottom = logEl.scrollTop + logEl.clientHeight >= logEl.scrollHeight - 4;
+          logEl.textContent += text;
+          // Keep the view bounded; the server keeps the full ring buffer.
+          if (logEl.textContent.length > 400000) logEl.textContent = logEl.textContent.slice(-300000);
+          if (atBottom) logEl.scrollTop = logEl.scrollHeight;
+        };
+        const renderList = () => {
+          list.innerHTML = '';
+          const arr = Array.from(procs.values()).sort((a, b) => String(b.started_at).localeCompare(String(a.started_at)));
+          if (!arr.length) {
+            list.innerHTML = '<div class="ve-muted">No background jobs in this chat.</div>';
+            return;
+          }
+          for (const p of arr) {
+            const row = document.createElement('div');
+            row.className = 've-jobs-row' + (p.pid === selected ? ' ve-active' : '');
+            const status = p.status === 'running'
+              ? 'running'
+              : `exited ${p.signal ? p.signal : (p.exit_code === null || p.exit_code === undefined ? '' : p.exit_code)}`;
+            row.innerHTML = `
+              <span class="ve-muted">${escapeHtml(String(p.pid))}</span>
+              <code>${escapeHtml(p.command || '')}</code>
+              <span class="ve-muted">${escapeHtml(status)}</span>
+            `;
+            if (p.status === 'running') {
+              const kill = document.createElement('button');
+              kill.className = 've-iconbtn';
+              kill.textContent = 'Kill';
+              kill.addEventListener('click', (e) => {
+                e.stopPropagation();
+                apiFetch(`/chat/${encodeURIComponent(id)}/processes/${p.pid}/kill`, {
+                  method: 'POST',
+                  headers: { 'content-type': 'application/json' },
+                  body: JSON.stringify({ signal: e.shiftKey ? 'SIGKILL' : 'SIGTERM' }),
+                }).catch((err) => alert(String(err && err.message ? err.message : err)));
+              });
+              row.appendChild(kill);
+            }
+            row.addEventListener('click', () => selectProcess(p.pid));
+            list.appendChild(row);
+          }
+        };
+        const selectProcess = async (pid) => {
+          selected = pid;
+          logNext = 0;
+          logEl.textContent = '';
+          renderList();
+          try {
+            // Page through the buffered output; live output arrives over SSE afterwards.
+            for (;;) {
+              const r = await apiFetch(`/chat/${encodeURIComponent(id)}/processes/${pid}/output?since=${logNext}`);
+              if (selected !== pid) return;
+              if (r.dropped_bytes) appendLog(`[${r.dropped_bytes} earlier bytes discarded]\n`);
+              appendLog(r.output || '');
+              logNext = r.next;
+              if (!r.more) break;
+            }
+          } catch (e) {
+            appendLog(`[${String(e && e.message ? e.message : e)}]\n`);
+          }
+        };
+
+        const t = getToken();
+        const es = new EventSource(
+          (options.apiBase || '').replace(/\/+$/, '') +
+          `/chat/${encodeURIComponent(id)}/processes/events` +
+          (t ? `?token=${encodeURIComponent(t)}` : '')
+        );
+        const parse = (e) => { try { return JSON.parse(e.data || '{}'); } catch { return {}; } };
+        es.addEventListener('hello', (e) => {
+          const d = parse(e);
+          procs.clear();
+          for (const p of (Array.isArray(d.processes) ? d.processes : [])) procs.set(p.pid, p);
+          renderList();
+          const running = Array.from(procs.values()).filter((p) => p.status === 'running');
+          if (selected === null && (running.length || procs.size)) {
+            selectProcess((running[running.length - 1] || Array.from(procs.values()).pop()).pid);
+          }
+        });
+        es.addEventListener('process.start', (e) => {
+          const d = parse(e);
+          if (d.process) procs.set(d.pid, d.process);
+          renderList();
+          if (selected === null) selectProcess(d.pid);
+        });
+        es.addEventListener('process.output', (e) => {
+          const d = parse(e);
+          const end = d.offset + new TextEncoder().encode(d.data || '').length;
+          const p = procs.get(d.pid);
+          if (p) p.output_bytes = end;
+          // Skip chunks already fetched by selectProcess.
+          if (d.pid !== selected || d.offset < logNext) return;
+          appendLog(d.data || '');
+          logNext = end;
+        });
+        es.addEventListener('process.exit', (e) => {
+          const d = parse(e);
+          const p = procs.get(d.pid);
+          if (p) Object.assign(p, { status: 'exited', exit_code: d.exit_code, signal: d.signal });
+          if (d.pid === selected) appendLog(`\n[exited ${d.signal || d.exit_code}]\n`);
+          renderList();
+        });
+
+        const close = () => {
+          try { es.close(); } catch {}
+          try { document.body.removeChild(backdrop); } catch {}
+        };
+        backdrop.addEventListener('click', (e) => {
+          if (e.target === backdrop) close();
+        });
+        modal.querySelector('[data-close="1"]').addEventListener('click', close);
+      };
+
       const closeSSE = (pane) => {
         if (!pane) return;
         if (pane.sse) {
@@ -4372,6 +4901,38 @@
             }
           } catch {}
         });
+        ev.addEventListener('tool.approval_required', (e) => {
+          if (!liveCheckAndUpdateSeq(e)) return;
+          try {
+            const data = JSON.parse(e.data || '{}');
+            stopThinking(pane);
+            const tb = liveEnsureToolBlock(pane, data.cycle_id || pane.live.currentCycleId, data.id, data.name, data.args);
+            if (!tb) return;
+            liveShowToolApproval(pane, tb, data);
+            liveAutoScrollIfArmed(pane);
+          } catch {}
+        });
+        ev.addEventListener('tool.approval_resolved', (e) => {
+          if (!liveCheckAndUpdateSeq(e)) return;
+          try {
+            const data = JSON.parse(e.data || '{}');
+            for (const c of pane.live.cycles.values()) {
+              const tb = c.toolBlocks.get(String(data.id || ''));
+              if (tb) liveResolveToolApproval(tb, data);
+            }
+          } catch {}
+        });
+        ev.addEventListener('chat.usage', (e) => {
+          if (!liveCheckAndUpdateSeq(e)) return;
+          try {
+            const data = JSON.parse(e.data || '{}');
+            const c = state.chats.find((x) => String(x.id) === String(pane.chatId));
+            if (c && data.total) {
+              c.cost = data.total.cost;
+              renderTabs();
+            }
+          } catch {}
+        });
         ev.addEventListener('tool.end', (e) => {
           if (!liveCheckAndUpdateSeq(e)) return;
           try {
@@ -4561,6 +5122,9 @@
           if (reasoning_effort && reasoning_effort !== 'default') {
             params.reasoning_effort = reasoning_effort;
           }
+          if (pane.modeSel && pane.modeSel.value) {
+            params.mode = String(pane.modeSel.value);
+          }
         }
         setRunning(pane, true);
         ensureSSE(pane);
@@ -4811,6 +5375,13 @@
       };
 
       btnConfig.addEventListener('click', openConfigModal);
+      btnSearch.addEventListener('click', openSearchPalette);
+      window.addEventListener('keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && !e.shiftKey && !e.altKey && String(e.key).toLowerCase() === 'k') {
+          e.preventDefault();
+          openSearchPalette();
+        }
+      });
       btnNew.addEventListener('click', () => createNewChat().catch((e) => alert(String(e.message || e))));
 
       const autoResizeTextarea = (pane) => {
@@ -5068,7 +5639,16 @@
         process.env.VIIB_ETCH_TOKENS_FILE ||
         DEFAULT_TOKENS_FILE;
       const chatsDir = opts.chatsDir || null;
+      // Optional storage adapter (e.g. new viib.JsonlChatStore()); defaults to JSON files.
+      const chatStore = opts.chatStore || null;
       const modelsFile = opts.modelsFile || null;
+      // Human-in-the-loop approval for terminal commands and file edits.
+      // Per-send override: POST /chat/:id/send { require_approval: true } turns approval on for
+      // that send. A client can never turn off approval the server was started with.
+      const requireToolApproval = opts.requireToolApproval === true || process.env.VIIB_ETCH_UI_TOOL_APPROVAL === '1';
+      const approvalTimeoutMs = (typeof opts.approvalTimeoutMs === 'number' && opts.approvalTimeoutMs > 0)
+        ? opts.approvalTimeoutMs
+        : 30 * 60 * 1000;
 
       const parseTokensText = (text) => {
         const out = new Set();
@@ -5122,7 +5702,13 @@
       // Lazy require to keep mountable usage lightweight
       const viib = require(path.join(__dirname, 'viib-etch.js'));
       const { ChatModel, ChatSession, ChatLLM } = viib;
-      const { executeTool } = require(path.join(__dirname, 'viib-etch-tools.js'));
+      const {
+        executeTool,
+        listBackgroundProcesses,
+        readBackgroundOutput,
+        killBackgroundProcess,
+        subscribeBackgroundProcesses,
+      } = require(path.join(__dirname, 'viib-etch-tools.js'));
 
       if (modelsFile) {
         try { viib.setModelsFileName(modelsFile); } catch {}
@@ -5130,6 +5716,9 @@
       if (chatsDir) {
         try { viib.setChatsDir(chatsDir); } catch {}
       }
+      if (chatStore) {
+        viib.setChatStore(chatStore);
+      }
 
       // markdown-it (server-side, for completeness)
       let md = null;
@@ -5146,6 +5735,7 @@
 
       const busByChatId = new Map(); // chatId -> EventEmitter
       const runByChatId = new Map(); // chatId -> { llm, running:boolean, startedAt }
+      const pendingApprovals = new Map(); // `${chatId}:${toolCallId}` -> { chatId, name, args, finish, timer }
 
       // ----------------------------
       // SSE sequencing + replay buffer
@@ -5165,6 +5755,49 @@
         return next;
       }
 
+      // Park a tool call until POST /chat/:id/tool/:toolCallId/approve (or timeout/cancel) decides it.
+      // Resolves with { decision, args?, reason? } for ChatLLM's onToolApprovalRequest hook.
+      function waitForToolApproval(chatId, toolCall, args, cycleId) {
+        const id = String(chatId);
+        const toolCallId = toolCall && toolCall.id ? String(toolCall.id) : '';
+        const name = toolCall?.function?.name || null;
+        const key = `${id}:${toolCallId}`;
+        return new Promise((resolve) => {
+          const finish = (decision) => {
+            const p = pendingApprovals.get(key);
+            if (!p) return;
+            pendingApprovals.delete(key);
+            clearTimeout(p.timer);
+            emit(id, 'tool.approval_resolved', {
+              id: toolCallId,
+              name,
+              decision: decision.decision,
+              reason: decision.reason || null,
+              args: decision.args || null,
+              ts: nowIso(),
+            });
+            resolve(decision);
+          };
+          const timer = setTimeout(() => finish({ decision: 'reject', reason: 'approval timed out' }), approvalTimeoutMs);
+          if (timer && typeof timer.unref === 'function') timer.unref();
+          pendingApprovals.set(key, { chatId: id, name, args, finish, timer });
+          emit(id, 'tool.approval_required', {
+            id: toolCallId,
+            name,
+            args: args || null,
+            cycle_id: cycleId || null,
+            ts: nowIso(),
+          });
+        });
+      }
+
+      function rejectPendingApprovals(chatId, reason) {
+        const id = String(chatId);
+        for (const p of Array.from(pendingApprovals.values())) {
+          if (p.chatId === id) p.finish({ decision: 'reject', reason });
+        }
+      }
+
       function getBus(chatId) {
         const id = String(chatId);
         let b = busByChatId.get(id);
@@ -5241,6 +5874,35 @@
           return true;
         }
 
+        // GET /api/search?q=...&model=&since=&base_dir=&limit= -> [{ chat_id, title, message_index, role, snippet, ... }]
+        if (req.method === 'GET' && pathname === apiBase + '/search') {
+          const q = query && typeof query.q === 'string' ? query.q : '';
+          if (!q.trim()) {
+            json(res, 400, { error: { message: 'q is required' } });
+            return true;
+          }
+          const str = (v) => (typeof v === 'string' && v.trim() ? v.trim() : undefined);
+          const limit = query && query.limit ? Number(query.limit) : undefined;
+          let results;
+          try {
+            results = viib.searchChats(q, {
+              model: str(query.model),
+              since: str(query.since),
+              base_dir: str(query.base_dir),
+              limit: Number.isInteger(limit) ? limit : undefined,
+            });
+          } catch (e) {
+            if (e && /invalid since/.test(String(e.message))) {
+              json(res, 400, { error: { message: String(e.message) } });
+              return true;
+            }
+            sendApiError(req, res, 500, e, { where: 'GET /search' });
+            return true;
+          }
+          json(res, 200, results);
+          return true;
+        }
+
         // POST /api/chat { model_name }
         if (req.method === 'POST' && pathname === apiBase + '/chat') {
           try {
@@ -5327,7 +5989,7 @@
               if (typeof args.path === 'string') args.path = resolveRel(args.path);
             }
 
-            const result = await executeTool(tool_name, args, { session: chat });
+            const result = await executeTool(tool_name, args, { session: chat, cwd: base_dir || undefined });
             if (typeof result === 'string') {
               text(res, 200, result, 'text/plain');
               return true;
@@ -5339,6 +6001,30 @@
           return true;
         }
 
+        // GET /api/chat/:id/usage -> token usage + cost rollup (total, per model, per assistant message)
+        const usageMatch = pathname.match(
+          new RegExp('^' + apiBase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '/chat/([^/]+)/usage$')
+        );
+        if (req.method === 'GET' && usageMatch) {
+          const chatId = decodeURIComponent(usageMatch[1]);
+          try {
+            const chat = ChatSession.load(chatId);
+            if (!chat) {
+              json(res, 404, { error: { message: 'not found' } });
+              return true;
+            }
+            const usage = chat.getUsage();
+            const messages = [];
+            (chat.messages || []).forEach((m, index) => {
+              if (m && m.role === 'assistant' && m.usage) messages.push({ index, ...m.usage });
+            });
+            json(res, 200, { chat_id: chat.id, total: usage.total, by_model: usage.by_model, messages });
+          } catch (e) {
+            sendApiError(req, res, 500, e, { where: 'GET /chat/:id/usage', chatId });
+          }
+          return true;
+        }
+
         // GET /api/chat/:id/changes -> list of changed files (relative to base_dir when set)
         const changesMatch = pathname.match(
           new RegExp('^' + apiBase.replace(/[.*+?^${}()|[\\]\\\\]/g, '\\\\$&') + '/chat/([^/]+)/changes$')
@@ -5572,7 +6258,7 @@
           return true;
         }
 
-        // GET /api/chat/:id/images/:imageId/data -> raw image bytes (in-memory base64)
+        // GET /api/chat/:id/images/:imageId/data -> raw image bytes (inline base64 or blob store)
         const imageDataMatch = pathname.match(
           new RegExp('^' + apiBase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '/chat/([^/]+)/images/([^/]+)/data$')
         );
@@ -5586,7 +6272,7 @@
               return true;
             }
             const rec = (typeof chat.getImage === 'function') ? chat.getImage(imageId) : null;
-            const b64 = rec ? (rec.data_b64 ?? rec.data_base64 ?? rec.b64_json ?? rec.data ?? null) : null;
+            const b64 = rec ? ChatSession.mediaBase64(rec) : null;
             if (!rec || !b64) {
               json(res, 404, { error: { message: 'image not found' } });
               return true;
@@ -5790,7 +6476,7 @@
           return true;
         }
 
-        // DELETE /api/chat/:id (delete persisted session file)
+        // DELETE /api/chat/:id (delete the persisted chat from the chat store)
         if (req.method === 'DELETE' && chatMatch) {
           const chatId = decodeURIComponent(chatMatch[1]);
           try {
@@ -5804,12 +6490,7 @@
               json(res, 404, { error: { message: 'not found' } });
               return true;
             }
-            const filePath = path.resolve(ChatSession.getFileName(chatId));
-            try {
-              fs.unlinkSync(filePath);
-            } catch (e) {
-              if (e && e.code !== 'ENOENT') throw e;
-            }
+            ChatSession.deleteChatSession(chatId);
             runByChatId.delete(String(chatId));
             busByChatId.delete(String(chatId));
             json(res, 200, { success: true });
@@ -5896,11 +6577,47 @@
           if (run && run.llm) {
             try { run.llm.cancel(); } catch {}
           }
+          rejectPendingApprovals(chatId, 'run cancelled');
           emit(chatId, 'run.cancel', { ts: nowIso() });
           json(res, 200, { success: true });
           return true;
         }
 
+        // POST /api/chat/:id/tool/:toolCallId/approve { decision: 'approve'|'reject'|'modify', args?, reason? }
+        const approveMatch = pathname.match(
+          new RegExp('^' + apiBase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '/chat/([^/]+)/tool/([^/]+)/approve$')
+        );
+        if (req.method === 'POST' && approveMatch) {
+          const chatId = decodeURIComponent(approveMatch[1]);
+          const toolCallId = decodeURIComponent(approveMatch[2]);
+          try {
+            const body = await readJson(req);
+            const decision = String(body.decision || 'approve').trim().toLowerCase();
+            if (decision !== 'approve' && decision !== 'reject' && decision !== 'modify') {
+              json(res, 400, { error: { message: 'decision must be one of: approve, reject, modify' } });
+              return true;
+            }
+            if (decision === 'modify' && (!body.args || typeof body.args !== 'object' || Array.isArray(body.args))) {
+              json(res, 400, { error: { message: 'args object is required for modify' } });
+              return true;
+            }
+            const pending = pendingApprovals.get(`${String(chatId)}:${String(toolCallId)}`);
+            if (!pending) {
+              json(res, 404, { error: { message: 'no pending approval for this tool call' } });
+              return true;
+            }
+            pending.finish({
+              decision,
+              args: decision === 'modify' ? body.args : undefined,
+              reason: (typeof body.reason === 'string' && body.reason.trim()) ? body.reason.trim() : null,
+            });
+            json(res, 200, { success: true, decision });
+          } catch (e) {
+            sendApiError(req, res, 500, e, { where: 'POST /chat/:id/tool/:toolCallId/approve', chatId });
+          }
+          return true;
+        }
+
         // POST /api/chat/:id/base_dir { base_dir?: string|null }
         const baseDirMatch = pathname.match(
           new RegExp('^' + apiBase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '/chat/([^/]+)/base_dir$')
@@ -5955,7 +6672,187 @@
           return true;
         }
 
-        // POST /api/chat/:id/send { message, model_name? }
+        // POST /api/chat/:id/restore { message_index, truncate? } -> revert files changed since that user message
+        const restoreMatch = pathname.match(
+          new RegExp('^' + apiBase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '/chat/([^/]+)/restore$')
+        );
+        if (req.method === 'POST' && restoreMatch) {
+          const chatId = decodeURIComponent(restoreMatch[1]);
+          try {
+            const body = await readJson(req);
+            const existing = runByChatId.get(String(chatId));
+            if (existing && existing.running) {
+              json(res, 409, { error: { message: 'chat is running' } });
+              return true;
+            }
+            const chat = ChatSession.load(chatId);
+            if (!chat) {
+              json(res, 404, { error: { message: 'not found' } });
+              return true;
+            }
+            let result;
+            try {
+              result = chat.restoreCheckpoint(body.message_index, { truncate: body.truncate === true });
+            } catch (e) {
+              json(res, 400, { error: { message: String(e && e.message ? e.message : e) } });
+              return true;
+            }
+            json(res, 200, { success: true, ...result });
+          } catch (e) {
+            sendApiError(req, res, 500, e, { where: 'POST /chat/:id/restore', chatId });
+          }
+          return true;
+        }
+
+        // POST /api/chat/:id/fork { message_index?, model_name?, title? } -> { id, forked_from }
+        const forkMatch = pathname.match(
+          new RegExp('^' + apiBase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '/chat/([^/]+)/fork$')
+        );
+        if (req.method === 'POST' && forkMatch) {
+          const chatId = decodeURIComponent(forkMatch[1]);
+          try {
+            const body = await readJson(req);
+            const chat = ChatSession.load(chatId);
+            if (!chat) {
+              json(res, 404, { error: { message: 'not found' } });
+              return true;
+            }
+            const model_name = (typeof body.model_name === 'string' && body.model_name.trim()) ? body.model_name.trim() : undefined;
+            const title = (typeof body.title === 'string' && body.title.trim()) ? body.title.trim() : undefined;
+            let child;
+            try {
+              child = chat.fork(body.message_index, { model_name, title });
+            } catch (e) {
+              json(res, 400, { error: { message: String(e && e.message ? e.message : e) } });
+              return true;
+            }
+            json(res, 200, { id: child.id, title: child.title, forked_from: child.data.forked_from });
+          } catch (e) {
+            sendApiError(req, res, 500, e, { where: 'POST /chat/:id/fork', chatId });
+          }
+          return true;
+        }
+
+        // GET /api/chat/:id/export?format=markdown|html|jsonl[&images=0] -> file download
+        const exportMatch = pathname.match(
+          new RegExp('^' + apiBase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '/chat/([^/]+)/export$')
+        );
+        if (req.method === 'GET' && exportMatch) {
+          const chatId = decodeURIComponent(exportMatch[1]);
+          try {
+            const chat = ChatSession.load(chatId);
+            if (!chat) {
+              json(res, 404, { error: { message: 'not found' } });
+              return true;
+            }
+            let out;
+            try {
+              out = chat.exportChat(query && query.format ? String(query.format) : 'markdown', {
+                images: !(query && (query.images === '0' || query.images === 'false')),
+              });
+            } catch (e) {
+              json(res, 400, { error: { message: String(e && e.message ? e.message : e) } });
+              return true;
+            }
+            res.statusCode = 200;
+            res.setHeader('content-type', out.mime_type);
+            res.setHeader('content-disposition', `attachment; filename="${out.file_name}"`);
+            res.setHeader('cache-control', 'no-store');
+            res.end(out.content);
+          } catch (e) {
+            sendApiError(req, res, 500, e, { where: 'GET /chat/:id/export', chatId });
+          }
+          return true;
+        }
+
+        // Background processes started by run_terminal_cmd in a chat:
+        // GET  /api/chat/:id/processes -> { processes: [{ pid, command, status, exit_code, ... }] }
+        // GET  /api/chat/:id/processes/events -> SSE: process.start | process.output | process.exit
+        // GET  /api/chat/:id/processes/:pid/output?since= -> { output, next, more, status, ... }
+        // POST /api/chat/:id/processes/:pid/kill { signal? }
+        const processesMatch = pathname.match(
+          new RegExp('^' + apiBase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '/chat/([^/]+)/processes(?:/(events|\\d+)(?:/(output|kill))?)?$')
+        );
+        if (processesMatch) {
+          const chatId = decodeURIComponent(processesMatch[1]);
+          const sub = processesMatch[2] || '';
+          const action = processesMatch[3] || '';
+          if (req.method === 'GET' && !sub) {
+            json(res, 200, { processes: listBackgroundProcesses(chatId) });
+            return true;
+          }
+          if (req.method === 'GET' && sub === 'events' && !action) {
+            res.statusCode = 200;
+            res.setHeader('content-type', 'text/event-stream; charset=utf-8');
+            res.setHeader('cache-control', 'no-cache, no-transform');
+            res.setHeader('connection', 'keep-alive');
+            res.setHeader('x-accel-buffering', 'no');
+            const write = (event, data) => {
+              try {
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+              } catch {}
+            };
+            write('hello', { ok: true, ts: Date.now(), processes: listBackgroundProcesses(chatId) });
+            const unsubscribe = subscribeBackgroundProcesses(chatId, (e) => {
+              const { type, chat_id, ...data } = e;
+              write(`process.${type}`, data);
+            });
+            const keepAlive = setInterval(() => write('ping', { ts: Date.now() }), 15000);
+            req.on('close', () => {
+              clearInterval(keepAlive);
+              unsubscribe();
+            });
+            return true;
+          }
+          if (req.method === 'GET' && /^\d+$/.test(sub) && action === 'output') {
+            try {
+              json(res, 200, readBackgroundOutput(Number(sub), { since: query && query.since, chatId }));
+            } catch (e) {
+              json(res, 404, { error: { message: String(e && e.message ? e.message : e) } });
+            }
+            return true;
+          }
+          if (req.method === 'POST' && /^\d+$/.test(sub) && action === 'kill') {
+            try {
+              const body = await readJson(req);
+              json(res, 200, killBackgroundProcess(Number(sub), { signal: body && body.signal, chatId }));
+            } catch (e) {
+              const notFound = /no background process/.test(String(e && e.message));
+              json(res, notFound ? 404 : 400, { error: { message: String(e && e.message ? e.message : e) } });
+            }
+            return true;
+          }
+        }
+
+        // POST /api/import { content, line?, title?, model_name? } -> { id } (OpenAI fine-tuning JSONL)
+        if (req.method === 'POST' && pathname === apiBase + '/import') {
+          try {
+            const body = await readJson(req);
+            if (typeof body.content !== 'string' || !body.content.trim()) {
+              json(res, 400, { error: { message: 'content is required' } });
+              return true;
+            }
+            const str = (v) => (typeof v === 'string' && v.trim() ? v.trim() : undefined);
+            let chat;
+            try {
+              chat = ChatSession.importChat(body.content, {
+                line: body.line,
+                title: str(body.title),
+                model_name: str(body.model_name),
+                persistent: true,
+              });
+            } catch (e) {
+              json(res, 400, { error: { message: String(e && e.message ? e.message : e) } });
+              return true;
+            }
+            json(res, 200, { id: chat.id, title: chat.title, message_count: chat.messages.length });
+          } catch (e) {
+            sendApiError(req, res, 500, e, { where: 'POST /import' });
+          }
+          return true;
+        }
+
+        // POST /api/chat/:id/send { message, model_name?, reasoning_effort?, mode? }
         const sendMatch = pathname.match(
           new RegExp('^' + apiBase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '/chat/([^/]+)/send$')
         );
@@ -6000,6 +6897,13 @@
               ? body.reasoning_effort.trim()
               : undefined;
 
+            // Optional session mode (agent | ask | plan); persisted on the chat.
+            const hasMode = body.mode !== undefined && body.mode !== null && body.mode !== '';
+            if (hasMode && !ChatSession.normalizeMode(body.mode)) {
+              json(res, 400, { error: { message: 'mode must be one of: agent, ask, plan' } });
+              return true;
+            }
+
             // IMPORTANT: use openChat() so default tool definitions are loaded from model config
             // (ChatLLM.newChatSession does this, but new ChatLLM(...) does not).
             const llm = (typeof viib.openChat === 'function')
@@ -6010,6 +6914,9 @@
             if (reasoning_effort !== undefined && reasoning_effort !== null && reasoning_effort !== 'default') {
               llm.setReasoningEffort(reasoning_effort);
             }
+            if (hasMode) {
+              llm.setMode(body.mode);
+            }
             
             runByChatId.set(String(chatId), { llm, running: true, startedAt: Date.now() });
 
@@ -6157,6 +7064,26 @@
             llm.hooks.onTitle = async (title) => {
               await callConsole('onTitle', title);
             };
+            const approvalRequired = requireToolApproval || body.require_approval === true;
+            if (approvalRequired) {
+              llm.hooks.onToolApprovalRequest = (toolCall, args) => waitForToolApproval(chatId, toolCall, args, currentCycleId);
+            }
+            llm.hooks.onCompaction = async (info) => {
+              await callConsole('onCompaction', info);
+              emit(chatId, 'chat.compacted', {
+                upto: info && info.upto,
+                tokens_before: info && info.tokens_before,
+                tokens_after: info && info.tokens_after,
+                ts: nowIso(),
+              });
+            };
+            llm.hooks.onRetry = async (info) => {
+              await callConsole('onRetry', info);
+              emit(chatId, 'chat.retry', { ...(info || {}), ts: nowIso() });
+            };
+            llm.hooks.onUsage = async (usage, total) => {
+              emit(chatId, 'chat.usage', { usage, total, ts: nowIso() });
+            };
 
             // Add user message explicitly (so server can be "complete()" only)
             await llm.addUserMessage(message);
@@ -6401,7 +7328,7 @@
               const refs = [];
               for (const rid of refIds) {
                 const rec = chat.getImage(rid);
-                const b64 = rec ? (rec.data_b64 ?? rec.data_base64 ?? rec.b64_json ?? rec.data ?? null) : null;
+                const b64 = rec ? ChatSession.mediaBase64(rec) : null;
                 if (!rec || !b64) continue;
                 refs.push({ id: String(rid), mime_type: rec.mime_type || null, data_b64: String(b64) });
               }
@@ -3,11 +3,14 @@
 
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
 const crypto = require('crypto');
 const { OpenAI } = require('openai');
 const { GoogleGenAI } = require('@google/genai');
 const { Anthropic } = require('@anthropic-ai/sdk');
 
+const SESSION_MODES = ['agent', 'ask', 'plan'];
+
 let modelsFileName = path.join(__dirname, 'viib-etch-models.json')
 let chatsDir = path.join(__dirname, 'chats')
 
@@ -42,6 +45,58 @@ function getChatsDir() {
   return chatsDir;
 }
 
+// Map items through async fn with at most `limit` in flight; results keep input order.
+async function runWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  const n = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: n }, worker));
+  return results;
+}
+
+function sleepWithSignal(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(new Error('Operation cancelled'));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Operation cancelled'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Pull the first item of an async iterable so connection/status errors surface (and can be
+// retried) before any output reaches the hooks. The returned iterable replays that item.
+async function primeAsyncIterable(iterable) {
+  const it = iterable[Symbol.asyncIterator]();
+  const first = await it.next();
+  let replayed = false;
+  return {
+    [Symbol.asyncIterator]() {
+      return {
+        next: () => {
+          if (!replayed) {
+            replayed = true;
+            return Promise.resolve(first);
+          }
+          return it.next();
+        },
+        return: (value) => (typeof it.return === 'function' ? it.return(value) : Promise.resolve({ done: true, value })),
+      };
+    },
+  };
+}
+
 function resolveConfigFile(filePath) {
   if (!filePath) return null;
   if (path.isAbsolute(filePath)) {
@@ -63,6 +118,932 @@ function resolveConfigFile(filePath) {
   return path.join(process.cwd(), filePath);
 }
 
+// Chat storage: ChatSession persists through a storage adapter. Adapters are synchronous, like
+// ChatSession.save(), and exchange plain chat objects (ChatSession#toData()):
+//   load(chatId)                 -> chat object | null
+//   save(chat)                   -> write the chat
+//   appendMessage(chat, message) -> persist chat after `message` was pushed to chat.messages
+//   list()                       -> [{ id, title, model_name, base_dir, message_count, cost, created, modified }]
+//   delete(chatId)               -> true if the chat existed
+// The default is JsonFileChatStore (one chat.<id>.json per chat, in getChatsDir()).
+
+const CHAT_STORE_METHODS = ['load', 'save', 'appendMessage', 'list', 'delete'];
+let chatStore = null;
+
+function setChatStore(store) {
+  if (store) {
+    const missing = CHAT_STORE_METHODS.filter(m => typeof store[m] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`chat store is missing: ${missing.join(', ')}`);
+    }
+  }
+  chatStore = store || null;
+}
+
+function getChatStore() {
+  if (!chatStore) chatStore = new JsonFileChatStore();
+  return chatStore;
+}
+
+function chatListEntry(chat, created, modified) {
+  const usage = chat.data && chat.data.usage;
+  return {
+    id: chat.id,
+    title: chat.title || null,
+    model_name: chat.model_name || null,
+    base_dir: chat.base_dir || null,
+    message_count: Array.isArray(chat.messages) ? chat.messages.length : (chat.message_count || 0),
+    cost: (usage && usage.total && typeof usage.total.cost === 'number') ? usage.total.cost : null,
+    created,
+    modified,
+  };
+}
+
+// Write via a temp file + rename so readers never see a half-written file.
+function writeFileAtomic(filePath, content) {
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, content, 'utf8');
+  fs.renameSync(tmp, filePath);
+}
+
+// Content-addressed blobs for image/audio/video bytes: <chats dir>/blobs/<ab>/<sha256>.
+// Persistent chats keep only { blob, bytes } on their media records (see ChatSession.save()).
+// blobs/refs.json maps each blob to the chats using it; a blob is deleted when none do.
+function getBlobsDir() {
+  const store = getChatStore();
+  return path.join(typeof store.getDir === 'function' ? store.getDir() : getChatsDir(), 'blobs');
+}
+
+function blobPath(hash) {
+  const h = String(hash || '');
+  if (!/^[0-9a-f]{64}$/.test(h)) throw new Error(`invalid blob id: ${h}`);
+  return path.join(getBlobsDir(), h.slice(0, 2), h);
+}
+
+function writeBlob(buf) {
+  const hash = crypto.createHash('sha256').update(buf).digest('hex');
+  const filePath = blobPath(hash);
+  if (!fs.existsSync(filePath)) {
+    ensureDirExists(path.dirname(filePath));
+    writeFileAtomic(filePath, buf);
+  }
+  return hash;
+}
+
+function readBlob(hash) {
+  return fs.readFileSync(blobPath(hash));
+}
+
+function readBlobRefs() {
+  try {
+    const refs = JSON.parse(fs.readFileSync(path.join(getBlobsDir(), 'refs.json'), 'utf8'));
+    return (refs && typeof refs === 'object' && !Array.isArray(refs)) ? refs : {};
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`Ignoring invalid blob refs: ${err.message}`);
+    return {};
+  }
+}
+
+function writeBlobRefs(refs) {
+  ensureDirExists(getBlobsDir());
+  writeFileAtomic(path.join(getBlobsDir(), 'refs.json'), JSON.stringify(refs));
+}
+
+// Sets the blobs used by `chatId` and deletes blobs that lost their last reference.
+// Returns the deleted blob ids.
+function setBlobRefs(chatId, hashes) {
+  const refs = readBlobRefs();
+  const want = new Set(hashes);
+  const released = [];
+  for (const [hash, chats] of Object.entries(refs)) {
+    if (want.has(hash) || !Array.isArray(chats) || !chats.includes(chatId)) continue;
+    refs[hash] = chats.filter(c => c !== chatId);
+    if (refs[hash].length === 0) {
+      delete refs[hash];
+      released.push(hash);
+    }
+  }
+  for (const hash of want) {
+    const chats = Array.isArray(refs[hash]) ? refs[hash] : (refs[hash] = []);
+    if (!chats.includes(chatId)) chats.push(chatId);
+  }
+  writeBlobRefs(refs);
+  for (const hash of released) {
+    try { fs.unlinkSync(blobPath(hash)); } catch {}
+  }
+  return released;
+}
+
+const INLINE_MEDIA_FIELDS = ['data_b64', 'data_base64', 'b64_json', 'data'];
+
+function inlineMediaBase64(rec) {
+  for (const k of INLINE_MEDIA_FIELDS) {
+    if (typeof rec[k] === 'string' && rec[k]) return rec[k];
+  }
+  return null;
+}
+
+// Full-text search index: one JSONL shard per chat at <chats dir>/search/<id>.jsonl, with lines
+//   { meta: { title, model_name, base_dir, message_count, updated_at } }
+//   { i, role, text }   (searchable text of message i; a later line for the same i wins)
+// ChatSession.save() appends only messages whose text changed since the last save; searchChats()
+// reads shards (cached by mtime) and indexes chats saved before the index existed.
+const SEARCH_MAX_TEXT = 8000;
+const searchShardCache = new Map(); // shard path -> { mtimeMs, size, entry }
+const searchWriteState = new Map(); // shard path -> { hashes, metaKey, lines }
+
+function getSearchDir() {
+  const store = getChatStore();
+  return path.join(typeof store.getDir === 'function' ? store.getDir() : getChatsDir(), 'search');
+}
+
+function searchShardPath(chatId) {
+  const id = String(chatId);
+  if (!/^[A-Za-z0-9_-][A-Za-z0-9._-]*$/.test(id)) throw new Error(`invalid chat id: ${id}`);
+  return path.join(getSearchDir(), `${id}.jsonl`);
+}
+
+// Text a message is found by: its content, tool call names + arguments, and media prompts.
+// System prompts are skipped; they repeat across chats.
+function messageSearchText(msg) {
+  if (!msg || typeof msg !== 'object' || msg.role === 'system') return '';
+  const parts = [];
+  const c = msg.content;
+  if (typeof c === 'string') {
+    parts.push(c);
+  } else if (Array.isArray(c)) {
+    for (const p of c) {
+      if (typeof p === 'string') parts.push(p);
+      else if (p && typeof p.text === 'string') parts.push(p.text);
+    }
+  } else if (c && typeof c === 'object' && typeof c.prompt === 'string') {
+    parts.push(c.prompt);
+  }
+  for (const tc of Array.isArray(msg.tool_calls) ? msg.tool_calls : []) {
+    const fn = tc && tc.function;
+    if (fn) parts.push(`${fn.name || ''} ${typeof fn.arguments === 'string' ? fn.arguments : JSON.stringify(fn.arguments || {})}`);
+  }
+  return parts.join('\n').slice(0, SEARCH_MAX_TEXT);
+}
+
+function readSearchShard(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  const entry = { meta: null, docs: new Map(), lines: 0 };
+  for (const line of text.split('\n')) {
+    if (!line) continue;
+    let rec;
+    try { rec = JSON.parse(line); } catch { continue; }
+    entry.lines++;
+    if (rec.meta) entry.meta = rec.meta;
+    else if (Number.isInteger(rec.i)) entry.docs.set(rec.i, { role: rec.role || null, text: String(rec.text || '') });
+  }
+  if (entry.meta) {
+    for (const i of entry.docs.keys()) {
+      if (i >= entry.meta.message_count) entry.docs.delete(i);
+    }
+  }
+  return entry;
+}
+
+function searchTextHash(text) {
+  return text ? crypto.createHash('sha1').update(text).digest('base64').slice(0, 12) : '';
+}
+
+// Brings chat's shard up to date with the chat (plain object, see ChatSession#toData()).
+function updateSearchIndex(chat) {
+  const file = searchShardPath(chat.id);
+  const messages = Array.isArray(chat.messages) ? chat.messages : [];
+  let state = searchWriteState.get(file);
+  if (!state) {
+    const entry = readSearchShard(file);
+    if (entry) {
+      const count = entry.meta ? entry.meta.message_count : 0;
+      const hashes = [];
+      for (let i = 0; i < count; i++) hashes.push(searchTextHash(entry.docs.has(i) ? entry.docs.get(i).text : ''));
+      state = { hashes, metaKey: null, lines: entry.lines };
+    }
+  }
+  // Rewrite when history shrank or the shard is mostly superseded lines.
+  const rewrite = !state || messages.length < state.hashes.length || state.lines > 2 * messages.length + 20;
+  const hashes = [];
+  const out = [];
+  for (let i = 0; i < messages.length; i++) {
+    const text = messageSearchText(messages[i]);
+    const hash = searchTextHash(text);
+    hashes.push(hash);
+    if (!rewrite && i < state.hashes.length && state.hashes[i] === hash) continue;
+    if (text || !rewrite) out.push({ i, role: messages[i].role || null, text });
+  }
+  const meta = {
+    title: chat.title || null,
+    model_name: chat.model_name || null,
+    base_dir: chat.base_dir || null,
+    message_count: messages.length,
+  };
+  const metaKey = JSON.stringify(meta);
+  if (!rewrite && out.length === 0 && state.metaKey === metaKey) return;
+  out.push({ meta: { ...meta, updated_at: new Date().toISOString() } });
+
+  const body = out.map(r => JSON.stringify(r) + '\n').join('');
+  ensureDirExists(path.dirname(file));
+  if (rewrite) writeFileAtomic(file, body);
+  else fs.appendFileSync(file, body, 'utf8');
+  searchWriteState.set(file, { hashes, metaKey, lines: (rewrite ? 0 : state.lines) + out.length });
+}
+
+function removeSearchIndex(chatId) {
+  const file = searchShardPath(chatId);
+  searchWriteState.delete(file);
+  searchShardCache.delete(file);
+  fs.rmSync(file, { force: true });
+}
+
+// One-time indexing of chats saved before the search index existed.
+function backfillSearchIndex() {
+  const dir = getSearchDir();
+  const marker = path.join(dir, '.backfilled');
+  if (fs.existsSync(marker)) return;
+  const store = getChatStore();
+  for (const { id } of store.list()) {
+    try {
+      if (fs.existsSync(searchShardPath(id))) continue;
+      const chat = store.load(id);
+      if (chat) updateSearchIndex(chat);
+    } catch (err) {
+      console.warn(`Skipping chat ${id} in search index: ${err.message}`);
+    }
+  }
+  ensureDirExists(dir);
+  fs.writeFileSync(marker, new Date().toISOString(), 'utf8');
+}
+
+function parseSearchQuery(query) {
+  const terms = [];
+  const re = /"([^"]+)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(String(query || ''))) !== null) {
+    const t = (m[1] || m[2]).trim().toLowerCase();
+    if (t) terms.push(t);
+  }
+  return terms;
+}
+
+function searchSnippet(text, lower, terms) {
+  const hits = terms.map(t => lower.indexOf(t)).filter(i => i >= 0);
+  const at = hits.length ? Math.min(...hits) : 0;
+  const start = Math.max(0, at - 60);
+  const end = Math.min(text.length, at + 140);
+  return (start > 0 ? '…' : '') + text.slice(start, end).replace(/\s+/g, ' ').trim() + (end < text.length ? '…' : '');
+}
+
+/**
+ * searchChats(query, { model, since, base_dir, limit=50 })
+ *
+ * Case-insensitive search over chat titles, message content and tool call arguments in the
+ * current chat store. Every word (or "quoted phrase") of the query must occur in a message.
+ * Filters: `model` (exact model_name), `since` (Date | ms | date string; chats updated at or
+ * after it), `base_dir` (chats whose base_dir is that directory or inside it).
+ *
+ * Returns [{ chat_id, title, model_name, base_dir, updated_at, message_index, role, snippet, score }]
+ * best match first; message_index is null for title matches.
+ */
+function searchChats(query, options = {}) {
+  const terms = parseSearchQuery(query);
+  if (terms.length === 0) return [];
+  const opts = options || {};
+  let since = null;
+  if (opts.since !== undefined && opts.since !== null && opts.since !== '') {
+    since = opts.since instanceof Date ? opts.since.getTime() : (typeof opts.since === 'number' ? opts.since : Date.parse(opts.since));
+    if (!Number.isFinite(since)) throw new Error(`searchChats: invalid since: ${opts.since}`);
+  }
+  const baseDir = opts.base_dir ? path.resolve(String(opts.base_dir)) : null;
+  const limit = Number.isInteger(opts.limit) && opts.limit > 0 ? opts.limit : 50;
+
+  backfillSearchIndex();
+  const dir = getSearchDir();
+  const results = [];
+  for (const name of fs.readdirSync(dir)) {
+    if (!name.endsWith('.jsonl')) continue;
+    const file = path.join(dir, name);
+    let stat;
+    try { stat = fs.statSync(file); } catch { continue; }
+    let cached = searchShardCache.get(file);
+    if (!cached || cached.mtimeMs !== stat.mtimeMs || cached.size !== stat.size) {
+      const entry = readSearchShard(file);
+      if (!entry || !entry.meta) continue;
+      for (const doc of entry.docs.values()) doc.lower = doc.text.toLowerCase();
+      cached = { mtimeMs: stat.mtimeMs, size: stat.size, entry };
+      searchShardCache.set(file, cached);
+    }
+    const { meta, docs } = cached.entry;
+    if (opts.model && meta.model_name !== opts.model) continue;
+    if (since !== null && !(Date.parse(meta.updated_at) >= since)) continue;
+    if (baseDir) {
+      const bd = meta.base_dir ? path.resolve(meta.base_dir) : null;
+      if (!bd || (bd !== baseDir && !bd.startsWith(baseDir + path.sep))) continue;
+    }
+
+    const chatId = name.slice(0, -'.jsonl'.length);
+    const hit = (text, lower, message_index, role, bonus) => {
+      let score = 0;
+      for (const t of terms) {
+        let n = 0;
+        for (let at = lower.indexOf(t); at !== -1 && n < 10; at = lower.indexOf(t, at + t.length)) n++;
+        if (n === 0) return;
+        score += n;
+      }
+      results.push({
+        chat_id: chatId,
+        title: meta.title,
+        model_name: meta.model_name,
+        base_dir: meta.base_dir,
+        updated_at: meta.updated_at,
+        message_index,
+        role,
+        snippet: searchSnippet(text, lower, terms),
+        score: score + bonus,
+      });
+    };
+    if (meta.title) hit(meta.title, meta.title.toLowerCase(), null, null, 5);
+    for (const [i, doc] of docs) hit(doc.text, doc.lower, i, doc.role, 0);
+  }
+  results.sort((a, b) => (b.score - a.score) || String(b.updated_at).localeCompare(String(a.updated_at)));
+  return results.slice(0, limit);
+}
+
+// Chat export formats (see ChatSession#exportChat()).
+const EXPORT_FORMATS = {
+  markdown: { mime_type: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { mime_type: 'text/html; charset=utf-8', extension: 'html' },
+  jsonl: { mime_type: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+};
+
+// Markdown code fence that survives backticks inside `text`.
+function markdownFence(text, lang = '') {
+  const s = String(text ?? '');
+  const longest = Math.max(0, ...(s.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(Math.max(3, longest + 1));
+  return `${fence}${lang}\n${s}${s.endsWith('\n') ? '' : '\n'}${fence}`;
+}
+
+const EXPORT_MIME_RE = /^[\w.+-]+\/[\w.+-]+$/;
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+function prettyToolArguments(args) {
+  if (args && typeof args === 'object') return JSON.stringify(args, null, 2);
+  try { return JSON.stringify(JSON.parse(String(args ?? '')), null, 2); } catch { return String(args ?? ''); }
+}
+
+// Provider traffic cassettes: in 'record' mode every HTTP exchange a chat's client makes is
+// saved to <dir>/<chat id>.json as { chat_id, interactions: [{ request: { method, url, body },
+// response: { status, headers, chunks } }] }, with SSE bodies kept chunk by chunk. In 'replay'
+// mode the chat's requests are answered from its cassette, in order, without network; a
+// request that differs from the recording (or has none) fails with HTTP 400 "cassette drift".
+// A process re-records a chat's cassette from scratch the first time it records that chat.
+let cassetteMode = ['record', 'replay'].includes(process.env.VIIB_ETCH_CASSETTE) ? process.env.VIIB_ETCH_CASSETTE : null;
+let cassetteDir = process.env.VIIB_ETCH_CASSETTE_DIR || null;
+const cassettes = new Map(); // cassette path -> { interactions, cursor }
+
+// mode: 'record' | 'replay' | null (off). dir defaults to <chats dir>/cassettes.
+// Clients created before the call keep their mode.
+function setCassetteMode(mode, dir = null) {
+  if (mode !== null && mode !== undefined && !['record', 'replay'].includes(mode)) {
+    throw new Error(`setCassetteMode: mode must be 'record', 'replay' or null, got ${mode}`);
+  }
+  cassetteMode = mode || null;
+  cassetteDir = dir || null;
+  cassettes.clear();
+}
+
+function getCassetteMode() {
+  return { mode: cassetteMode, dir: cassetteDir || path.join(getChatsDir(), 'cassettes') };
+}
+
+function cassetteRequestBody(body) {
+  if (body === undefined || body === null) return null;
+  if (typeof body !== 'string') return '[binary]';
+  try { return JSON.parse(body); } catch { return body; }
+}
+
+// Path (e.g. "body.messages[3].content") of the first difference between two request records.
+function cassetteDrift(a, b, at = '') {
+  if (a === b) return null;
+  if (a === '[binary]' || b === '[binary]') return null;
+  const isObj = (v) => v !== null && typeof v === 'object';
+  if (!isObj(a) || !isObj(b) || Array.isArray(a) !== Array.isArray(b)) return at || '(root)';
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const k of keys) {
+    const drift = cassetteDrift(a[k], b[k], Array.isArray(a) ? `${at}[${k}]` : (at ? `${at}.${k}` : k));
+    if (drift) return drift;
+  }
+  return null;
+}
+
+// fetch() replacement bound to one chat's cassette (see setCassetteMode()).
+function cassetteFetch(chatId, mode, dir, realFetch = fetch) {
+  const file = path.join(dir, `${chatId}.json`);
+  const load = () => {
+    if (!cassettes.has(file)) {
+      let interactions = [];
+      if (mode === 'replay') {
+        try {
+          interactions = JSON.parse(fs.readFileSync(file, 'utf8')).interactions || [];
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err;
+        }
+      }
+      cassettes.set(file, { interactions, cursor: 0 });
+    }
+    return cassettes.get(file);
+  };
+  const save = (cassette) => {
+    ensureDirExists(dir);
+    writeFileAtomic(file, JSON.stringify({ chat_id: chatId, interactions: cassette.interactions }, null, 2));
+  };
+  const fail = (message) => new Response(JSON.stringify({ error: { type: 'cassette_drift', message } }), {
+    status: 400,
+    headers: { 'content-type': 'application/json' },
+  });
+
+  return async (input, init = {}) => {
+    const url = new URL(typeof input === 'string' || input instanceof URL ? String(input) : input.url);
+    const request = { method: String(init.method || 'GET').toUpperCase(), url: url.pathname + url.search, body: cassetteRequestBody(init.body) };
+    const cassette = load();
+
+    if (mode === 'replay') {
+      const n = cassette.cursor + 1;
+      const rec = cassette.interactions[cassette.cursor];
+      if (!rec) return fail(`cassette drift: ${file} has no recording for request #${n} (${request.method} ${request.url})`);
+      const drift = cassetteDrift(rec.request, request);
+      if (drift) return fail(`cassette drift: request #${n} to ${request.url} differs from ${file} at ${drift}`);
+      cassette.cursor += 1;
+      const chunks = rec.response.chunks || [];
+      const encoder = new TextEncoder();
+      const body = new ReadableStream({
+        start(controller) {
+          for (const chunk of chunks) controller.enqueue(encoder.encode(chunk));
+          controller.close();
+        },
+      });
+      return new Response(body, { status: rec.response.status, headers: rec.response.headers || {} });
+    }
+
+    const res = await realFetch(input, init);
+    const headers = {};
+    for (const name of ['content-type', 'retry-after', 'retry-after-ms', 'x-request-id', 'request-id']) {
+      const v = res.headers.get(name);
+      if (v !== null) headers[name] = v;
+    }
+    const interaction = { request, response: { status: res.status, headers, chunks: [] } };
+    cassette.interactions.push(interaction);
+    if (!res.body) {
+      save(cassette);
+      return res;
+    }
+    // Pass the body through while keeping a copy of every chunk.
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    const body = new ReadableStream({
+      async pull(controller) {
+        const { done, value } = await reader.read();
+        if (done) {
+          const tail = decoder.decode();
+          if (tail) interaction.response.chunks.push(tail);
+          save(cassette);
+          controller.close();
+          return;
+        }
+        interaction.response.chunks.push(decoder.decode(value, { stream: true }));
+        controller.enqueue(value);
+      },
+      cancel(reason) {
+        save(cassette);
+        return reader.cancel(reason);
+      },
+    });
+    return new Response(body, { status: res.status, statusText: res.statusText, headers: res.headers });
+  };
+}
+
+// Tool output budget: tool results larger than the model's tool_output_budget (bytes, per
+// tool) reach the model as head + "[truncated N bytes ...]" + tail. The full text is spilled
+// to <chats dir>/tool-outputs/<chat id>/<id>.txt (the OS temp dir for non-persistent chats)
+// and indexed in chat.data.tool_outputs[id], where the read_tool_output tool finds it.
+// Non-persistent chats have no deleteChatSession() to clean up after them, so the temp dir is
+// capped at VIIB_ETCH_TOOL_OUTPUT_TMP_MAX_BYTES (default 256 MB), oldest files removed first.
+const DEFAULT_TOOL_OUTPUT_BUDGET = 32 * 1024;
+const TOOL_OUTPUT_MIN_KEEP = 1024;
+const TOOL_OUTPUT_TMP_MAX_BYTES = 256 * 1024 * 1024;
+
+function toolOutputsTmpRoot() {
+  return path.join(os.tmpdir(), 'viib-etch-tool-outputs');
+}
+
+function getToolOutputsDir(chat) {
+  const safeId = String(chat.id).replace(/[^A-Za-z0-9_.-]/g, '_');
+  if (!chat.persistent) return path.join(toolOutputsTmpRoot(), safeId);
+  const store = getChatStore();
+  return path.join(typeof store.getDir === 'function' ? store.getDir() : getChatsDir(), 'tool-outputs', safeId);
+}
+
+// Deletes the oldest temp spill files until the temp dir is within its cap. keepPath (the
+// file just written) is never deleted.
+function pruneTmpToolOutputs(keepPath = null) {
+  const max = Number(process.env.VIIB_ETCH_TOOL_OUTPUT_TMP_MAX_BYTES) || TOOL_OUTPUT_TMP_MAX_BYTES;
+  const root = toolOutputsTmpRoot();
+  const files = [];
+  let total = 0;
+  let dirs;
+  try {
+    dirs = fs.readdirSync(root, { withFileTypes: true }).filter((d) => d.isDirectory());
+  } catch {
+    return;
+  }
+  for (const d of dirs) {
+    let names;
+    try {
+      names = fs.readdirSync(path.join(root, d.name));
+    } catch {
+      continue;
+    }
+    for (const name of names) {
+      const file = path.join(root, d.name, name);
+      try {
+        const stat = fs.statSync(file);
+        if (!stat.isFile()) continue;
+        files.push({ file, size: stat.size, mtimeMs: stat.mtimeMs });
+        total += stat.size;
+      } catch {
+        // removed meanwhile
+      }
+    }
+  }
+  files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+  for (const f of files) {
+    if (total <= max) break;
+    if (f.file === keepPath) continue;
+    try {
+      fs.unlinkSync(f.file);
+      total -= f.size;
+    } catch {
+      // removed meanwhile
+    }
+  }
+}
+
+// Keeps about `keep` characters of `text`, split between head and tail, around a marker that
+// says how to read the rest. Offsets are in bytes of the spilled file.
+function truncateToolText(text, keep, artifact) {
+  const headLen = Math.ceil(keep / 2);
+  const tailLen = Math.max(0, keep - headLen);
+  const head = text.slice(0, headLen);
+  const tail = tailLen ? text.slice(text.length - tailLen) : '';
+  const omitted = Buffer.byteLength(text) - Buffer.byteLength(head) - Buffer.byteLength(tail);
+  const marker = `\n\n[truncated ${omitted} bytes. Full output (${artifact.bytes} bytes): `
+    + `read_tool_output with id "${artifact.id}" and offset ${Buffer.byteLength(head)}, or read_file ${artifact.path}]\n\n`;
+  return head + marker + tail;
+}
+
+// Whole chat in one pretty-printed JSON file, rewritten on every save. `dir` defaults to
+// getChatsDir() at call time, so setChatsDir() keeps working.
+class JsonFileChatStore {
+  constructor(dir = null) {
+    this.dir = dir;
+  }
+
+  getDir() {
+    return this.dir || getChatsDir();
+  }
+
+  getFileName(chatId) {
+    return path.join(this.getDir(), `chat.${chatId}.json`);
+  }
+
+  load(chatId) {
+    try {
+      return JSON.parse(fs.readFileSync(path.resolve(this.getFileName(chatId)), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  save(chat) {
+    ensureDirExists(this.getDir());
+    fs.writeFileSync(path.resolve(this.getFileName(chat.id)), JSON.stringify(chat, null, 2), 'utf8');
+  }
+
+  appendMessage(chat) {
+    // The file format has no append; rewrite it.
+    this.save(chat);
+  }
+
+  list() {
+    const dir = this.getDir();
+    if (!fs.existsSync(dir)) return [];
+    const chatSessions = [];
+    for (const file of fs.readdirSync(dir)) {
+      // Extract chat ID from filename: chat.<id>.json
+      const match = file.match(/^chat\.(.+)\.json$/);
+      if (!match) continue;
+      try {
+        const chat = this.load(match[1]);
+        if (chat) {
+          const stat = fs.statSync(path.resolve(path.join(dir, file)));
+          chatSessions.push(chatListEntry(chat, stat.birthtime, stat.mtime));
+        }
+      } catch (err) {
+        // Skip invalid chat files
+        console.warn(`Skipping invalid chat file ${file}: ${err.message}`);
+      }
+    }
+    // Sort by modified time, most recent first
+    chatSessions.sort((a, b) => b.modified - a.modified);
+    return chatSessions;
+  }
+
+  delete(chatId) {
+    try {
+      fs.unlinkSync(path.resolve(this.getFileName(chatId)));
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+  }
+}
+
+/**
+ * JsonlChatStore(dir = getChatsDir())
+ *
+ * Directory per chat, written incrementally:
+ *   <dir>/<id>/messages.jsonl  one message per line; appended to while history only grows,
+ *                              rewritten when an earlier message changed or was removed
+ *   <dir>/<id>/meta.json       everything else except the keys below (small)
+ *   <dir>/<id>/data.json       data.fileOriginals/diffs/checkpoints (whole file contents),
+ *                              rewritten only when they change
+ *   <dir>/<id>/media.json      images + audio, rewritten only when they change
+ *   <dir>/index.json           list() rows, so listing never opens chat files
+ *   <dir>/index.log            row updates appended since index.json was last written; folded
+ *                              into index.json once it outgrows it
+ * What was last written is remembered per chat, so a save only writes what changed.
+ */
+const JSONL_DATA_FILE_KEYS = ['fileOriginals', 'diffs', 'checkpoints'];
+const JSONL_INDEX_LOG_MIN = 64;
+
+class JsonlChatStore {
+  constructor(dir = null) {
+    this.dir = dir;
+    this._written = new Map(); // chat dir -> { lines, meta, data, media, row }
+    this._indexSize = 0; // rows in index.json and lines in index.log when last read/written
+    this._indexLogLines = 0;
+  }
+
+  getDir() {
+    return this.dir || getChatsDir();
+  }
+
+  _chatDir(chatId) {
+    const id = String(chatId);
+    if (!/^[A-Za-z0-9_-][A-Za-z0-9._-]*$/.test(id)) {
+      throw new Error(`invalid chat id: ${id}`);
+    }
+    return path.resolve(this.getDir(), id);
+  }
+
+  _indexFile() {
+    return path.resolve(this.getDir(), 'index.json');
+  }
+
+  _indexLogFile() {
+    return path.resolve(this.getDir(), 'index.log');
+  }
+
+  // index.json with the rows appended to index.log applied on top.
+  _readIndex() {
+    let index;
+    try {
+      index = JSON.parse(fs.readFileSync(this._indexFile(), 'utf8'));
+      if (!index || typeof index !== 'object' || Array.isArray(index)) return null;
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      console.warn(`Rebuilding chat index: ${err.message}`);
+      return null;
+    }
+    let lines = [];
+    try {
+      lines = fs.readFileSync(this._indexLogFile(), 'utf8').split('\n').filter(Boolean);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    for (const line of lines) {
+      let row;
+      try {
+        row = JSON.parse(line);
+      } catch {
+        continue; // torn append
+      }
+      if (!row || typeof row.id !== 'string') continue;
+      if (row.deleted) delete index[row.id];
+      else index[row.id] = row;
+    }
+    this._indexSize = Object.keys(index).length;
+    this._indexLogLines = lines.length;
+    return index;
+  }
+
+  _writeIndex(index) {
+    ensureDirExists(this.getDir());
+    writeFileAtomic(this._indexFile(), JSON.stringify(index));
+    fs.rmSync(this._indexLogFile(), { force: true });
+    this._indexSize = Object.keys(index).length;
+    this._indexLogLines = 0;
+  }
+
+  // Record one row change without rewriting index.json, which grows with the number of chats.
+  _appendIndexRow(row) {
+    ensureDirExists(this.getDir());
+    fs.appendFileSync(this._indexLogFile(), JSON.stringify(row) + '\n', 'utf8');
+    if (++this._indexLogLines > Math.max(JSONL_INDEX_LOG_MIN, this._indexSize)) {
+      this._writeIndex(this._readIndex() || this._rebuildIndex());
+    }
+  }
+
+  // Recreate index.json from each chat's meta.json (first use, or the index was lost).
+  _rebuildIndex() {
+    const dir = this.getDir();
+    const index = {};
+    if (fs.existsSync(dir)) {
+      for (const name of fs.readdirSync(dir)) {
+        const metaFile = path.join(dir, name, 'meta.json');
+        try {
+          const meta = JSON.parse(fs.readFileSync(metaFile, 'utf8'));
+          const stat = fs.statSync(metaFile);
+          index[meta.id] = chatListEntry(meta, stat.birthtime.toISOString(), stat.mtime.toISOString());
+        } catch (err) {
+          if (err.code !== 'ENOENT' && err.code !== 'ENOTDIR') {
+            console.warn(`Skipping invalid chat directory ${name}: ${err.message}`);
+          }
+        }
+      }
+    }
+    this._writeIndex(index);
+    return index;
+  }
+
+  load(chatId) {
+    let chatDir;
+    try {
+      chatDir = this._chatDir(chatId);
+    } catch {
+      return null;
+    }
+    let metaText;
+    try {
+      metaText = fs.readFileSync(path.join(chatDir, 'meta.json'), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+    const meta = JSON.parse(metaText);
+    let mediaText = null;
+    try {
+      mediaText = fs.readFileSync(path.join(chatDir, 'media.json'), 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    const media = mediaText ? JSON.parse(mediaText) : {};
+    let dataText = null;
+    try {
+      dataText = fs.readFileSync(path.join(chatDir, 'data.json'), 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    if (dataText) meta.data = { ...(meta.data || {}), ...JSON.parse(dataText) };
+
+    let text = '';
+    try {
+      text = fs.readFileSync(path.join(chatDir, 'messages.jsonl'), 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    const lines = text.split('\n').filter(Boolean);
+    const messages = [];
+    let torn = false;
+    for (let i = 0; i < lines.length; i++) {
+      try {
+        messages.push(JSON.parse(lines[i]));
+      } catch (err) {
+        // A crash mid-append can leave a partial last line; drop it and rewrite on next save.
+        if (i !== lines.length - 1) throw err;
+        torn = true;
+      }
+    }
+    if (torn) this._written.delete(chatDir);
+    else this._written.set(chatDir, { lines, meta: metaText, data: dataText, media: mediaText });
+
+    const { message_count, ...rest } = meta;
+    return { ...rest, messages, images: media.images || {}, audio: media.audio || {} };
+  }
+
+  save(chat) {
+    const chatDir = this._chatDir(chat.id);
+    ensureDirExists(chatDir);
+    const written = this._written.get(chatDir);
+
+    const lines = (chat.messages || []).map(m => JSON.stringify(m));
+    const messagesFile = path.join(chatDir, 'messages.jsonl');
+    let same = 0;
+    if (written && written.lines.length <= lines.length) {
+      while (same < written.lines.length && written.lines[same] === lines[same]) same++;
+    }
+    let changed = !written || lines.length !== written.lines.length || same !== lines.length;
+    if (written && same === written.lines.length) {
+      if (lines.length > same) {
+        fs.appendFileSync(messagesFile, lines.slice(same).map(l => l + '\n').join(''), 'utf8');
+      }
+    } else {
+      writeFileAtomic(messagesFile, lines.map(l => l + '\n').join(''));
+    }
+
+    const { messages, images, audio, ...meta } = chat;
+    const data = {};
+    const large = {};
+    for (const [key, value] of Object.entries(chat.data || {})) {
+      if (JSONL_DATA_FILE_KEYS.includes(key)) large[key] = value;
+      else data[key] = value;
+    }
+    meta.data = data;
+    meta.message_count = lines.length;
+    const files = {
+      meta: ['meta.json', JSON.stringify(meta, null, 2)],
+      data: ['data.json', Object.keys(large).length ? JSON.stringify(large) : null],
+      media: ['media.json', JSON.stringify({ images: images || {}, audio: audio || {} })],
+    };
+    const next = { lines };
+    for (const [key, [name, content]] of Object.entries(files)) {
+      next[key] = content;
+      if (written && written[key] === content) continue;
+      changed = true;
+      if (content === null) fs.rmSync(path.join(chatDir, name), { force: true });
+      else writeFileAtomic(path.join(chatDir, name), content);
+    }
+
+    // index.json is read once per chat; after that the last row written is enough to tell
+    // whether anything changed, and a changed row is appended to index.log.
+    let row = written && written.row;
+    if (!row) {
+      const index = this._readIndex() || this._rebuildIndex();
+      row = index[chat.id] || null;
+      changed = true;
+    }
+    if (changed) {
+      const now = new Date().toISOString();
+      row = chatListEntry(meta, (row && row.created) || now, now);
+      this._appendIndexRow(row);
+    }
+    next.row = row;
+    this._written.set(chatDir, next);
+  }
+
+  appendMessage(chat) {
+    // save() compares against what was last written, so this appends a single line unless an
+    // earlier message was changed in memory since the last save.
+    this.save(chat);
+  }
+
+  list() {
+    const index = this._readIndex() || this._rebuildIndex();
+    return Object.values(index)
+      .map(e => ({ ...e, created: new Date(e.created), modified: new Date(e.modified) }))
+      .sort((a, b) => b.modified - a.modified);
+  }
+
+  delete(chatId) {
+    let chatDir;
+    try {
+      chatDir = this._chatDir(chatId);
+    } catch {
+      return false;
+    }
+    const existed = fs.existsSync(chatDir);
+    fs.rmSync(chatDir, { recursive: true, force: true });
+    this._written.delete(chatDir);
+    const index = this._readIndex();
+    if (index && index[chatId]) this._appendIndexRow({ id: String(chatId), deleted: true });
+    return existed;
+  }
+}
+
 class ChatModel {
   constructor(config) {
     this.name = config.name;
@@ -73,7 +1054,38 @@ class ChatModel {
     this.system_prompt = config.system_prompt || config.systemPrompt || null;
     this.system_prompt_file = config.system_prompt_file || config.systemPromptFile || null;
     this.tools = Array.isArray(config.tools) ? config.tools : null;
-    
+    // Context-window budget (estimated tokens). When set, ChatLLM compacts older turns into a
+    // summary note once a request would cross context_window * compaction_threshold.
+    const contextWindow = Number(config.context_window ?? config.contextWindow);
+    this.context_window = Number.isFinite(contextWindow) && contextWindow > 0 ? contextWindow : null;
+    const threshold = Number(config.compaction_threshold ?? config.compactionThreshold);
+    this.compaction_threshold = Number.isFinite(threshold) && threshold > 0 && threshold <= 1 ? threshold : 0.8;
+    // Number of most recent messages that are always sent verbatim (tool results included).
+    const keepRecent = Number(config.compaction_keep_recent ?? config.compactionKeepRecent);
+    this.compaction_keep_recent = Number.isInteger(keepRecent) && keepRecent > 0 ? keepRecent : 12;
+    // Retry policy for provider calls (see ChatLLM._withRetry) and optional failover model.
+    this.retry = ChatModel.normalizeRetryPolicy(config.retry);
+    this.fallback_model = config.fallback_model || config.fallbackModel || null;
+    // Prices in USD per 1M tokens: { input, cached_input, output }. Used for usage cost rollups.
+    this.pricing = ChatModel.normalizePricing(config.pricing);
+    // Largest tool result (bytes) sent to the model as-is: a number for every tool, or
+    // { default, <tool name>: bytes }. 0 turns truncation off. See ChatLLM._budgetToolResult.
+    this.tool_output_budget = ChatModel.normalizeToolOutputBudget(config.tool_output_budget ?? config.toolOutputBudget);
+    // Backend for the native web_search / fetch_url tools, e.g.
+    // { backend: 'brave' | 'searxng' | 'json', endpoint, api_key_file, max_results }.
+    const webSearch = config.web_search ?? config.webSearch;
+    this.web_search = webSearch && typeof webSearch === 'object' ? { ...webSearch } : null;
+    // MCP servers by name, selected in `tools` with "mcp:<server>/<tool-glob>" entries, e.g.
+    // { github: { command, args, env } } or { docs: { url, headers } }.
+    const mcpServers = config.mcp_servers ?? config.mcpServers;
+    this.mcp_servers = mcpServers && typeof mcpServers === 'object' ? { ...mcpServers } : null;
+    // Sandbox for run_terminal_cmd: true, false, or { backend: 'auto' | 'bwrap' | 'unshare',
+    // network, writable, cpu_seconds, memory_mb, timeout_ms, max_output_bytes }.
+    // A chat's own setting (ChatSession.setSandbox) takes precedence.
+    const sandbox = config.sandbox;
+    this.sandbox = sandbox === true || sandbox === false ? sandbox
+      : (sandbox && typeof sandbox === 'object' ? { ...sandbox } : null);
+
     // Load API key - prioritize file if specified, then config, then env var
     // Provider-specific env vars:
     // - Gemini: GEMINI_API_KEY
@@ -100,6 +1112,72 @@ class ChatModel {
     }
   }
 
+  static normalizeToolOutputBudget(budget) {
+    const bytes = (v) => {
+      const n = Number(v);
+      return Number.isFinite(n) && n >= 0 ? Math.floor(n) : null;
+    };
+    if (budget === false) return { default: 0 };
+    if (budget && typeof budget === 'object') {
+      const out = {};
+      for (const [k, v] of Object.entries(budget)) {
+        const n = bytes(v === false ? 0 : v);
+        if (n !== null) out[k] = n;
+      }
+      if (out.default === undefined) out.default = DEFAULT_TOOL_OUTPUT_BUDGET;
+      return out;
+    }
+    const n = bytes(budget);
+    return { default: n === null ? DEFAULT_TOOL_OUTPUT_BUDGET : n };
+  }
+
+  // Output budget in bytes for one tool; 0 means unlimited.
+  toolOutputBudget(toolName) {
+    const b = this.tool_output_budget || { default: DEFAULT_TOOL_OUTPUT_BUDGET };
+    return Object.prototype.hasOwnProperty.call(b, toolName) ? b[toolName] : b.default;
+  }
+
+  static normalizePricing(pricing) {
+    if (!pricing || typeof pricing !== 'object') return null;
+    const price = (v) => {
+      const n = Number(v);
+      return Number.isFinite(n) && n >= 0 ? n : null;
+    };
+    const input = price(pricing.input ?? pricing.input_per_mtok);
+    const output = price(pricing.output ?? pricing.output_per_mtok);
+    if (input === null && output === null) return null;
+    const cached = price(pricing.cached_input ?? pricing.cachedInput);
+    return { input: input || 0, cached_input: cached !== null ? cached : (input || 0), output: output || 0 };
+  }
+
+  // USD cost of one normalized usage record (see ChatLLM._normalizeUsage), or null without pricing.
+  costForUsage(usage) {
+    if (!this.pricing || !usage) return null;
+    const cached = usage.cached_input_tokens || 0;
+    const uncached = Math.max(0, (usage.input_tokens || 0) - cached);
+    const cost = (uncached * this.pricing.input + cached * this.pricing.cached_input + (usage.output_tokens || 0) * this.pricing.output) / 1e6;
+    return Math.round(cost * 1e6) / 1e6;
+  }
+
+  static normalizeRetryPolicy(retry) {
+    const r = (retry && typeof retry === 'object') ? retry : {};
+    const num = (v, dflt, min) => {
+      const n = Number(v);
+      return Number.isFinite(n) && n >= min ? n : dflt;
+    };
+    const codes = r.retryable_status_codes ?? r.retryableStatusCodes;
+    return {
+      // Total attempts per provider call, including the first one (1 disables retries).
+      max_attempts: Math.floor(num(r.max_attempts ?? r.maxAttempts, 3, 1)),
+      initial_delay_ms: num(r.initial_delay_ms ?? r.initialDelayMs, 1000, 0),
+      max_delay_ms: num(r.max_delay_ms ?? r.maxDelayMs, 30000, 0),
+      backoff_multiplier: num(r.backoff_multiplier ?? r.backoffMultiplier, 2, 1),
+      retryable_status_codes: Array.isArray(codes)
+        ? codes.map(Number).filter(Number.isInteger)
+        : [408, 409, 429, 500, 502, 503, 504, 529],
+    };
+  }
+
   _isGeminiModel() {
     const modelName = (this.model || '').toLowerCase();
     return modelName.includes('gemini') || modelName.includes('veo') || modelName.startsWith('google/');
@@ -150,36 +1228,56 @@ class ChatSession {
     this.title = data.title || null;
     this.model_name = data.model_name || null;
     this.messages = data.messages || [];
-    // In-memory image store: id -> image record
+    // Image store: id -> image record
     // Record shape (minimal):
     //   { id, kind: 'reference'|'generated', mime_type, data_b64, created_at, ... }
+    // Once persisted, data_b64 is replaced by { blob, bytes } (see getImageData()).
     this.images = (data.images && typeof data.images === 'object') ? data.images : {};
-    // In-memory audio store: id -> audio record
+    // Audio store: id -> audio record
     // Record shape (minimal):
     //   { id, kind: 'voiceover'|'generated', mime_type, data_b64, created_at, ... }
     this.audio = (data.audio && typeof data.audio === 'object') ? data.audio : {};
     this.data = data.data || {};
     // Persistent base directory for tool execution (optional).
-    // If set, tool execution will chdir() into this directory for the duration of the tool call.
+    // If set, tools run with this directory as their working directory (passed as context.cwd).
     this.base_dir = (data.base_dir === null || data.base_dir === undefined) ? null : String(data.base_dir);
+    // Session mode: 'agent' (all tools) | 'ask' | 'plan' (read-only; tools flagged
+    // disallow_in_ask_mode are hidden from the model and refused if called).
+    this.mode = ChatSession.normalizeMode(data.mode) || 'agent';
     this.persistent = data.persistent === true;
     this._model = null;
+    // Blob ids last recorded for this chat in blobs/refs.json (comma-joined).
+    this._blobRefs = null;
+  }
+
+  static normalizeMode(mode) {
+    const v = (mode === null || mode === undefined) ? '' : String(mode).trim().toLowerCase();
+    return SESSION_MODES.includes(v) ? v : null;
   }
   
   generateId() {
-    const ts = String(Date.now());
-    const hash10 = crypto.createHash('sha256').update(ts).digest().subarray(0, 10).toString('hex');
-    return `${hash10}`;
+    // Random rather than clock-derived: chats created in the same millisecond (forks, imports,
+    // tests) must not share an id.
+    return crypto.randomBytes(10).toString('hex');
   }
   
   static setChatsDir(dirPath) {
     setChatsDir(dirPath);
   }
 
-  static getChatsDir() {
-    return getChatsDir();
+  static getChatsDir() {
+    return getChatsDir();
+  }
+
+  static setStore(store) {
+    setChatStore(store);
+  }
+
+  static getStore() {
+    return getChatStore();
   }
 
+  // File name used by the default JsonFileChatStore.
   static getFileName(chatId) {
     return path.join(getChatsDir(), `chat.${chatId}.json`);
   }
@@ -207,66 +1305,112 @@ class ChatSession {
   }
   
   static load(chatId) {
+    let data;
     try {
-      const filePath = path.resolve(ChatSession.getFileName(chatId));
-      const content = fs.readFileSync(filePath, 'utf8');
-      const data = JSON.parse(content);
-      const session = new ChatSession(data);
-      session.persistent = true;
-      return session;
+      data = getChatStore().load(chatId);
     } catch (err) {
-      if (err.code === 'ENOENT') {
-        return null;
-      }
       throw new Error(`Failed to load chat ${chatId}: ${err.message}`);
     }
+    if (!data) return null;
+    const session = new ChatSession(data);
+    session.persistent = true;
+    session._blobRefs = session._mediaBlobIds().join(',');
+    return session;
   }
   
+  // Sorted by modified time, most recent first.
   static listChatSessions() {
-    const dir = getChatsDir();
-    if (!fs.existsSync(dir)) return [];
-    const files = fs.readdirSync(dir);
-    const chatSessions = [];
-    
-    for (const file of files) {
-      if (file.startsWith('chat.') && file.endsWith('.json')) {
-        // Extract chat ID from filename: chat.<id>.json
-        const match = file.match(/^chat\.(.+)\.json$/);
-        if (match) {
-          const chatId = match[1];
-          try {
-            const session = ChatSession.load(chatId);
-            if (session) {
-              const absPath = path.resolve(path.join(dir, file));
-              chatSessions.push({
-                id: session.id,
-                title: session.title,
-                model_name: session.model_name,
-                message_count: session.messages.length,
-                created: fs.statSync(absPath).birthtime,
-                modified: fs.statSync(absPath).mtime
-              });
-            }
-          } catch (err) {
-            // Skip invalid chat files
-            console.warn(`Skipping invalid chat file ${file}: ${err.message}`);
-          }
+    return getChatStore().list();
+  }
+
+  static deleteChatSession(chatId) {
+    const deleted = getChatStore().delete(chatId);
+    setBlobRefs(String(chatId), []);
+    try { removeSearchIndex(chatId); } catch {}
+    try { fs.rmSync(getToolOutputsDir({ id: chatId, persistent: true }), { recursive: true, force: true }); } catch {}
+    return deleted;
+  }
+
+  /**
+   * collectBlobGarbage()
+   *
+   * Full sweep of the blob store: rebuilds blobs/refs.json from every chat in the store and
+   * deletes blob files no chat references. Saves and deletes already release blobs as they go;
+   * this repairs refs after crashes or chats removed outside the store.
+   *
+   * Returns { removed, kept } (blob ids).
+   */
+  static collectBlobGarbage() {
+    const store = getChatStore();
+    const refs = {};
+    for (const entry of store.list()) {
+      const chat = store.load(entry.id);
+      if (!chat) continue;
+      for (const map of [chat.images, chat.audio]) {
+        for (const rec of Object.values(map || {})) {
+          if (rec && rec.blob) (refs[rec.blob] || (refs[rec.blob] = [])).push(chat.id);
         }
       }
     }
-    
-    // Sort by modified time, most recent first
-    chatSessions.sort((a, b) => b.modified - a.modified);
-    
-    return chatSessions;
+    writeBlobRefs(refs);
+
+    const removed = [];
+    const kept = [];
+    const dir = getBlobsDir();
+    for (const sub of fs.readdirSync(dir)) {
+      if (!/^[0-9a-f]{2}$/.test(sub)) continue;
+      for (const hash of fs.readdirSync(path.join(dir, sub))) {
+        if (refs[hash]) {
+          kept.push(hash);
+        } else {
+          fs.rmSync(path.join(dir, sub, hash), { force: true });
+          removed.push(hash);
+        }
+      }
+    }
+    return { removed, kept };
   }
-  
-  save() {
-    if (!this.persistent) return;
-    ensureDirExists(getChatsDir());
-    const fileName = this.getFileName();
-    const filePath = path.resolve(fileName);
-    const data = {
+
+  // Base64 data of an image/audio record, inline or from the blob store; null if it has none.
+  static mediaBase64(rec) {
+    if (!rec || typeof rec !== 'object') return null;
+    const inline = inlineMediaBase64(rec);
+    if (inline) return inline;
+    return rec.blob ? readBlob(rec.blob).toString('base64') : null;
+  }
+
+  _mediaBlobIds() {
+    const ids = new Set();
+    for (const map of [this.images, this.audio]) {
+      for (const rec of Object.values(map || {})) {
+        if (rec && rec.blob) ids.add(String(rec.blob));
+      }
+    }
+    return Array.from(ids).sort();
+  }
+
+  // Moves inline base64 media into the blob store and updates this chat's blob refs.
+  _storeMediaBlobs() {
+    for (const map of [this.images, this.audio]) {
+      for (const rec of Object.values(map || {})) {
+        if (!rec || typeof rec !== 'object') continue;
+        const inline = inlineMediaBase64(rec);
+        if (!inline) continue;
+        const buf = Buffer.from(inline, 'base64');
+        rec.blob = writeBlob(buf);
+        rec.bytes = buf.length;
+        for (const k of INLINE_MEDIA_FIELDS) delete rec[k];
+      }
+    }
+    const key = this._mediaBlobIds().join(',');
+    if (key !== (this._blobRefs || '')) {
+      setBlobRefs(this.id, key ? key.split(',') : []);
+    }
+    this._blobRefs = key;
+  }
+
+  toData() {
+    return {
       id: this.id,
       title: this.title,
       model_name: this.model_name,
@@ -274,9 +1418,26 @@ class ChatSession {
       images: this.images,
       audio: this.audio,
       data: this.data,
-      base_dir: this.base_dir
+      base_dir: this.base_dir,
+      mode: this.mode
     };
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+  }
+  
+  save() {
+    if (!this.persistent) return;
+    this._storeMediaBlobs();
+    const data = this.toData();
+    getChatStore().save(data);
+    this._updateSearchIndex(data);
+  }
+
+  _updateSearchIndex(data) {
+    try {
+      updateSearchIndex(data);
+    } catch (err) {
+      // The chat itself is saved; search just misses this update.
+      console.warn(`Search index update failed for chat ${this.id}: ${err.message}`);
+    }
   }
 
   setBaseDir(dir) {
@@ -290,9 +1451,46 @@ class ChatSession {
     return this.base_dir;
   }
 
+  setMode(mode) {
+    const v = ChatSession.normalizeMode(mode);
+    if (!v) {
+      throw new Error(`mode must be one of: ${SESSION_MODES.join(', ')}`);
+    }
+    this.mode = v;
+    this.save();
+    return this;
+  }
+
+  getMode() {
+    return this.mode || 'agent';
+  }
+
+  // Per-chat sandbox for run_terminal_cmd (see ChatModel.sandbox). null falls back to the
+  // model's setting; false turns the sandbox off for this chat.
+  setSandbox(config) {
+    if (config === null || config === undefined) {
+      delete this.data.sandbox;
+    } else if (config === true || config === false || typeof config === 'object') {
+      this.data.sandbox = config === true || config === false ? config : { ...config };
+    } else {
+      throw new Error('sandbox must be true, false, null or a config object');
+    }
+    this.save();
+    return this;
+  }
+
+  getSandbox() {
+    return this.data.sandbox === undefined ? null : this.data.sandbox;
+  }
+
   addMessage(message) {
     this.messages.push(message);
-    this.save();
+    if (this.persistent) {
+      this._storeMediaBlobs();
+      const data = this.toData();
+      getChatStore().appendMessage(data, message);
+      this._updateSearchIndex(data);
+    }
     return message;
   }
 
@@ -319,7 +1517,8 @@ class ChatSession {
    * Removes images that are not referenced by any persisted message content.
    * This is intentionally NOT called automatically by addImage()/save() because
    * some workflows (like "attach then later generate") temporarily store images
-   * before they are referenced by a message.
+   * before they are referenced by a message. On the next save() the chat releases
+   * their blobs, and blobs no other chat references are deleted.
    *
    * Returns { removedIds, keptIds }.
    */
@@ -404,72 +1603,642 @@ class ChatSession {
   getImageData(id) {
     const rec = this.getImage(id);
     if (!rec) throw new Error(`image not found: ${String(id)}`);
-    const b64 = rec.data_b64 ?? rec.data_base64 ?? rec.b64_json ?? rec.data ?? null;
-    if (!b64 || typeof b64 !== 'string') {
-      throw new Error(`image has no data_b64: ${String(id)}`);
+    const b64 = inlineMediaBase64(rec);
+    if (b64) return Buffer.from(b64, 'base64');
+    if (rec.blob) return readBlob(rec.blob);
+    throw new Error(`image has no data_b64: ${String(id)}`);
+  }
+
+  _ensureAudioMap() {
+    if (!this.audio || typeof this.audio !== 'object') this.audio = {};
+    return this.audio;
+  }
+
+  addAudio(audioRecord) {
+    if (!audioRecord || typeof audioRecord !== 'object') {
+      throw new Error('addAudio: audioRecord must be an object');
+    }
+    const audio = this._ensureAudioMap();
+    const id = audioRecord.id ? String(audioRecord.id) : crypto.randomUUID();
+    const rec = { ...audioRecord, id };
+    audio[id] = rec;
+    this.save();
+    return id;
+  }
+
+  getAudio(id) {
+    const audio = this._ensureAudioMap();
+    const key = (id === null || id === undefined) ? '' : String(id);
+    return audio[key] || null;
+  }
+
+  getAudioData(id) {
+    const rec = this.getAudio(id);
+    if (!rec) throw new Error(`audio not found: ${String(id)}`);
+    const b64 = inlineMediaBase64(rec);
+    if (b64) return Buffer.from(b64, 'base64');
+    if (rec.blob) return readBlob(rec.blob);
+    throw new Error(`audio has no data_b64: ${String(id)}`);
+  }
+
+  _stringifyStructuredMessageForAPI(msg) {
+    if (!msg || typeof msg !== 'object') return '';
+    const c = msg.content;
+    if (!c || typeof c !== 'object') return '';
+    const t = c.type ? String(c.type) : '';
+    if (t === 'image_prompt') {
+      const prompt = c.prompt ? String(c.prompt) : '';
+      const refs = Array.isArray(c.reference_images) ? c.reference_images.map(String) : [];
+      return [
+        '[image_prompt]',
+        prompt ? `prompt: ${prompt}` : null,
+        refs.length ? `reference_images: ${refs.join(', ')}` : null,
+      ].filter(Boolean).join('\n');
+    }
+    if (t === 'image') {
+      const prompt = c.prompt ? String(c.prompt) : '';
+      const provider = c.provider ? String(c.provider) : '';
+      const imgs = Array.isArray(c.images) ? c.images.map(String) : [];
+      return [
+        '[image_result]',
+        provider ? `provider: ${provider}` : null,
+        prompt ? `prompt: ${prompt}` : null,
+        imgs.length ? `images: ${imgs.join(', ')}` : null,
+      ].filter(Boolean).join('\n');
+    }
+    try { return JSON.stringify(c); } catch { return ''; }
+  }
+
+  // Rough token estimate (~4 chars per token) used for context-window budgeting.
+  // Accepts stored messages or API-format messages.
+  static estimateTokens(messages) {
+    let chars = 0;
+    for (const msg of Array.isArray(messages) ? messages : []) {
+      if (!msg || typeof msg !== 'object') continue;
+      const c = msg.content;
+      if (typeof c === 'string') chars += c.length;
+      else if (c !== null && c !== undefined) {
+        try { chars += JSON.stringify(c).length; } catch {}
+      }
+      const toolCalls = msg.tool_calls || msg.tool_call;
+      if (toolCalls) {
+        try { chars += JSON.stringify(toolCalls).length; } catch {}
+      }
+      // Per-message overhead (role, separators)
+      chars += 16;
+    }
+    return Math.ceil(chars / 4);
+  }
+
+  /**
+   * Compaction state (persisted in data.compaction):
+   *   { upto, summary, message_count, tokens_before, created_at }
+   *
+   * Messages [first non-system .. upto) are replaced by `summary` in getMessagesForAPI().
+   * this.messages is never modified, so the UI can still replay the full history.
+   * `message_count` is messages.length when the compaction was made; response_ids stored
+   * before that point are not reused for /v1/responses continuation.
+   */
+  getCompaction() {
+    const c = this.data && this.data.compaction;
+    if (!c || typeof c !== 'object' || typeof c.summary !== 'string' || !c.summary) return null;
+    const upto = Number(c.upto);
+    // Stale if history was truncated below the compacted range.
+    if (!Number.isInteger(upto) || upto <= 0 || upto > this.messages.length) return null;
+    return c;
+  }
+
+  setCompaction(compaction) {
+    if (!compaction || typeof compaction !== 'object') {
+      throw new Error('setCompaction: compaction must be an object');
+    }
+    if (!this.data || typeof this.data !== 'object') this.data = {};
+    this.data.compaction = {
+      upto: Number(compaction.upto),
+      summary: String(compaction.summary || ''),
+      message_count: Number.isInteger(compaction.message_count) ? compaction.message_count : this.messages.length,
+      tokens_before: compaction.tokens_before ?? null,
+      created_at: compaction.created_at || new Date().toISOString(),
+    };
+    this.save();
+    return this.data.compaction;
+  }
+
+  clearCompaction() {
+    if (this.data && this.data.compaction) {
+      delete this.data.compaction;
+      this.save();
+    }
+  }
+
+  // Token usage rollup, stored as data.usage = { total, by_model: { [model_name]: totals } }.
+  // Each totals object: { requests, input_tokens, cached_input_tokens, output_tokens,
+  // reasoning_tokens, total_tokens, cost } (cost in USD; null until a priced model is used).
+  static emptyUsageTotals() {
+    return { requests: 0, input_tokens: 0, cached_input_tokens: 0, output_tokens: 0, reasoning_tokens: 0, total_tokens: 0, cost: null };
+  }
+
+  getUsage() {
+    const u = this.data && this.data.usage;
+    if (!u || typeof u !== 'object' || !u.total) {
+      return { total: ChatSession.emptyUsageTotals(), by_model: {} };
+    }
+    return { total: u.total, by_model: u.by_model || {} };
+  }
+
+  addUsage(modelName, usage) {
+    if (!usage || typeof usage !== 'object') return;
+    const rollup = this.getUsage();
+    const name = String(modelName || this.model_name || 'unknown');
+    const add = (t) => {
+      t.requests += 1;
+      for (const k of ['input_tokens', 'cached_input_tokens', 'output_tokens', 'reasoning_tokens', 'total_tokens']) {
+        t[k] += Number(usage[k]) || 0;
+      }
+      if (typeof usage.cost === 'number') t.cost = Math.round(((t.cost || 0) + usage.cost) * 1e6) / 1e6;
+    };
+    add(rollup.total);
+    add(rollup.by_model[name] || (rollup.by_model[name] = ChatSession.emptyUsageTotals()));
+    this.data.usage = rollup;
+  }
+
+  // File checkpoints, stored as data.checkpoints = [{ message_index, created_at, files }].
+  // A checkpoint belongs to one user message; `files` maps absolute paths to their content
+  // before the first change made after that message (null = the file did not exist).
+  getCheckpoints() {
+    const list = this.data && Array.isArray(this.data.checkpoints) ? this.data.checkpoints : [];
+    return list.filter(c => c && typeof c === 'object' && Number.isInteger(c.message_index));
+  }
+
+  /**
+   * recordFileSnapshot(filePath, content)
+   *
+   * Called by file-changing tools before they write. Only the first snapshot of a path per
+   * user turn is kept, so restoring returns the file to its state when that turn began.
+   */
+  recordFileSnapshot(filePath, content) {
+    let userIndex = -1;
+    for (let i = this.messages.length - 1; i >= 0; i--) {
+      if (this.messages[i] && this.messages[i].role === 'user') { userIndex = i; break; }
+    }
+    if (userIndex < 0) return;
+    if (!this.data || typeof this.data !== 'object') this.data = {};
+    const list = this.data.checkpoints = this.getCheckpoints();
+    let cp = list.find(c => c.message_index === userIndex);
+    if (!cp) {
+      cp = { message_index: userIndex, created_at: new Date().toISOString(), files: {} };
+      list.push(cp);
+    }
+    if (!cp.files || typeof cp.files !== 'object') cp.files = {};
+    const key = path.resolve(String(filePath));
+    if (!(key in cp.files)) {
+      cp.files[key] = (content === null || content === undefined) ? null : String(content);
+    }
+  }
+
+  /**
+   * restoreCheckpoint(messageIndex, { truncate=false })
+   *
+   * Reverts every file changed at or after the user message at `messageIndex`: edited files get
+   * their earlier content back, files created since are deleted and deleted files are recreated.
+   * With `truncate`, that message and everything after it are removed from the conversation.
+   *
+   * Returns { restored, deleted, errors, truncated, message_count }.
+   */
+  restoreCheckpoint(messageIndex, options = {}) {
+    const idx = Number(messageIndex);
+    if (!Number.isInteger(idx) || idx < 0 || idx >= this.messages.length) {
+      throw new Error(`restoreCheckpoint: message index out of range: ${messageIndex}`);
+    }
+    if (!this.messages[idx] || this.messages[idx].role !== 'user') {
+      throw new Error('restoreCheckpoint: message index must refer to a user message');
+    }
+    const truncate = !!(options && options.truncate);
+    const later = this.getCheckpoints()
+      .filter(c => c.message_index >= idx)
+      .sort((a, b) => a.message_index - b.message_index);
+    // Earliest snapshot wins: it is the file as it was before any of the reverted turns.
+    const targets = new Map();
+    for (const cp of later) {
+      for (const [filePath, content] of Object.entries(cp.files || {})) {
+        if (!targets.has(filePath)) targets.set(filePath, content);
+      }
+    }
+
+    const restored = [];
+    const deleted = [];
+    const errors = [];
+    for (const [filePath, content] of targets) {
+      try {
+        if (content === null) {
+          if (fs.existsSync(filePath)) {
+            fs.rmSync(filePath, { force: true });
+            deleted.push(filePath);
+          }
+        } else {
+          ensureDirExists(path.dirname(filePath));
+          fs.writeFileSync(filePath, content, 'utf8');
+          restored.push(filePath);
+        }
+      } catch (err) {
+        errors.push({ path: filePath, error: err.message });
+      }
+    }
+
+    if (truncate) {
+      this.messages = this.messages.slice(0, idx);
+      this.data.checkpoints = this.getCheckpoints().filter(c => c.message_index < idx);
+      // A summary that covers deleted turns would come back once the chat grows past its
+      // upto again, hiding the new messages; drop it as fork() does.
+      const compaction = this.data.compaction;
+      if (compaction && !(Number(compaction.upto) <= idx)) delete this.data.compaction;
+    }
+    this.save();
+    return { restored, deleted, errors, truncated: truncate, message_count: this.messages.length };
+  }
+
+  /**
+   * fork(atMessageIndex = messages.length, { model_name?, title? })
+   *
+   * Creates a new chat with copies of messages [0, atMessageIndex), base_dir, mode, memories
+   * and todos. Forking at a user message's index drops that message, so an edited version can
+   * be sent to the fork. Lineage: the child gets data.forked_from = { chat_id, message_index,
+   * created_at } and this chat lists it in data.forks. The fork is persistent if this chat is.
+   */
+  fork(atMessageIndex = this.messages.length, options = {}) {
+    const idx = (atMessageIndex === null || atMessageIndex === undefined) ? this.messages.length : Number(atMessageIndex);
+    if (!Number.isInteger(idx) || idx < 0 || idx > this.messages.length) {
+      throw new Error(`fork: message index out of range: ${atMessageIndex}`);
+    }
+    const clone = (v) => (v === undefined ? undefined : JSON.parse(JSON.stringify(v)));
+    const created_at = new Date().toISOString();
+    const data = {
+      forked_from: { chat_id: this.id, message_index: idx, created_at },
+    };
+    for (const key of ['memories', 'todos', 'reasoning_effort']) {
+      if (this.data && this.data[key] !== undefined) data[key] = clone(this.data[key]);
+    }
+    const compaction = this.getCompaction();
+    if (compaction && Number(compaction.upto) <= idx) data.compaction = clone(compaction);
+
+    const child = new ChatSession({
+      title: options.title || (this.title ? `${this.title} (fork)` : null),
+      model_name: options.model_name || this.model_name,
+      messages: clone(this.messages.slice(0, idx)),
+      images: clone(this.images),
+      audio: clone(this.audio),
+      data,
+      base_dir: this.base_dir,
+      mode: this.mode,
+    });
+
+    if (!this.data || typeof this.data !== 'object') this.data = {};
+    if (!Array.isArray(this.data.forks)) this.data.forks = [];
+    this.data.forks.push({ chat_id: child.id, message_index: idx, created_at });
+    if (this.persistent) child.enablePersistence();
+    this.save();
+    return child;
+  }
+
+  _messageToolCalls(msg) {
+    const calls = msg.tool_calls || msg.tool_call || (msg.content && typeof msg.content === 'object' ? msg.content.tool_call : null);
+    return (Array.isArray(calls) ? calls : (calls ? [calls] : [])).filter(c => c && c.function);
+  }
+
+  // One entry per message for the Markdown/HTML exporters: text, reasoning, media, and tool calls
+  // with their result (from the matching tool message) and diff (from data.diffs).
+  // options.images === false leaves media data out; options.max_tool_output caps result length.
+  _exportEntries(options = {}) {
+    const maxOutput = options.max_tool_output === undefined ? 4000 : Number(options.max_tool_output) || 0;
+    const diffs = (this.data && this.data.diffs) || {};
+    const results = new Map();
+    for (const msg of this.messages) {
+      if (msg && msg.role === 'tool' && msg.tool_call_id) results.set(String(msg.tool_call_id), msg);
+    }
+    const clip = (s) => (maxOutput && s.length > maxOutput ? `${s.slice(0, maxOutput)}\n… [${s.length - maxOutput} more characters]` : s);
+    const media = (id) => {
+      const rec = this.getImage(id);
+      let data_b64 = null;
+      if (rec && options.images !== false) {
+        try { data_b64 = ChatSession.mediaBase64(rec); } catch {}
+      }
+      // MIME types come from clients (UI uploads): anything that is not a plain type/subtype
+      // becomes a placeholder, so it cannot break out of a data: URL.
+      const mime = (rec && rec.mime_type) || 'image/png';
+      return {
+        id: String(id),
+        mime_type: EXPORT_MIME_RE.test(mime) ? mime : 'application/octet-stream',
+        data_b64: data_b64 && /^[A-Za-z0-9+/=\s]*$/.test(data_b64) ? data_b64 : null,
+      };
+    };
+
+    const entries = [];
+    const answered = new Set();
+    this.messages.forEach((msg, index) => {
+      if (!msg || typeof msg !== 'object' || !msg.role) return;
+      const text = (msg.content === null || msg.content === undefined) ? '' : msg.content;
+      if (msg.role === 'tool') {
+        // Results are shown with their call; only orphans get an entry of their own.
+        if (!answered.has(String(msg.tool_call_id))) {
+          entries.push({ index, role: 'tool', text: clip(typeof text === 'string' ? text : JSON.stringify(text)), reasoning: null, media: [], tool_calls: [] });
+        }
+        return;
+      }
+      const entry = { index, role: msg.role, text: '', reasoning: msg.reasoning ? String(msg.reasoning) : null, media: [], tool_calls: [] };
+      if (typeof text === 'string') {
+        entry.text = text;
+      } else if (['image_prompt', 'image', 'video_prompt', 'video'].includes(String(text.type || ''))) {
+        entry.text = String((msg.role === 'user' ? text.prompt : text.text) || '');
+        const ids = msg.role === 'user' ? [text.reference_images] : [text.images, text.video ? [text.video] : null];
+        for (const list of ids) {
+          for (const id of Array.isArray(list) ? list : []) entry.media.push(media(id));
+        }
+      } else {
+        entry.text = this._stringifyStructuredMessageForAPI(msg);
+      }
+      for (const call of this._messageToolCalls(msg)) {
+        const id = String(call.id || '');
+        const result = results.get(id);
+        const diff = diffs[id] || null;
+        answered.add(id);
+        entry.tool_calls.push({
+          id,
+          name: String(call.function.name || ''),
+          arguments: prettyToolArguments(call.function.arguments),
+          result: result ? clip(typeof result.content === 'string' ? result.content : JSON.stringify(result.content)) : null,
+          diff: diff ? (diff.diff || diff.patchCommand || null) : null,
+        });
+      }
+      entries.push(entry);
+    });
+    return entries;
+  }
+
+  _exportHeading() {
+    return {
+      title: this.title || `Chat ${this.id}`,
+      meta: [
+        ['Chat', this.id],
+        ['Model', this.model_name],
+        ['Base dir', this.base_dir],
+        ['Exported', new Date().toISOString()],
+      ].filter(([, v]) => v),
+    };
+  }
+
+  /**
+   * exportMarkdown({ images?, system?, max_tool_output? })
+   *
+   * Renders the chat as Markdown: one section per message with reasoning in <details>, tool
+   * calls with their arguments, diffs and results, and images inlined as data: URLs
+   * (images: false prints placeholders). system: false leaves out the system prompt.
+   */
+  exportMarkdown(options = {}) {
+    const { title, meta } = this._exportHeading();
+    const lines = [`# ${title}`, '', ...meta.map(([k, v]) => `- ${k}: \`${v}\``), ''];
+    for (const e of this._exportEntries(options)) {
+      if (e.role === 'system' && options.system === false) continue;
+      lines.push('---', '', `### ${e.role.charAt(0).toUpperCase()}${e.role.slice(1)} · #${e.index}`, '');
+      if (e.reasoning) lines.push('<details><summary>Reasoning</summary>', '', e.reasoning, '', '</details>', '');
+      if (e.text) lines.push(e.role === 'system' || e.role === 'tool' ? markdownFence(e.text) : e.text, '');
+      for (const m of e.media) {
+        const isImage = m.mime_type.startsWith('image/');
+        const kind = isImage ? 'image' : (m.mime_type.startsWith('video/') ? 'video' : 'media');
+        lines.push(m.data_b64 && isImage ? `![${m.id}](data:${m.mime_type};base64,${m.data_b64})` : `_[${kind}: ${m.id}]_`, '');
+      }
+      for (const call of e.tool_calls) {
+        lines.push(`**Tool call:** \`${call.name}\``, '', markdownFence(call.arguments, 'json'), '');
+        if (call.diff) lines.push(markdownFence(call.diff, 'diff'), '');
+        if (call.result !== null) lines.push('Result:', '', markdownFence(call.result), '');
+      }
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * exportHtml({ images?, system?, max_tool_output? })
+   *
+   * Same content as exportMarkdown() as a single self-contained HTML page (inline CSS, media as
+   * data: URLs). Message text is rendered with markdown-it with raw HTML disabled.
+   */
+  exportHtml(options = {}) {
+    let md = null;
+    try {
+      const MarkdownIt = require('markdown-it');
+      md = new MarkdownIt({ html: false, linkify: true });
+    } catch {}
+    const prose = (s) => (md ? md.render(s) : `<p>${escapeHtml(s).replace(/\n/g, '<br>')}</p>`);
+    const pre = (s) => `<pre><code>${escapeHtml(s)}</code></pre>`;
+    const diffPre = (s) => `<pre class="diff"><code>${String(s).split('\n').map((line) => {
+      const cls = line.startsWith('+') ? 'add' : (line.startsWith('-') ? 'del' : (line.startsWith('@@') ? 'hunk' : ''));
+      return cls ? `<span class="${cls}">${escapeHtml(line)}</span>` : escapeHtml(line);
+    }).join('\n')}</code></pre>`;
+
+    const { title, meta } = this._exportHeading();
+    const body = [`<h1>${escapeHtml(title)}</h1>`, `<ul class="meta">${meta.map(([k, v]) => `<li>${escapeHtml(k)}: <code>${escapeHtml(v)}</code></li>`).join('')}</ul>`];
+    for (const e of this._exportEntries(options)) {
+      if (e.role === 'system' && options.system === false) continue;
+      const parts = [`<section class="msg ${e.role}" id="msg-${e.index}"><h3>${escapeHtml(e.role)} <a href="#msg-${e.index}">#${e.index}</a></h3>`];
+      if (e.reasoning) parts.push(`<details class="reasoning"><summary>Reasoning</summary>${prose(e.reasoning)}</details>`);
+      if (e.text) {
+        if (e.role === 'system') parts.push(`<details><summary>System prompt</summary>${pre(e.text)}</details>`);
+        else parts.push(e.role === 'tool' ? pre(e.text) : prose(e.text));
+      }
+      for (const m of e.media) {
+        const src = m.data_b64 ? escapeHtml(`data:${m.mime_type};base64,${m.data_b64}`) : null;
+        if (!src) parts.push(`<p class="media-missing">[${escapeHtml(m.mime_type)}: ${escapeHtml(m.id)}]</p>`);
+        else if (m.mime_type.startsWith('video/')) parts.push(`<video controls src="${src}"></video>`);
+        else parts.push(`<img alt="${escapeHtml(m.id)}" src="${src}">`);
+      }
+      for (const call of e.tool_calls) {
+        parts.push(`<details class="tool"${call.diff ? ' open' : ''}><summary>Tool call: <code>${escapeHtml(call.name)}</code></summary>${pre(call.arguments)}`
+          + `${call.diff ? diffPre(call.diff) : ''}${call.result !== null ? `<div class="label">Result</div>${pre(call.result)}` : ''}</details>`);
+      }
+      parts.push('</section>');
+      body.push(parts.join('\n'));
+    }
+    const css = [
+      'body{font:15px/1.5 system-ui,sans-serif;max-width:900px;margin:2em auto;padding:0 1em;color:#222}',
+      '.meta{color:#666;font-size:13px}',
+      '.msg{border-top:1px solid #ddd;padding:.5em 0}',
+      '.msg h3{margin:.3em 0;font-size:13px;text-transform:uppercase;color:#888}',
+      '.msg h3 a{color:#bbb;text-decoration:none}',
+      '.msg.user{background:#f6f8fa;padding:.5em 1em}',
+      'pre{background:#f3f3f3;padding:.6em;overflow:auto;font-size:13px}',
+      'details{margin:.4em 0}summary{cursor:pointer;color:#555}',
+      '.reasoning{color:#666;font-style:italic}',
+      '.diff .add{color:#116329;background:#e6ffec}.diff .del{color:#82071e;background:#ffebe9}.diff .hunk{color:#0550ae}',
+      '.label{font-size:12px;color:#888}',
+      'img,video{max-width:100%;display:block;margin:.4em 0}',
+    ].join('\n');
+    return `<!DOCTYPE html>\n<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>\n<style>\n${css}\n</style></head>\n<body>\n${body.join('\n')}\n</body></html>\n`;
+  }
+
+  /**
+   * exportJsonl({ tools?, images? })
+   *
+   * One line in the OpenAI fine-tuning chat format: { messages, tools? }. Structured messages
+   * are flattened like getMessagesForAPI() does; reference images of user messages become
+   * image_url parts (images: false drops them). `tools` defaults to the definitions of the
+   * tools this chat called.
+   */
+  exportJsonl(options = {}) {
+    const messages = [];
+    const used = new Set();
+    for (const msg of this.messages) {
+      if (!msg || typeof msg !== 'object') continue;
+      const c = msg.content;
+      if (msg.role === 'tool') {
+        messages.push({ role: 'tool', tool_call_id: String(msg.tool_call_id || ''), content: typeof c === 'string' ? c : JSON.stringify(c ?? '') });
+        continue;
+      }
+      if (!['system', 'user', 'assistant'].includes(msg.role)) continue;
+      const out = { role: msg.role };
+      let text = typeof c === 'string' ? c : (c && typeof c === 'object' ? this._stringifyStructuredMessageForAPI(msg) : '');
+      const refs = (msg.role === 'user' && c && typeof c === 'object' && Array.isArray(c.reference_images)) ? c.reference_images : [];
+      const imageParts = [];
+      if (options.images !== false) {
+        for (const id of refs) {
+          const rec = this.getImage(id);
+          let b64 = null;
+          try { b64 = ChatSession.mediaBase64(rec); } catch {}
+          if (b64) imageParts.push({ type: 'image_url', image_url: { url: `data:${rec.mime_type || 'image/png'};base64,${b64}` } });
+        }
+      }
+      if (imageParts.length) {
+        text = String(c.prompt || '');
+        out.content = [...(text ? [{ type: 'text', text }] : []), ...imageParts];
+      } else {
+        out.content = text;
+      }
+      const calls = this._messageToolCalls(msg).map((call) => {
+        used.add(String(call.function.name));
+        const args = call.function.arguments;
+        return {
+          id: String(call.id || ''),
+          type: 'function',
+          function: { name: String(call.function.name), arguments: typeof args === 'string' ? args : JSON.stringify(args ?? {}) },
+        };
+      });
+      if (calls.length) {
+        if (!text) delete out.content;
+        out.tool_calls = calls;
+      } else if (msg.role === 'assistant' && !text) {
+        continue;
+      }
+      messages.push(out);
+    }
+
+    const example = { messages };
+    let tools = Array.isArray(options.tools) ? options.tools : null;
+    if (!tools && used.size) {
+      try {
+        const { getToolDefinitions } = require(path.join(__dirname, 'viib-etch-tools'));
+        tools = getToolDefinitions(path.join(__dirname, 'viib-etch-tools.json'), Array.from(used))
+          .filter(d => d && d.type === 'function' && d.function && used.has(d.function.name));
+      } catch {
+        tools = null;
+      }
     }
-    return Buffer.from(b64, 'base64');
+    if (tools && tools.length) example.tools = tools;
+    return JSON.stringify(example) + '\n';
   }
 
-  _ensureAudioMap() {
-    if (!this.audio || typeof this.audio !== 'object') this.audio = {};
-    return this.audio;
+  // exportChat(format, options) -> { content, mime_type, extension, file_name }
+  // format: 'markdown' (or 'md') | 'html' | 'jsonl'.
+  exportChat(format, options = {}) {
+    const f = String(format || '').trim().toLowerCase();
+    const key = f === 'md' ? 'markdown' : f;
+    if (!EXPORT_FORMATS[key]) throw new Error(`exportChat: unknown format: ${format}`);
+    const content = key === 'markdown' ? this.exportMarkdown(options)
+      : (key === 'html' ? this.exportHtml(options) : this.exportJsonl(options));
+    const { mime_type, extension } = EXPORT_FORMATS[key];
+    return { content, mime_type, extension, file_name: `chat.${this.id}.${extension}` };
   }
 
-  addAudio(audioRecord) {
-    if (!audioRecord || typeof audioRecord !== 'object') {
-      throw new Error('addAudio: audioRecord must be an object');
+  /**
+   * ChatSession.importChat(text, { line?, title?, model_name?, base_dir?, persistent? })
+   *
+   * Rebuilds a chat from OpenAI fine-tuning JSONL (e.g. exportJsonl() output). Example `line`
+   * (default 0) becomes the message list; data: image_url parts of user messages are added to
+   * the image store as reference images. The chat gets a new id and data.imported_from.
+   */
+  static importChat(text, options = {}) {
+    const lines = String(text ?? '').split('\n').map(l => l.trim()).filter(Boolean);
+    if (!lines.length) throw new Error('importChat: no examples found');
+    const n = options.line === undefined ? 0 : Number(options.line);
+    if (!Number.isInteger(n) || n < 0 || n >= lines.length) {
+      throw new Error(`importChat: line out of range: ${options.line}`);
+    }
+    let example;
+    try {
+      example = JSON.parse(lines[n]);
+    } catch (err) {
+      throw new Error(`importChat: invalid JSON on line ${n + 1}: ${err.message}`);
+    }
+    if (!example || !Array.isArray(example.messages)) {
+      throw new Error(`importChat: line ${n + 1} has no messages array`);
     }
-    const audio = this._ensureAudioMap();
-    const id = audioRecord.id ? String(audioRecord.id) : crypto.randomUUID();
-    const rec = { ...audioRecord, id };
-    audio[id] = rec;
-    this.save();
-    return id;
-  }
-
-  getAudio(id) {
-    const audio = this._ensureAudioMap();
-    const key = (id === null || id === undefined) ? '' : String(id);
-    return audio[key] || null;
-  }
 
-  getAudioData(id) {
-    const rec = this.getAudio(id);
-    if (!rec) throw new Error(`audio not found: ${String(id)}`);
-    const b64 = rec.data_b64 ?? rec.data_base64 ?? rec.b64_json ?? rec.data ?? null;
-    if (!b64 || typeof b64 !== 'string') {
-      throw new Error(`audio has no data_b64: ${String(id)}`);
+    const chat = new ChatSession({
+      title: options.title || null,
+      model_name: options.model_name || null,
+      base_dir: options.base_dir,
+      data: { imported_from: { format: 'jsonl', line: n, imported_at: new Date().toISOString() } },
+    });
+    const toolNames = new Map(); // tool_call_id -> function name
+    for (const m of example.messages) {
+      const role = m && m.role;
+      if (!['system', 'user', 'assistant', 'tool'].includes(role)) {
+        throw new Error(`importChat: unsupported message role: ${role}`);
+      }
+      const texts = [];
+      const imageIds = [];
+      for (const part of Array.isArray(m.content) ? m.content : [m.content]) {
+        if (typeof part === 'string') texts.push(part);
+        else if (part && part.type === 'text') texts.push(String(part.text || ''));
+        else if (part && part.type === 'image_url') {
+          const match = /^data:([^;,]+);base64,(.*)$/s.exec(String((part.image_url && part.image_url.url) || ''));
+          if (!match) continue;
+          const id = crypto.randomUUID();
+          chat.images[id] = { id, kind: 'reference', mime_type: match[1], data_b64: match[2], created_at: new Date().toISOString() };
+          imageIds.push(id);
+        }
+      }
+      const content = texts.join('\n');
+      if (role === 'tool') {
+        const id = String(m.tool_call_id || '');
+        chat.messages.push({ role, tool_call_id: id, name: m.name || toolNames.get(id) || null, content });
+      } else if (role === 'user' && imageIds.length) {
+        chat.messages.push({ role, content: { type: 'image_prompt', prompt: content, reference_images: imageIds } });
+      } else {
+        const msg = { role, content };
+        if (role === 'assistant' && Array.isArray(m.tool_calls) && m.tool_calls.length) {
+          msg.tool_calls = m.tool_calls;
+          for (const call of m.tool_calls) {
+            if (call && call.function) toolNames.set(String(call.id || ''), String(call.function.name || ''));
+          }
+        }
+        chat.messages.push(msg);
+      }
     }
-    return Buffer.from(b64, 'base64');
+    if (options.persistent) chat.enablePersistence();
+    return chat;
   }
 
-  _stringifyStructuredMessageForAPI(msg) {
-    if (!msg || typeof msg !== 'object') return '';
-    const c = msg.content;
-    if (!c || typeof c !== 'object') return '';
-    const t = c.type ? String(c.type) : '';
-    if (t === 'image_prompt') {
-      const prompt = c.prompt ? String(c.prompt) : '';
-      const refs = Array.isArray(c.reference_images) ? c.reference_images.map(String) : [];
-      return [
-        '[image_prompt]',
-        prompt ? `prompt: ${prompt}` : null,
-        refs.length ? `reference_images: ${refs.join(', ')}` : null,
-      ].filter(Boolean).join('\n');
-    }
-    if (t === 'image') {
-      const prompt = c.prompt ? String(c.prompt) : '';
-      const provider = c.provider ? String(c.provider) : '';
-      const imgs = Array.isArray(c.images) ? c.images.map(String) : [];
-      return [
-        '[image_result]',
-        provider ? `provider: ${provider}` : null,
-        prompt ? `prompt: ${prompt}` : null,
-        imgs.length ? `images: ${imgs.join(', ')}` : null,
-      ].filter(Boolean).join('\n');
-    }
-    try { return JSON.stringify(c); } catch { return ''; }
+  // Messages as the model should see them: leading system prompt with the compaction summary
+  // note (if any) appended, then the uncompacted tail. The note is system context rather than a
+  // user turn, and rides on the one leading system message that every provider path reads.
+  _getContextMessages() {
+    const compaction = this.getCompaction();
+    if (!compaction) return this.messages;
+    const head = (this.messages[0] && this.messages[0].role === 'system') ? this.messages[0] : null;
+    const start = Math.max(Number(compaction.upto), head ? 1 : 0);
+    const note = `[Summary of earlier conversation; ${start - (head ? 1 : 0)} older messages were compacted]\n\n${compaction.summary}`;
+    const system = head
+      ? { ...head, content: `${head.content === null || head.content === undefined ? '' : String(head.content)}\n\n${note}` }
+      : { role: 'system', content: note };
+    return [system, ...this.messages.slice(start)];
   }
 
   getMessagesForAPI() {
@@ -492,7 +2261,7 @@ class ChatSession {
     }
     
     // Convert chat messages to OpenAI API format
-    return this.messages.map(msg => {
+    return this._getContextMessages().map(msg => {
       const apiMsg = { role: msg.role };
       
       if ((msg.role === 'assistant' || msg.role === 'user') && typeof msg.content === 'object' && msg.content !== null) {
@@ -540,6 +2309,8 @@ class ChatLLM {
     // In-memory (non-persistent) default; if set, it will be used unless overridden per-call.
     // NOTE: This is NOT saved into ChatSession JSON.
     this.reasoning_effort = undefined;
+    // Max parallel-safe (read-only) tool calls run at once; 1 runs every call sequentially.
+    this.tool_concurrency = 4;
     this.hooks = {
       onRequestStart: hooks.onRequestStart || null,
       onRequestDone: hooks.onRequestDone || null,
@@ -552,7 +2323,13 @@ class ChatLLM {
       onToolCallStart: hooks.onToolCallStart || null,
       onToolCallData: hooks.onToolCallData || null,
       onToolCallEnd: hooks.onToolCallEnd || null,
-      onTitle: hooks.onTitle || null
+      onTitle: hooks.onTitle || null,
+      onCompaction: hooks.onCompaction || null,
+      onRetry: hooks.onRetry || null,
+      onUsage: hooks.onUsage || null,
+      // Approval gate for write-capable tools (see _requestToolApproval). Unlike the other hooks,
+      // its return value matters: 'approve' | 'reject' | { decision:'modify', args }.
+      onToolApprovalRequest: hooks.onToolApprovalRequest || null
     };
     this._abortController = null;
     this._activeProcesses = new Map();
@@ -575,6 +2352,16 @@ class ChatLLM {
     return this.chat ? this.chat.base_dir : null;
   }
 
+  // Session mode is stored on ChatSession (persistent): 'agent' | 'ask' | 'plan'.
+  setMode(mode) {
+    this.chat.setMode(mode);
+    return this;
+  }
+
+  getMode() {
+    return (this.chat && typeof this.chat.getMode === 'function') ? this.chat.getMode() : 'agent';
+  }
+
   // Set a default reasoning effort for this ChatLLM instance (non-persistent).
   // Pass null/undefined/'default'/'' to clear (i.e., use model/provider default).
   setReasoningEffort(effort) {
@@ -643,21 +2430,44 @@ class ChatLLM {
   getClient() {
     const model = this._ensureModelResolved();
     if (!this._client) {
+      const { mode, dir } = getCassetteMode();
+      const cassette = mode ? cassetteFetch(this.chat.id, mode, dir) : null;
       if (model._isGeminiModel()) {
+        // base_url is only honored when it is not an OpenAI-style ".../v1" endpoint (the
+        // default, or OpenRouter for "google/..." models), e.g. a local mock provider.
+        const geminiBaseUrl = model.base_url && !/\/v1\/?$/.test(String(model.base_url)) ? String(model.base_url) : null;
         this._client = new GoogleGenAI({
-          apiKey: model.api_key
+          apiKey: model.api_key,
+          ...(geminiBaseUrl ? { httpOptions: { baseUrl: geminiBaseUrl } } : {})
         });
+        // The Gemini SDK has no fetch option (httpOptions only takes baseUrl, headers, timeout, ...),
+        // so cassettes hook apiClient.apiCall(), which every request goes through. That is SDK
+        // internals: package.json pins @google/genai, and a version without the hook is an error
+        // here rather than requests that silently bypass the cassette.
+        if (cassette) {
+          const apiClient = this._client.apiClient;
+          if (!apiClient || typeof apiClient.apiCall !== 'function') {
+            throw new Error('cassettes: this @google/genai version has no apiClient.apiCall() to record or replay through; '
+              + 'install the version pinned in package.json');
+          }
+          apiClient.apiCall = (url, init) => cassette(url, init);
+        }
       } else if (typeof model._isAnthropicModel === 'function' && model._isAnthropicModel()) {
         this._client = new Anthropic({
           apiKey: model.api_key,
           // Anthropic SDK uses baseURL without the /v1 suffix.
           // Many configs set baseUrl="https://api.anthropic.com/v1"; normalize it.
-          ...(model.base_url ? { baseURL: String(model.base_url).replace(/\/+v1\/?$/, '') } : {})
+          ...(model.base_url ? { baseURL: String(model.base_url).replace(/\/+v1\/?$/, '') } : {}),
+          // Retries are handled by _withRetry (per-model policy, onRetry hook).
+          maxRetries: 0,
+          ...(cassette ? { fetch: cassette } : {})
         });
       } else {
         this._client = new OpenAI({
           apiKey: model.api_key,
-          baseURL: model.base_url
+          baseURL: model.base_url,
+          maxRetries: 0,
+          ...(cassette ? { fetch: cassette } : {})
         });
       }
     }
@@ -670,8 +2480,12 @@ class ChatLLM {
   
   // Get the last assistant message's response_id and index (for /v1/responses API continuation)
   _getLastResponseId() {
-    // Find the last assistant message with response_id and return both the id and its index
-    for (let i = this.chat.messages.length - 1; i >= 0; i--) {
+    // Find the last assistant message with response_id and return both the id and its index.
+    // Server-side state from before a compaction still holds the full history, so those
+    // response_ids are skipped and the compacted view is sent instead.
+    const compaction = typeof this.chat.getCompaction === 'function' ? this.chat.getCompaction() : null;
+    const minIndex = compaction && Number.isInteger(compaction.message_count) ? compaction.message_count : 0;
+    for (let i = this.chat.messages.length - 1; i >= minIndex; i--) {
       const msg = this.chat.messages[i];
       if (msg.role === 'assistant' && msg.response_id) {
         return { response_id: msg.response_id, index: i };
@@ -752,10 +2566,9 @@ class ChatLLM {
     const lastResponseInfo = this._getLastResponseId();
     if (!lastResponseInfo) {
       // No previous response_id -> full-history send.
-      // Apply system prompt file rules here via ChatSession (insert/replace first system message).
-      this.chat.getMessagesForAPI();
-      // No previous response_id - send all messages
-      return { input: toResponsesInput(this.chat.messages), response_id: null };
+      // Apply system prompt file rules here via ChatSession (insert/replace first system message)
+      // and send the (possibly compacted) context view.
+      return { input: toResponsesInput(this.chat.getMessagesForAPI()), response_id: null };
     }
     
     // Get only messages after the last assistant message with response_id
@@ -991,6 +2804,220 @@ class ChatLLM {
   _isCancelled() {
     return this._abortController && this._abortController.signal.aborted;
   }
+
+  // ------------------------
+  // Retries / failover
+  // ------------------------
+
+  // HTTP status of a provider error (OpenAI/Anthropic APIError, Gemini ApiError), or null.
+  static _errorStatus(error) {
+    if (!error || typeof error !== 'object') return null;
+    const status = Number(error.status ?? error.statusCode ?? (error.response && error.response.status));
+    if (Number.isInteger(status) && status > 0) return status;
+    // Anthropic reports overload as an error event without an HTTP status on streams.
+    const type = error.error && error.error.type ? error.error.type : (error.error && error.error.error && error.error.error.type);
+    if (type === 'overloaded_error') return 529;
+    return null;
+  }
+
+  static _isRetryableError(error, policy) {
+    if (!error || /Operation cancelled/.test(String(error.message || ''))) return false;
+    if (error.name === 'AbortError' || error.name === 'APIUserAbortError') return false;
+    const status = ChatLLM._errorStatus(error);
+    if (status !== null) return policy.retryable_status_codes.includes(status);
+    // Transport failures (connection reset, timeout, DNS hiccup) carry no status.
+    if (error.name === 'APIConnectionError' || error.name === 'APIConnectionTimeoutError') return true;
+    const code = error.code || (error.cause && error.cause.code);
+    return ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET'].includes(code);
+  }
+
+  // Retry-After from the error's response headers, in ms (null if absent/unparseable).
+  static _retryAfterMs(error) {
+    const headers = error && (error.headers || (error.response && error.response.headers));
+    if (!headers) return null;
+    const get = (name) => (typeof headers.get === 'function' ? headers.get(name) : (headers[name] ?? headers[name.toLowerCase()]));
+    const ms = Number(get('retry-after-ms'));
+    if (Number.isFinite(ms) && ms >= 0) return ms;
+    const raw = get('retry-after');
+    if (raw === null || raw === undefined || raw === '') return null;
+    const secs = Number(raw);
+    if (Number.isFinite(secs) && secs >= 0) return secs * 1000;
+    const date = Date.parse(String(raw));
+    return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+  }
+
+  // Run one provider call under the model's retry policy. Retryable errors (status codes from
+  // the policy, transport failures) are retried with exponential backoff, or after Retry-After
+  // when the provider sends one (capped at max_delay_ms). onRetry fires before each wait.
+  // When attempts run out the last error is rethrown with `retriesExhausted = true`.
+  async _withRetry(fn, requestOptions = undefined, label = 'request') {
+    const model = this._ensureModelResolved();
+    const policy = model.retry || ChatModel.normalizeRetryPolicy(null);
+    const signal = requestOptions && requestOptions.signal ? requestOptions.signal : null;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (this._isCancelled() || !ChatLLM._isRetryableError(error, policy)) throw error;
+        if (attempt >= policy.max_attempts) {
+          error.retriesExhausted = true;
+          throw error;
+        }
+        const backoff = policy.initial_delay_ms * Math.pow(policy.backoff_multiplier, attempt - 1);
+        const retryAfter = ChatLLM._retryAfterMs(error);
+        const delayMs = Math.round(Math.min(policy.max_delay_ms, retryAfter !== null ? retryAfter : backoff));
+        await this.callHook('onRetry', {
+          model: model.name,
+          label,
+          attempt,
+          max_attempts: policy.max_attempts,
+          delay_ms: delayMs,
+          status: ChatLLM._errorStatus(error),
+          error: error.message,
+        });
+        await sleepWithSignal(delayMs, signal);
+      }
+    }
+  }
+
+  // Streaming variant: the stream is primed so errors before the first chunk are retried too.
+  // Errors after output has started propagate (re-sending would duplicate streamed text).
+  _openStreamWithRetry(fn, requestOptions = undefined, label = 'stream') {
+    return this._withRetry(async () => primeAsyncIterable(await fn()), requestOptions, label);
+  }
+
+  // ------------------------
+  // Context-window compaction
+  // ------------------------
+
+  // Render stored messages as a plain-text transcript for the summarizer.
+  // Individual entries are clipped so the summary request itself stays small.
+  _formatMessagesForCompaction(messages, maxEntryChars = 2000) {
+    const clip = (s) => {
+      const str = (s === null || s === undefined) ? '' : (typeof s === 'string' ? s : JSON.stringify(s));
+      return str.length > maxEntryChars
+        ? `${str.slice(0, maxEntryChars)}… [${str.length - maxEntryChars} more chars]`
+        : str;
+    };
+    const lines = [];
+    for (const msg of Array.isArray(messages) ? messages : []) {
+      if (!msg || typeof msg !== 'object' || msg.role === 'system') continue;
+      if (msg.role === 'tool') {
+        lines.push(`[tool result${msg.name ? ` ${msg.name}` : ''}]\n${clip(msg.content)}`);
+        continue;
+      }
+      const content = (msg.content && typeof msg.content === 'object')
+        ? this.chat._stringifyStructuredMessageForAPI(msg)
+        : msg.content;
+      if (content) lines.push(`[${msg.role}]\n${clip(content)}`);
+      const toolCalls = msg.tool_calls || (msg.tool_call ? [].concat(msg.tool_call) : null);
+      if (Array.isArray(toolCalls)) {
+        for (const tc of toolCalls) {
+          const name = tc?.function?.name || '(tool)';
+          lines.push(`[tool call ${name}] ${clip(tc?.function?.arguments || '')}`);
+        }
+      }
+    }
+    return lines.join('\n\n');
+  }
+
+  // Ask the chat's own model (no tools, no system prompt file) to summarize older turns.
+  async _summarizeForCompaction(messages, previousSummary = null) {
+    const model = this._ensureModelResolved();
+    const summarizerModel = Object.assign(Object.create(Object.getPrototypeOf(model)), model, {
+      system_prompt: null,
+      system_prompt_file: null,
+      // Never compact the summarizer's own request.
+      context_window: null,
+    });
+    const session = new ChatSession({ model_name: model.name, title: 'compaction' });
+    const summarizer = new ChatLLM(model.name, session, null, {
+      // Summarization is spend on this chat too.
+      onUsage: async (usage) => {
+        this.chat.addUsage(usage.model || model.name, usage);
+        await this.callHook('onUsage', usage, this.chat.getUsage().total);
+      },
+    });
+    summarizer._model = summarizerModel;
+    summarizer._client = this.getClient();
+    session._model = summarizerModel;
+    session.messages.push({
+      role: 'system',
+      content: [
+        'You compact the history of a coding-assistant conversation so it can continue within a limited context window.',
+        'Write a dense summary that preserves: the user\'s goals and constraints, decisions made, files read or changed (with paths),',
+        'commands run and their important results or errors, and any open tasks or next steps.',
+        'Do not invent details. Return only the summary.',
+      ].join(' '),
+    });
+    const parts = [];
+    if (previousSummary) parts.push(`Summary of even earlier conversation:\n${previousSummary}`);
+    parts.push(`Conversation to summarize:\n${this._formatMessagesForCompaction(messages)}`);
+    session.messages.push({ role: 'user', content: parts.join('\n\n') });
+
+    const result = await summarizer.complete({ tools: null, stream: false, max_iterations: 1 });
+    const text = result && typeof result.content === 'string' ? result.content.trim() : '';
+    if (!text) throw new Error('summarizer returned empty content');
+    return text;
+  }
+
+  /**
+   * compactContext({ force=false })
+   *
+   * Summarizes older turns into ChatSession.data.compaction when the estimated request size
+   * crosses model.context_window * model.compaction_threshold (or always, with force).
+   * The most recent model.compaction_keep_recent messages are kept verbatim, and the cut never
+   * separates tool results from the assistant message that requested them.
+   *
+   * Returns the new compaction record, or null if nothing was compacted.
+   */
+  async compactContext(options = {}) {
+    const { force = false, tools = this.tools } = options || {};
+    const model = this._ensureModelResolved();
+    const chat = this.chat;
+    if (!force && !model.context_window) return null;
+
+    const tokensBefore = ChatSession.estimateTokens(chat.getMessagesForAPI())
+      + (tools ? Math.ceil(JSON.stringify(tools).length / 4) : 0);
+    if (!force && tokensBefore < model.context_window * model.compaction_threshold) return null;
+
+    const messages = chat.messages;
+    const headLen = (messages[0] && messages[0].role === 'system') ? 1 : 0;
+    const previous = chat.getCompaction();
+    const from = previous ? Math.max(Number(previous.upto), headLen) : headLen;
+
+    let cut = messages.length - model.compaction_keep_recent;
+    // Tool results belong with their assistant tool call; fold them into the summary
+    // rather than starting the verbatim tail with orphaned results.
+    while (cut < messages.length && messages[cut] && messages[cut].role === 'tool') cut++;
+    if (cut <= from) return null;
+
+    const older = messages.slice(from, cut);
+    let summary;
+    try {
+      summary = await this._summarizeForCompaction(older, previous ? previous.summary : null);
+    } catch (err) {
+      // Summarization is best-effort: fall back to a clipped transcript so the run can continue.
+      const transcript = this._formatMessagesForCompaction(older, 300);
+      summary = [
+        previous ? previous.summary : null,
+        `(automatic summary unavailable: ${err.message || String(err)}; clipped transcript follows)`,
+        transcript,
+      ].filter(Boolean).join('\n\n');
+    }
+
+    const compaction = chat.setCompaction({
+      upto: cut,
+      summary,
+      message_count: messages.length,
+      tokens_before: tokensBefore,
+    });
+    await this.callHook('onCompaction', {
+      ...compaction,
+      tokens_after: ChatSession.estimateTokens(chat.getMessagesForAPI()),
+    });
+    return compaction;
+  }
   
   async _generateTitle() {
     // Only generate title if not already set and we have messages
@@ -1104,6 +3131,21 @@ class ChatLLM {
     }
   }
 
+  // Connects the MCP servers referenced by the model's `tools` list ("mcp:<server>/<glob>") and
+  // appends their tools. Connections are cached by viib-etch-tools, so later calls are cheap.
+  async _withMcpTools(tools, model) {
+    const refs = Array.isArray(model.tools) ? model.tools.filter((n) => typeof n === 'string' && n.startsWith('mcp:')) : [];
+    if (refs.length === 0) return tools;
+    const { loadMcpTools } = require(path.join(__dirname, 'viib-etch-tools'));
+    const { tools: mcpTools, errors } = await loadMcpTools(refs, { servers: model.mcp_servers });
+    for (const e of errors) {
+      console.warn(`MCP server ${e.server} unavailable: ${e.error}`);
+    }
+    const have = new Set((tools || []).map((t) => t && t.function && t.function.name).filter(Boolean));
+    const extra = mcpTools.filter((t) => !have.has(t.function.name));
+    return extra.length > 0 ? [...(tools || []), ...extra] : tools;
+  }
+
   async complete(options = {}) {
     const hasReasoningEffort = Object.prototype.hasOwnProperty.call(options, 'reasoning_effort');
     const {
@@ -1118,7 +3160,16 @@ class ChatLLM {
     } = options;
 
     const model = this._ensureModelResolved();
-    const effectiveTools = tools !== null ? tools : this.tools;
+    let effectiveTools = tools !== null ? tools : this.tools;
+    if (!Object.prototype.hasOwnProperty.call(options, 'tools')) {
+      effectiveTools = await this._withMcpTools(effectiveTools, model);
+    }
+    // Read-only session modes (ask/plan) never offer write-capable tools to the model.
+    if (Array.isArray(effectiveTools) && this.getMode() !== 'agent') {
+      const { filterToolsForMode } = require(path.join(__dirname, 'viib-etch-tools'));
+      effectiveTools = filterToolsForMode(effectiveTools, this.getMode());
+      if (effectiveTools.length === 0) effectiveTools = null;
+    }
     
      // Build base params (messages are injected per-iteration inside _completeNoStream/_completeStream)
      const params = {
@@ -1159,8 +3210,6 @@ class ChatLLM {
        if (eff !== undefined) params.reasoning_effort = eff;
      }
     
-    // Route to appropriate API method
-    const useResponsesAPI = this._shouldUseResponsesAPI();
     // Request options (OpenAI SDK): support timeout via AbortController.
     // IMPORTANT: request options must NOT be included in the API body.
     let requestOptions = undefined;
@@ -1195,33 +3244,36 @@ class ChatLLM {
       requestOptions = { signal: this._abortController.signal };
     }
 
-    try {
-      // Route Gemini models to Gemini-specific methods
-      if (this._isGeminiModel()) {
-        const p = stream
-          ? this._completeStreamGemini(params, requestOptions)
-          : this._completeNoStreamGemini(params, requestOptions);
-        return await p;
-      }
+    // Each completed iteration leaves one assistant message; a fallback run only gets the rest.
+    const countAssistant = () => this.chat.messages.filter((m) => m && m.role === 'assistant').length;
+    const assistantBefore = countAssistant();
 
-      // Route Anthropic (Claude) models
-      if (this._isAnthropicModel()) {
-        const p = stream
-          ? this._completeStreamAnthropic(params, requestOptions)
-          : this._completeNoStreamAnthropic(params, requestOptions);
-        return await p;
+    try {
+      try {
+        // IMPORTANT: await so timeout cleanup happens after completion, not immediately.
+        return await this._completeRouted(stream, { ...params }, requestOptions);
+      } catch (error) {
+        // Primary model exhausted its retries: continue the same run on the fallback model.
+        // Messages and tool results so far are already in the session, so no progress is lost.
+        if (!error || !error.retriesExhausted || !model.fallback_model || this._isCancelled()) throw error;
+        const fallback = ChatModel.getModel(ChatModel.loadModels(), model.fallback_model);
+        await this.callHook('onRetry', {
+          model: model.name,
+          fallback_model: fallback.name,
+          status: ChatLLM._errorStatus(error),
+          error: error.message,
+        });
+        const primary = { model: this._model, client: this._client };
+        this._model = fallback;
+        this._client = null;
+        const remaining = Math.max(1, max_iterations - (countAssistant() - assistantBefore));
+        try {
+          return await this._completeRouted(stream, { ...params, model: fallback.model, max_iterations: remaining }, requestOptions);
+        } finally {
+          this._model = primary.model;
+          this._client = primary.client;
+        }
       }
-      
-      const p = stream
-        ? (useResponsesAPI
-          ? this._completeStreamResponses(params, requestOptions)
-          : this._completeStream(params, requestOptions))
-        : (useResponsesAPI
-          ? this._completeNoStreamResponses(params, requestOptions)
-          : this._completeNoStream(params, requestOptions));
-
-      // IMPORTANT: await so timeout cleanup happens after completion, not immediately.
-      return await p;
     } finally {
       if (timeoutId) clearTimeout(timeoutId);
       this._abortController = null;
@@ -1232,6 +3284,32 @@ class ChatLLM {
     // NOTE: method end
   }
 
+  // Route to the provider-specific loop for the currently resolved model.
+  _completeRouted(stream, params, requestOptions) {
+    // Route Gemini models to Gemini-specific methods
+    if (this._isGeminiModel()) {
+      return stream
+        ? this._completeStreamGemini(params, requestOptions)
+        : this._completeNoStreamGemini(params, requestOptions);
+    }
+
+    // Route Anthropic (Claude) models
+    if (this._isAnthropicModel()) {
+      return stream
+        ? this._completeStreamAnthropic(params, requestOptions)
+        : this._completeNoStreamAnthropic(params, requestOptions);
+    }
+
+    const useResponsesAPI = this._shouldUseResponsesAPI();
+    return stream
+      ? (useResponsesAPI
+        ? this._completeStreamResponses(params, requestOptions)
+        : this._completeStream(params, requestOptions))
+      : (useResponsesAPI
+        ? this._completeNoStreamResponses(params, requestOptions)
+        : this._completeNoStream(params, requestOptions));
+  }
+
   // ------------------------
   // Anthropic (Claude) API
   // ------------------------
@@ -1480,6 +3558,64 @@ class ChatLLM {
     return { ...usage };
   }
 
+  // Normalize provider usage (chat.completions, /v1/responses, Anthropic, Gemini usageMetadata)
+  // to { input_tokens, cached_input_tokens, output_tokens, reasoning_tokens, total_tokens }.
+  // input_tokens includes cached tokens; output_tokens includes reasoning tokens.
+  _normalizeUsage(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const n = (v) => (typeof v === 'number' && Number.isFinite(v) ? v : 0);
+    let u;
+    if (typeof raw.promptTokenCount === 'number' || typeof raw.candidatesTokenCount === 'number') {
+      // Gemini: candidates exclude thoughts.
+      u = {
+        input_tokens: n(raw.promptTokenCount),
+        cached_input_tokens: n(raw.cachedContentTokenCount),
+        output_tokens: n(raw.candidatesTokenCount) + n(raw.thoughtsTokenCount),
+        reasoning_tokens: n(raw.thoughtsTokenCount),
+      };
+    } else if (typeof raw.prompt_tokens === 'number' || typeof raw.completion_tokens === 'number') {
+      u = {
+        input_tokens: n(raw.prompt_tokens),
+        cached_input_tokens: n(raw.prompt_tokens_details && raw.prompt_tokens_details.cached_tokens),
+        output_tokens: n(raw.completion_tokens),
+        reasoning_tokens: n(raw.completion_tokens_details && raw.completion_tokens_details.reasoning_tokens),
+      };
+    } else if ('cache_read_input_tokens' in raw || 'cache_creation_input_tokens' in raw) {
+      // Anthropic: input_tokens excludes cache reads/writes.
+      u = {
+        input_tokens: n(raw.input_tokens) + n(raw.cache_read_input_tokens) + n(raw.cache_creation_input_tokens),
+        cached_input_tokens: n(raw.cache_read_input_tokens),
+        output_tokens: n(raw.output_tokens),
+        reasoning_tokens: 0,
+      };
+    } else if (typeof raw.input_tokens === 'number' || typeof raw.output_tokens === 'number') {
+      u = {
+        input_tokens: n(raw.input_tokens),
+        cached_input_tokens: n(raw.input_tokens_details && raw.input_tokens_details.cached_tokens),
+        output_tokens: n(raw.output_tokens),
+        reasoning_tokens: n(raw.output_tokens_details && raw.output_tokens_details.reasoning_tokens),
+      };
+    } else {
+      return null;
+    }
+    u.total_tokens = u.input_tokens + u.output_tokens;
+    return u;
+  }
+
+  // Attach usage (+ cost and model name) to an assistant message and add it to the chat rollup.
+  // Must run before chat.addMessage() so both land in the same save.
+  async _recordUsage(assistantMessage, rawUsage) {
+    const usage = this._normalizeUsage(rawUsage);
+    if (!usage) return null;
+    const model = this._ensureModelResolved();
+    usage.cost = typeof model.costForUsage === 'function' ? model.costForUsage(usage) : null;
+    usage.model = model.name;
+    assistantMessage.usage = usage;
+    this.chat.addUsage(model.name, usage);
+    await this.callHook('onUsage', usage, this.chat.getUsage().total);
+    return usage;
+  }
+
   async _completeNoStreamAnthropic(params, requestOptions = undefined) {
     const max_iterations = params.max_iterations || 100;
     const tools = params.tools;
@@ -1495,6 +3631,8 @@ class ChatLLM {
 
     while (iteration < max_iterations) {
       if (this._isCancelled()) throw new Error('Operation cancelled');
+      // Keep the request within the model's context window
+      await this.compactContext({ tools });
 
       // Build OpenAI-format messages (respects system_prompt_file refresh)
       const openAIMessages = this.chat.getMessagesForAPI();
@@ -1520,7 +3658,7 @@ class ChatLLM {
       const requestStartTime = Date.now();
       await this.callHook('onRequestStart');
       // Anthropic SDK supports abort via signal.
-      const resp = await client.messages.create(body, requestOptions);
+      const resp = await this._withRetry(() => client.messages.create(body, requestOptions), requestOptions);
       const requestDoneTime = Date.now();
       await this.callHook('onRequestDone', requestDoneTime - requestStartTime);
 
@@ -1549,6 +3687,7 @@ class ChatLLM {
         await this.callHook('onResponseDone', text, Date.now() - responseStartTime);
       }
 
+      await this._recordUsage(assistantMessage, resp && resp.usage);
       this.chat.addMessage(assistantMessage);
       if (assistantMessage.content) await this._generateTitle();
 
@@ -1587,6 +3726,8 @@ class ChatLLM {
 
     while (iteration < max_iterations) {
       if (this._isCancelled()) throw new Error('Operation cancelled');
+      // Keep the request within the model's context window
+      await this.compactContext({ tools });
 
       const openAIMessages = this.chat.getMessagesForAPI();
       const system = this._extractSystemPromptFromMessages(openAIMessages);
@@ -1608,12 +3749,13 @@ class ChatLLM {
       const requestStartTime = Date.now();
       await this.callHook('onRequestStart');
 
-      const stream = await client.messages.stream(body, requestOptions);
+      const stream = await this._openStreamWithRetry(() => client.messages.stream(body, requestOptions), requestOptions);
 
       const requestDoneTime = Date.now();
       await this.callHook('onRequestDone', requestDoneTime - requestStartTime);
 
       let fullContent = '';
+      let streamUsage = null;
       const toolUseBlocks = [];
       let hasStartedResponse = false;
       let responseStartTime = null;
@@ -1624,6 +3766,17 @@ class ChatLLM {
         if (this._isCancelled()) throw new Error('Operation cancelled');
         if (!event || typeof event !== 'object') continue;
 
+        // Usage: input/cache counts arrive on message_start, output counts on message_delta.
+        if (event.type === 'message_start' && event.message && event.message.usage) {
+          streamUsage = { ...event.message.usage };
+          continue;
+        }
+        if (event.type === 'message_delta' && event.usage) {
+          const delta = Object.fromEntries(Object.entries(event.usage).filter(([, v]) => v !== null && v !== undefined));
+          streamUsage = { ...(streamUsage || {}), ...delta };
+          continue;
+        }
+
         // Many events include a delta. We rely on type tags.
         if (event.type === 'content_block_delta' && event.delta && event.delta.type === 'text_delta') {
           const chunk = event.delta.text || '';
@@ -1688,6 +3841,7 @@ class ChatLLM {
         reasoning: null,
         tool_calls: toolCalls,
       };
+      await this._recordUsage(assistantMessage, streamUsage);
       this.chat.addMessage(assistantMessage);
       if (assistantMessage.content) await this._generateTitle();
 
@@ -1924,6 +4078,9 @@ class ChatLLM {
       if (this._isCancelled()) {
         throw new Error('Operation cancelled');
       }
+
+      // Keep the request within the model's context window
+      await this.compactContext({ tools });
       
       // Get messages in OpenAI format, then convert to Gemini format
       const openAIMessages = this.chat.getMessagesForAPI();
@@ -2017,7 +4174,7 @@ class ChatLLM {
       
       let response;
       try {
-        response = await client.models.generateContent(geminiRequest);
+        response = await this._withRetry(() => client.models.generateContent(geminiRequest), requestOptions);
       } catch (error) {
         // Handle errors
         throw error;
@@ -2065,6 +4222,7 @@ class ChatLLM {
       }
       
       // Add message to chat
+      await this._recordUsage(assistantMessage, response && response.usageMetadata);
       this.chat.addMessage(assistantMessage);
       
       // Generate title if not already set
@@ -2121,6 +4279,9 @@ class ChatLLM {
       if (this._isCancelled()) {
         throw new Error('Operation cancelled');
       }
+
+      // Keep the request within the model's context window
+      await this.compactContext({ tools });
       
       // Get messages in OpenAI format, then convert to Gemini format
       const openAIMessages = this.chat.getMessagesForAPI();
@@ -2214,7 +4375,7 @@ class ChatLLM {
       
       let stream;
       try {
-        stream = await client.models.generateContentStream(geminiRequest);
+        stream = await this._openStreamWithRetry(() => client.models.generateContentStream(geminiRequest), requestOptions);
       } catch (error) {
         throw error;
       }
@@ -2231,6 +4392,7 @@ class ChatLLM {
       let hasStartedResponse = false;
       let responseStartTime = null;
       let firstEventAfterRequestDone = true;
+      let streamUsage = null;
       
       // Process streaming response
       for await (const chunk of stream) {
@@ -2239,6 +4401,8 @@ class ChatLLM {
           throw new Error('Operation cancelled');
         }
         
+        // usageMetadata is cumulative; the last chunk carries the final counts.
+        if (chunk.usageMetadata) streamUsage = chunk.usageMetadata;
         if (!chunk.candidates || !chunk.candidates[0]) continue;
         const candidate = chunk.candidates[0];
         if (!candidate.content || !candidate.content.parts) continue;
@@ -2314,6 +4478,7 @@ class ChatLLM {
       };
       
       // Add message to chat
+      await this._recordUsage(assistantMessage, streamUsage);
       this.chat.addMessage(assistantMessage);
       
       // Generate title if not already set
@@ -2361,6 +4526,9 @@ class ChatLLM {
       if (this._isCancelled()) {
         throw new Error('Operation cancelled');
       }
+
+      // Keep the request within the model's context window
+      await this.compactContext({ tools });
       
       // Build request parameters for this iteration
       const requestParams = {
@@ -2368,14 +4536,20 @@ class ChatLLM {
         messages: this.chat.getMessagesForAPI()
       };
       
-      if (tools) {
-        requestParams.tools = tools;
+      // Chat completions only takes function tools: provider built-ins such as { type: 'web_search' }
+      // are dropped here, and the native handler of the same name serves the model instead.
+      const functionTools = tools ? tools.filter((t) => t && t.type === 'function') : null;
+      if (functionTools && functionTools.length > 0) {
+        requestParams.tools = functionTools;
         requestParams.tool_choice = iteration === 0 ? tool_choice : 'auto';
+      } else {
+        delete requestParams.tools;
+        delete requestParams.tool_choice;
       }
       
       const requestStartTime = Date.now();
       await this.callHook('onRequestStart');
-      const response = await this.client.chat.completions.create(requestParams, requestOptions);
+      const response = await this._withRetry(() => this.client.chat.completions.create(requestParams, requestOptions), requestOptions);
       const requestDoneTime = Date.now();
       const requestElapsed = requestDoneTime - requestStartTime;
       await this.callHook('onRequestDone', requestElapsed);
@@ -2427,6 +4601,7 @@ class ChatLLM {
       }
       
       // Add message to chat
+      await this._recordUsage(assistantMessage, response.usage);
       this.chat.addMessage(assistantMessage);
       
       // Generate title if not already set
@@ -2481,6 +4656,9 @@ class ChatLLM {
       if (this._isCancelled()) {
         throw new Error('Operation cancelled');
       }
+
+      // Keep the request within the model's context window
+      await this.compactContext({ tools });
       
       // Build base request parameters
       const requestParams = { ...params };
@@ -2521,7 +4699,7 @@ class ChatLLM {
           throw new Error('Cannot create response without input or previous_response_id');
         }
         
-        const originalResponse = await this.client.responses.create(responsesParams, requestOptions);
+        const originalResponse = await this._withRetry(() => this.client.responses.create(responsesParams, requestOptions), requestOptions);
         
         // Store the response_id before transforming
         responseIdFromAPI = originalResponse.id;
@@ -2589,7 +4767,7 @@ class ChatLLM {
           }
           // Don't include response_id in retry
           
-          const originalResponse = await this.client.responses.create(retryParams, requestOptions);
+          const originalResponse = await this._withRetry(() => this.client.responses.create(retryParams, requestOptions), requestOptions);
           responseIdFromAPI = originalResponse.id;
           
           const toolCalls = this._extractToolCallsFromResponsesOutput(originalResponse.output);
@@ -2666,6 +4844,7 @@ class ChatLLM {
       }
       
       // Add message to chat (this will save the response_id with the message)
+      await this._recordUsage(assistantMessage, response.usage);
       this.chat.addMessage(assistantMessage);
       
       // Generate title if not already set
@@ -2719,22 +4898,32 @@ class ChatLLM {
       if (this._isCancelled()) {
         throw new Error('Operation cancelled');
       }
+
+      // Keep the request within the model's context window
+      await this.compactContext({ tools });
       
       // Build request parameters for this iteration
       const requestParams = {
         ...params,
         messages: this.chat.getMessagesForAPI(),
-        stream: true
+        stream: true,
+        stream_options: { include_usage: true }
       };
       
-      if (tools) {
-        requestParams.tools = tools;
+      // Chat completions only takes function tools: provider built-ins such as { type: 'web_search' }
+      // are dropped here, and the native handler of the same name serves the model instead.
+      const functionTools = tools ? tools.filter((t) => t && t.type === 'function') : null;
+      if (functionTools && functionTools.length > 0) {
+        requestParams.tools = functionTools;
         requestParams.tool_choice = iteration === 0 ? tool_choice : 'auto';
+      } else {
+        delete requestParams.tools;
+        delete requestParams.tool_choice;
       }
       
       const requestStartTime = Date.now();
       await this.callHook('onRequestStart');
-      const stream = await this.client.chat.completions.create(requestParams, requestOptions);
+      const stream = await this._openStreamWithRetry(() => this.client.chat.completions.create(requestParams, requestOptions), requestOptions);
       const requestDoneTime = Date.now();
       const requestElapsed = requestDoneTime - requestStartTime;
       await this.callHook('onRequestDone', requestElapsed);
@@ -2747,6 +4936,7 @@ class ChatLLM {
       let reasoningStartTime = null;
       let responseStartTime = null;
       let firstEventAfterRequestDone = true;
+      let streamUsage = null;
       
       for await (const chunk of stream) {
         // Check for cancellation during streaming
@@ -2754,6 +4944,8 @@ class ChatLLM {
           throw new Error('Operation cancelled');
         }
         
+        // Usage arrives on a final chunk with no choices (stream_options.include_usage).
+        if (chunk.usage) streamUsage = chunk.usage;
         const choice = chunk.choices[0];
         if (!choice) continue;
         
@@ -2870,6 +5062,7 @@ class ChatLLM {
       };
       
       // Add message to chat
+      await this._recordUsage(assistantMessage, streamUsage);
       this.chat.addMessage(assistantMessage);
       
       // Generate title if not already set
@@ -2917,6 +5110,9 @@ class ChatLLM {
       if (this._isCancelled()) {
         throw new Error('Operation cancelled');
       }
+
+      // Keep the request within the model's context window
+      await this.compactContext({ tools });
       
       // Build base request parameters
       const requestParams = { ...params };
@@ -2963,7 +5159,7 @@ class ChatLLM {
           }
         }
         
-        const responsesStream = await this.client.responses.create({ ...responsesParams, stream: true }, requestOptions);
+        const responsesStream = await this._openStreamWithRetry(() => this.client.responses.create({ ...responsesParams, stream: true }, requestOptions), requestOptions);
 
         // Transform ResponseStreamEvent -> chat.completions-like delta stream
         stream = (async function* () {
@@ -2981,6 +5177,10 @@ class ChatLLM {
             if (event.type === 'response.completed' && event.response?.id && !responseIdToStore) {
               responseIdToStore = event.response.id;
             }
+            if (event.type === 'response.completed' && event.response?.usage) {
+              yield { choices: [], usage: event.response.usage };
+              continue;
+            }
 
             if (event.type === 'response.output_text.delta') {
               yield { choices: [{ delta: { content: event.delta } }] };
@@ -3078,7 +5278,7 @@ class ChatLLM {
           }
           // Don't include response_id in retry
           
-          const responsesStream = await this.client.responses.create({ ...retryParams, stream: true }, requestOptions);
+          const responsesStream = await this._openStreamWithRetry(() => this.client.responses.create({ ...retryParams, stream: true }, requestOptions), requestOptions);
 
           stream = (async function* () {
             const outputIndexToToolCallIndex = new Map();
@@ -3095,6 +5295,10 @@ class ChatLLM {
               if (event.type === 'response.completed' && event.response?.id && !responseIdToStore) {
                 responseIdToStore = event.response.id;
               }
+              if (event.type === 'response.completed' && event.response?.usage) {
+                yield { choices: [], usage: event.response.usage };
+                continue;
+              }
 
               if (event.type === 'response.output_text.delta') {
                 yield { choices: [{ delta: { content: event.delta } }] };
@@ -3160,6 +5364,7 @@ class ChatLLM {
       let reasoningStartTime = null;
       let responseStartTime = null;
       let firstEventAfterRequestDone = true;
+      let streamUsage = null;
       
       for await (const chunk of stream) {
         // Check for cancellation during streaming
@@ -3167,6 +5372,8 @@ class ChatLLM {
           throw new Error('Operation cancelled');
         }
         
+        // Usage arrives on a final chunk with no choices (stream_options.include_usage).
+        if (chunk.usage) streamUsage = chunk.usage;
         const choice = chunk.choices[0];
         if (!choice) continue;
         
@@ -3288,6 +5495,7 @@ class ChatLLM {
       }
       
       // Add message to chat (this will save the response_id with the message)
+      await this._recordUsage(assistantMessage, streamUsage);
       this.chat.addMessage(assistantMessage);
       
       // Generate title if not already set
@@ -3336,6 +5544,41 @@ class ChatLLM {
     this.chat.addMessage(message);
   }
 
+  /**
+   * _requestToolApproval(toolCall, args)
+   *
+   * Asks hooks.onToolApprovalRequest(toolCall, args, { session }) whether a tool call may run.
+   * The hook may return (or resolve to):
+   *   - true | 'approve' | { decision:'approve' } | null/undefined  -> run as requested
+   *   - false | 'reject' | { decision:'reject', reason? }            -> do not run
+   *   - { decision:'modify', args, reason? }                         -> run with replacement args
+   * A throwing hook or an unrecognized decision rejects the call (fail closed).
+   *
+   * Returns { decision, args?, reason? }.
+   */
+  async _requestToolApproval(toolCall, args) {
+    let res;
+    try {
+      res = await this.hooks.onToolApprovalRequest(toolCall, args, { session: this.chat });
+    } catch (err) {
+      return { decision: 'reject', reason: `approval failed: ${err && err.message ? err.message : String(err)}` };
+    }
+    if (res === undefined || res === null || res === true) return { decision: 'approve' };
+    if (res === false) return { decision: 'reject' };
+    if (typeof res === 'string') res = { decision: res };
+    const decision = String((res && res.decision) || '').trim().toLowerCase();
+    const reason = res && res.reason ? String(res.reason) : null;
+    if (decision === 'approve') return { decision, reason };
+    if (decision === 'modify') {
+      if (!res.args || typeof res.args !== 'object' || Array.isArray(res.args)) {
+        return { decision: 'reject', reason: 'modify requires an args object' };
+      }
+      return { decision, args: res.args, reason };
+    }
+    if (decision === 'reject') return { decision, reason };
+    return { decision: 'reject', reason: `unknown approval decision: ${decision || '(empty)'}` };
+  }
+
   async _executeToolCallsInternal(result, options = {}) {
     if (!result.tool_calls || result.tool_calls.length === 0) {
       return [];
@@ -3349,100 +5592,226 @@ class ChatLLM {
         throw new Error("No tool executor provided. Pass { executeTool } to executeToolCalls(), or create ./viib-etch-tools.js exporting executeTool().");
       }
     }
-    const toolResults = [];
-    
+    // Tools run in the session's base_dir via context.cwd (no process.chdir, which is
+    // process-wide and would race between chats or concurrent calls).
+    const baseDir = (this.chat && (typeof this.chat.getBaseDir === 'function' ? this.chat.getBaseDir() : this.chat.base_dir)) || null;
+    const cwd = baseDir ? path.resolve(baseDir) : process.cwd();
+    const concurrency = Math.max(1, parseInt(options.concurrency ?? this.tool_concurrency, 10) || 1);
+    const { isParallelSafeTool } = require(path.join(__dirname, 'viib-etch-tools'));
+
+    // Consecutive parallel-safe calls form one batch; any other call runs alone.
+    const batches = [];
     for (const toolCall of result.tool_calls) {
-      // Check for cancellation before each tool call
+      const last = batches[batches.length - 1];
+      const safe = concurrency > 1 && isParallelSafeTool(toolCall.function && toolCall.function.name);
+      if (safe && last && last.safe) {
+        last.calls.push(toolCall);
+      } else {
+        batches.push({ safe, calls: [toolCall] });
+      }
+    }
+
+    const toolResults = [];
+    for (const batch of batches) {
+      // Check for cancellation before each batch
       if (this._isCancelled()) {
         throw new Error('Operation cancelled');
       }
+      const outcomes = await runWithConcurrency(batch.calls, concurrency, (toolCall) => this._runToolCall(toolCall, executeTool, cwd));
 
-      // Save current directory and change to base_dir if set
-      const originalCwd = process.cwd();
-      let changedDir = false;
-      
-      const toolCallStartTime = Date.now();
-      try {
-        // Change to base_dir if set (stored on ChatSession)
-        const baseDir = (this.chat && (typeof this.chat.getBaseDir === 'function' ? this.chat.getBaseDir() : this.chat.base_dir)) || null;
-        if (baseDir) {
-          process.chdir(baseDir);
-          changedDir = true;
+      // Append in the original tool_call order, whatever order the calls finished in.
+      for (const outcome of outcomes) {
+        const { toolCall } = outcome;
+        await this.addToolMessage(toolCall.id, toolCall.function.name, outcome.content);
+        toolResults.push(outcome.entry);
+        await this.callHook('onToolCallEnd', toolCall, outcome.error ? { error: outcome.error } : { result: outcome.result }, outcome.elapsed);
+      }
+    }
+    
+    return toolResults;
+  }
+
+  // Execute one tool call. Never throws: failures become an error result for the model.
+  // Returns { toolCall, content, entry, result?, error?, elapsed }; the caller appends the message.
+  async _runToolCall(toolCall, executeTool, cwd) {
+    const toolCallStartTime = Date.now();
+    try {
+      const args = JSON.parse(toolCall.function.arguments);
+      await this.callHook('onToolCallStart', toolCall, args, null);
+
+      // Refuse write-capable tools in read-only session modes, even if the model calls them anyway.
+      const mode = this.getMode();
+      if (mode !== 'agent') {
+        const { isToolAllowedInMode } = require(path.join(__dirname, 'viib-etch-tools'));
+        if (!isToolAllowedInMode(toolCall.function.name, mode, { tools: this.tools })) {
+          throw new Error(`Tool ${toolCall.function.name} is not allowed in ${mode} mode (read-only session)`);
         }
-        
-        const args = JSON.parse(toolCall.function.arguments);
-        await this.callHook('onToolCallStart', toolCall, args, null);
-        const context = {
-          session: this.chat,
-          onCommandOut: async (data) => {
-            await this.callHook('onToolCallData', toolCall, data);
-          },
-          _activeProcesses: this._activeProcesses,
-          _isCancelled: () => this._isCancelled()
-        };
-        
-        const toolResult = await executeTool(toolCall.function.name, args, context);
-        await this.callHook('onToolCallData', toolCall, { phase: 'result', result: toolResult });
-        
-        // Store diff in ChatSession.data if present, then remove from result
-        let cleanedResult = toolResult;
-        if (toolResult && typeof toolResult === 'object' && (toolResult._diff || toolResult._patchCommand)) {
-          if (!this.chat.data.diffs) {
-            this.chat.data.diffs = {};
+      }
+
+      // Human-in-the-loop approval for write-capable tools (terminal commands, file edits):
+      // the same set that ask mode disallows. Calls the project policy allows or denies
+      // (.viib-etch-policy.json) skip the prompt; denials are enforced in executeTool.
+      let toolArgs = args;
+      let approval = null;
+      if (typeof this.hooks.onToolApprovalRequest === 'function') {
+        const { isToolAllowedInMode, evaluateToolPolicy } = require(path.join(__dirname, 'viib-etch-tools'));
+        const policy = isToolAllowedInMode(toolCall.function.name, 'ask', { tools: this.tools })
+          ? null
+          : evaluateToolPolicy(toolCall.function.name, args, { cwd, session: this.chat });
+        if (policy && policy.decision === 'allow') {
+          if (!this.chat.data.approvals) {
+            this.chat.data.approvals = {};
           }
-          this.chat.data.diffs[toolCall.id] = {
-            diff: toolResult._diff || null,
-            patchCommand: toolResult._patchCommand || null,
-            toolName: toolCall.function.name
+          this.chat.data.approvals[toolCall.id] = {
+            decision: 'approve',
+            reason: `Allowed by ${path.basename(policy.file)} (${policy.rule})`,
+            args: null,
+            ts: new Date().toISOString(),
           };
           this.chat.save();
-          
-          // Remove _diff and _patchCommand from result before storing in message
-          cleanedResult = { ...toolResult };
-          delete cleanedResult._diff;
-          delete cleanedResult._patchCommand;
+        } else if (policy && policy.decision === null) {
+          approval = await this._requestToolApproval(toolCall, args);
+          if (!this.chat.data.approvals) {
+            this.chat.data.approvals = {};
+          }
+          this.chat.data.approvals[toolCall.id] = {
+            decision: approval.decision,
+            reason: approval.reason || null,
+            args: approval.decision === 'modify' ? approval.args : null,
+            ts: new Date().toISOString(),
+          };
+          this.chat.save();
+          if (this._isCancelled()) {
+            throw new Error('Operation cancelled');
+          }
+          if (approval.decision === 'reject') {
+            throw new Error(`User rejected ${toolCall.function.name}${approval.reason ? `: ${approval.reason}` : ''}`);
+          }
+          if (approval.decision === 'modify') {
+            toolArgs = approval.args;
+          }
         }
+      }
+      const context = {
+        session: this.chat,
+        model: this._model,
+        cwd,
+        tool_call_id: toolCall.id,
+        onCommandOut: async (data) => {
+          await this.callHook('onToolCallData', toolCall, data);
+        },
+        _activeProcesses: this._activeProcesses,
+        _isCancelled: () => this._isCancelled(),
+        // Sub-agents (task tool) reuse this ChatLLM's approval and usage hooks.
+        _llm: this
+      };
+      
+      const toolResult = await executeTool(toolCall.function.name, toolArgs, context);
+      await this.callHook('onToolCallData', toolCall, { phase: 'result', result: toolResult });
+      
+      // Store diff in ChatSession.data if present, then remove from result
+      let cleanedResult = toolResult;
+      if (toolResult && typeof toolResult === 'object' && (toolResult._diff || toolResult._patchCommand)) {
+        if (!this.chat.data.diffs) {
+          this.chat.data.diffs = {};
+        }
+        this.chat.data.diffs[toolCall.id] = {
+          diff: toolResult._diff || null,
+          patchCommand: toolResult._patchCommand || null,
+          toolName: toolCall.function.name
+        };
+        this.chat.save();
         
-        const content = typeof cleanedResult === 'string' ? cleanedResult : JSON.stringify(cleanedResult);
-        
-        await this.addToolMessage(
-          toolCall.id,
-          toolCall.function.name,
-          content
-        );
-        
-        toolResults.push({
+        // Remove _diff and _patchCommand from result before storing in message
+        cleanedResult = { ...toolResult };
+        delete cleanedResult._diff;
+        delete cleanedResult._patchCommand;
+      }
+      
+      // Tell the model when the user changed the arguments before the tool ran.
+      if (approval && approval.decision === 'modify') {
+        cleanedResult = (cleanedResult && typeof cleanedResult === 'object' && !Array.isArray(cleanedResult))
+          ? { ...cleanedResult, user_modified_args: toolArgs }
+          : { result: cleanedResult, user_modified_args: toolArgs };
+      }
+
+      const content = this._budgetToolResult(toolCall, cleanedResult);
+      return {
+        toolCall,
+        content,
+        result: toolResult,
+        entry: {
           toolCallId: toolCall.id,
           name: toolCall.function.name,
           result: toolResult
-        });
-        const toolCallElapsed = Date.now() - toolCallStartTime;
-        await this.callHook('onToolCallEnd', toolCall, { result: toolResult }, toolCallElapsed);
-      } catch (error) {
-        await this.callHook('onToolCallData', toolCall, { phase: 'error', error: error.message });
-        const errorContent = JSON.stringify({ error: error.message, success: false });
-        await this.addToolMessage(
-          toolCall.id,
-          toolCall.function.name,
-          errorContent
-        );
-        
-        toolResults.push({
+        },
+        elapsed: Date.now() - toolCallStartTime
+      };
+    } catch (error) {
+      await this.callHook('onToolCallData', toolCall, { phase: 'error', error: error.message });
+      return {
+        toolCall,
+        content: JSON.stringify({ error: error.message, success: false }),
+        error: error.message,
+        entry: {
           toolCallId: toolCall.id,
           name: toolCall.function.name,
           error: error.message
-        });
-        const toolCallElapsed = Date.now() - toolCallStartTime;
-        await this.callHook('onToolCallEnd', toolCall, { error: error.message }, toolCallElapsed);
-      } finally {
-        // Restore original directory if we changed it
-        if (changedDir) {
-          process.chdir(originalCwd);
-        }
+        },
+        elapsed: Date.now() - toolCallStartTime
+      };
+    }
+  }
+
+  // Tool message content for a result, cut to the model's tool_output_budget. Oversized string
+  // fields of an object result are truncated one at a time (largest first) so the result stays
+  // valid JSON; anything else is cut as serialized text. Each cut value is spilled whole.
+  _budgetToolResult(toolCall, result) {
+    const name = toolCall.function.name;
+    const content = typeof result === 'string' ? result : JSON.stringify(result);
+    const model = this._model;
+    const budget = model && typeof model.toolOutputBudget === 'function'
+      ? model.toolOutputBudget(name)
+      : DEFAULT_TOOL_OUTPUT_BUDGET;
+    // read_tool_output pages through spilled output; cutting it again would loop.
+    if (!budget || name === 'read_tool_output' || Buffer.byteLength(content) <= budget) return content;
+
+    const spill = (field, text) => {
+      const id = `${toolCall.id}${field ? `.${field}` : ''}`.replace(/[^A-Za-z0-9_.-]/g, '_');
+      const dir = getToolOutputsDir(this.chat);
+      ensureDirExists(dir);
+      const filePath = path.join(dir, `${id}.txt`);
+      fs.writeFileSync(filePath, text, 'utf8');
+      if (!this.chat.persistent) pruneTmpToolOutputs(filePath);
+      const artifact = { id, path: filePath, bytes: Buffer.byteLength(text), tool: name, field: field || null, created_at: new Date().toISOString() };
+      if (!this.chat.data.tool_outputs) {
+        this.chat.data.tool_outputs = {};
+      }
+      this.chat.data.tool_outputs[id] = artifact;
+      return artifact;
+    };
+
+    if (result && typeof result === 'object' && !Array.isArray(result)) {
+      const out = { ...result };
+      const done = new Set();
+      for (;;) {
+        const size = Buffer.byteLength(JSON.stringify(out));
+        if (size <= budget) return JSON.stringify(out);
+        const field = Object.keys(out)
+          .filter((k) => typeof out[k] === 'string' && !done.has(k) && out[k].length > TOOL_OUTPUT_MIN_KEEP)
+          .sort((a, b) => out[b].length - out[a].length)[0];
+        if (!field) break;
+        done.add(field);
+        // Escaping (newlines, quotes, non-ASCII) makes a value larger in JSON than as text.
+        const text = out[field];
+        const ratio = Buffer.byteLength(JSON.stringify(text)) / text.length;
+        const keep = Math.max(TOOL_OUTPUT_MIN_KEEP, Math.floor((text.length * ratio - (size - budget) - 400) / ratio));
+        if (keep >= text.length) continue;
+        out[field] = truncateToolText(text, keep, spill(field, text));
       }
     }
-    
-    return toolResults;
+    const keep = Math.max(TOOL_OUTPUT_MIN_KEEP, budget - 400);
+    return truncateToolText(content, Math.min(keep, content.length), spill(null, content));
   }
 
   async executeToolCalls(result, options = {}) {
@@ -3458,7 +5827,7 @@ class ChatLLM {
   /**
    * generateImage(prompt, referenceImages=null, options={})
    *
-   * - Stores all images in ChatSession.images[id] (base64), never writes to disk.
+   * - Stores all images in ChatSession.images[id] (base64; moved to the blob store when the chat is saved).
    * - Assistant message block stores image ids.
    * - For Gemini, stores raw model parts and replays them for continuation by default.
    */
@@ -3549,7 +5918,7 @@ class ChatLLM {
       for (const id of referenceImageIds) {
         const rec = this.chat.getImage(id);
         if (!rec) continue;
-        const b64 = rec.data_b64 ?? rec.data_base64 ?? rec.b64_json ?? rec.data ?? null;
+        const b64 = ChatSession.mediaBase64(rec);
         if (!b64) continue;
         parts.push({
           inlineData: {
@@ -3626,7 +5995,7 @@ class ChatLLM {
           for (const id of refIds) {
             const rec = this.chat.getImage(id);
             if (!rec) continue;
-            const b64 = rec.data_b64 ?? rec.data_base64 ?? rec.b64_json ?? rec.data ?? null;
+            const b64 = ChatSession.mediaBase64(rec);
             if (!b64) continue;
             parts.push({
               inlineData: { data: String(b64), mimeType: rec.mime_type || 'image/png' },
@@ -3753,7 +6122,7 @@ class ChatLLM {
   /**
    * generateVideoSegment(prompt, options={})
    *
-   * - Stores videos in ChatSession.images[id] (base64), never writes to disk.
+   * - Stores videos in ChatSession.images[id] (base64; moved to the blob store when the chat is saved).
    * - Stores audio in ChatSession.audio[id] (base64) for voiceover.
    * - Assistant message block stores video id and audio id.
    * - Supports multiple modes: new segment, extend, update, frame-directed.
@@ -3928,7 +6297,7 @@ class ChatLLM {
       for (const id of referenceImageIds) {
         const rec = this.chat.getImage(id);
         if (!rec) continue;
-        const b64 = rec.data_b64 ?? rec.data_base64 ?? rec.b64_json ?? rec.data ?? null;
+        const b64 = ChatSession.mediaBase64(rec);
         if (!b64) continue;
         parts.push({
           inlineData: {
@@ -3946,7 +6315,7 @@ class ChatLLM {
       if (typeof frame === 'string') {
         const rec = this.chat.getImage(frame);
         if (!rec) return null;
-        const b64 = rec.data_b64 ?? rec.data_base64 ?? rec.b64_json ?? rec.data ?? null;
+        const b64 = ChatSession.mediaBase64(rec);
         if (!b64) return null;
         return {
           inlineData: {
@@ -4083,7 +6452,7 @@ class ChatLLM {
       if (extendFrom) {
         const extendVideo = this.chat.getImage(extendFrom);
         if (extendVideo) {
-          const videoB64 = extendVideo.data_b64 ?? extendVideo.data_base64 ?? extendVideo.data ?? null;
+          const videoB64 = ChatSession.mediaBase64(extendVideo);
           console.log('[generateVideoSegment] extendFrom found in ChatSession.images, attaching bytes', {
             extendFrom,
             mime_type: String(extendVideo.mime_type || 'video/mp4'),
@@ -4109,7 +6478,7 @@ class ChatLLM {
       if (updateTarget) {
         const updateVideo = this.chat.getImage(updateTarget);
         if (updateVideo) {
-          const videoB64 = updateVideo.data_b64 ?? updateVideo.data_base64 ?? updateVideo.data ?? null;
+          const videoB64 = ChatSession.mediaBase64(updateVideo);
           if (videoB64) {
             generateRequest.video = {
               inlineData: {
@@ -4521,7 +6890,7 @@ class ChatLLM {
       for (const id of referenceImageIds) {
         const rec = this.chat.getImage(id);
         if (!rec) continue;
-        const b64 = rec.data_b64 ?? rec.data_base64 ?? rec.b64_json ?? rec.data ?? null;
+        const b64 = ChatSession.mediaBase64(rec);
         if (!b64) continue;
         parts.push({
           data: String(b64),
@@ -4536,7 +6905,7 @@ class ChatLLM {
       if (typeof frame === 'string') {
         const rec = this.chat.getImage(frame);
         if (!rec) return null;
-        const b64 = rec.data_b64 ?? rec.data_base64 ?? rec.b64_json ?? rec.data ?? null;
+        const b64 = ChatSession.mediaBase64(rec);
         if (!b64) return null;
         return {
           data: String(b64),
@@ -4832,6 +7201,16 @@ function consoleLogHooks(opts = {}) {
     onTitle: async (title) => {
       console.log(`${p}[title] ${title}`);
     },
+    onCompaction: async (info) => {
+      console.log(`${p}[context:compacted] upto=${info?.upto} ~${info?.tokens_before} -> ~${info?.tokens_after} tokens`);
+    },
+    onRetry: async (info) => {
+      if (info?.fallback_model) {
+        console.log(`${p}[retry:fallback] ${info.model} -> ${info.fallback_model} (${info.error})`);
+      } else {
+        console.log(`${p}[retry] ${info?.model} attempt ${info?.attempt}/${info?.max_attempts} in ${info?.delay_ms}ms (${info?.status || info?.error})`);
+      }
+    },
   };
 }
 
@@ -4901,6 +7280,14 @@ module.exports = {
   getModelsFileName,
   setChatsDir,
   getChatsDir,
+  setChatStore,
+  getChatStore,
+  setCassetteMode,
+  getCassetteMode,
+  getToolOutputsDir,
+  searchChats,
+  JsonFileChatStore,
+  JsonlChatStore,
   consoleLogHooks,
   
   // Convenience functions